@@ -0,0 +1,86 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const APP_URL = (
+  process.env.APP_URL ||
+  process.env.BACKEND_URL ||
+  `http://localhost:${process.env.PORT || 3001}`
+).replace(/\/+$/, '');
+
+// The built-in mock issuer (see routes/mockOidc.js) is only mounted when enabled
+export const MOCK_OIDC_ENABLED = process.env.OIDC_MOCK_ISSUER === 'true';
+export const MOCK_OIDC_PATH = '/mock-oidc';
+export const MOCK_OIDC_CLIENT_ID = 'solestride-mock-client';
+export const MOCK_OIDC_CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET;
+
+// The mock issuer signs in as any email it is handed, so it must never run in production
+if (MOCK_OIDC_ENABLED && process.env.NODE_ENV === 'production') {
+  throw new Error('OIDC_MOCK_ISSUER must not be enabled in production');
+}
+if (MOCK_OIDC_ENABLED && !MOCK_OIDC_CLIENT_SECRET) {
+  throw new Error('MOCK_OIDC_CLIENT_SECRET must be set when OIDC_MOCK_ISSUER is enabled');
+}
+
+/**
+ * Read a provider from OIDC_<NAME>_ISSUER, _CLIENT_ID, _CLIENT_SECRET and optional _SCOPES
+ */
+const loadProvider = (name) => {
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+  const issuer = process.env[`${prefix}ISSUER`];
+  const clientId = process.env[`${prefix}CLIENT_ID`];
+
+  if (!issuer || !clientId) {
+    console.warn(`⚠️  OIDC provider "${name}" is listed but ${prefix}ISSUER or ${prefix}CLIENT_ID is not set`);
+    return null;
+  }
+
+  return {
+    name,
+    issuer: issuer.replace(/\/+$/, ''),
+    clientId,
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+    scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+    redirectUri: `${APP_URL}/api/auth/oidc/${name}/callback`,
+  };
+};
+
+/**
+ * Configured providers, keyed by name; OIDC_PROVIDERS lists their names, e.g. "google,apple"
+ */
+const providers = Object.fromEntries(
+  (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => [name, loadProvider(name)])
+    .filter(([, provider]) => provider)
+);
+
+if (MOCK_OIDC_ENABLED) {
+  providers.mock = {
+    name: 'mock',
+    issuer: `${APP_URL}${MOCK_OIDC_PATH}`,
+    clientId: MOCK_OIDC_CLIENT_ID,
+    clientSecret: MOCK_OIDC_CLIENT_SECRET,
+    scopes: 'openid email profile',
+    redirectUri: `${APP_URL}/api/auth/oidc/mock/callback`,
+  };
+}
+
+/**
+ * Look up a provider by name, or null when it is not configured
+ */
+export const getOidcProvider = (name) => {
+  return providers[String(name).toLowerCase()] || null;
+};
+
+/**
+ * Names of the configured providers
+ */
+export const listOidcProviders = () => Object.keys(providers);
+
+export default {
+  getOidcProvider,
+  listOidcProviders,
+};
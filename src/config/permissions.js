@@ -0,0 +1,88 @@
+/**
+ * Admin permissions, checked by requirePermission() on every admin route
+ */
+export const PERMISSIONS = [
+  'dashboard:read',
+  'orders:read',
+  'orders:update_status',
+  'products:read',
+  'products:write',
+  'coupons:read',
+  'coupons:write',
+  'shipping:read',
+  'shipping:write',
+  'tax:read',
+  'tax:write',
+  'returns:read',
+  'returns:manage',
+  'refunds:issue',
+  'lockouts:read',
+  'lockouts:manage',
+  'users:read',
+  'users:manage',
+  'roles:read',
+  'roles:manage',
+  'audit:read',
+];
+
+/**
+ * Staff roles (values of user_roles.role) and what they may do. 'admin' is kept for
+ * accounts granted admin before roles were split and has the same rights as super_admin.
+ */
+export const ROLES = {
+  super_admin: {
+    name: 'Super admin',
+    permissions: PERMISSIONS,
+  },
+  admin: {
+    name: 'Admin (legacy)',
+    permissions: PERMISSIONS,
+  },
+  catalog_manager: {
+    name: 'Catalog manager',
+    permissions: ['dashboard:read', 'products:read', 'products:write', 'coupons:read', 'coupons:write'],
+  },
+  fulfillment: {
+    name: 'Fulfillment',
+    permissions: ['dashboard:read', 'orders:read', 'orders:update_status', 'products:read', 'returns:read', 'returns:manage'],
+  },
+  support: {
+    name: 'Support',
+    permissions: [
+      'dashboard:read',
+      'orders:read',
+      'products:read',
+      'returns:read',
+      'returns:manage',
+      'refunds:issue',
+      'lockouts:read',
+      'lockouts:manage',
+      'users:read',
+      'users:manage',
+    ],
+  },
+};
+
+// Roles that can grant every permission; at least one account must keep one of them
+export const SUPER_ADMIN_ROLES = ['super_admin', 'admin'];
+
+export const STAFF_ROLES = Object.keys(ROLES);
+
+/**
+ * Effective permissions of a set of roles; unknown roles (e.g. 'user') grant nothing
+ */
+export const getPermissionsForRoles = (roles) => {
+  const permissions = new Set();
+  for (const role of roles) {
+    for (const permission of ROLES[role]?.permissions || []) {
+      permissions.add(permission);
+    }
+  }
+  return PERMISSIONS.filter((permission) => permissions.has(permission));
+};
+
+/**
+ * Roles in the form returned to clients
+ */
+export const listRoles = () =>
+  Object.entries(ROLES).map(([role, { name, permissions }]) => ({ role, name, permissions }));
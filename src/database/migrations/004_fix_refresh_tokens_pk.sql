@@ -3,10 +3,15 @@
 
 DO $$
 BEGIN
+  -- Skipped once 019 has moved refresh_tokens to one row per session (keyed by id)
   IF EXISTS (
     SELECT 1
     FROM information_schema.tables
     WHERE table_schema = 'public' AND table_name = 'refresh_tokens'
+  ) AND NOT EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'refresh_tokens' AND column_name = 'id'
   ) THEN
     -- Drop existing primary key if present (name may vary, but default is refresh_tokens_pkey)
     IF EXISTS (
@@ -0,0 +1,16 @@
+-- Server-side order pricing
+-- Order lines snapshot the catalog price at purchase time, and orders keep the
+-- computed subtotal alongside the grand total.
+
+ALTER TABLE public.order_items ADD COLUMN IF NOT EXISTS original_price DECIMAL(10,2);
+ALTER TABLE public.order_items ADD COLUMN IF NOT EXISTS line_total DECIMAL(10,2);
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10,2);
+
+-- Backfill existing rows from what was stored before pricing moved server-side
+UPDATE public.order_items
+SET line_total = price * quantity
+WHERE line_total IS NULL;
+
+UPDATE public.orders
+SET subtotal = total
+WHERE subtotal IS NULL;
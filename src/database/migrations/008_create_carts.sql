@@ -0,0 +1,54 @@
+-- Persistent server-side shopping carts
+-- One cart per user; prices are never stored on cart lines, they are read live
+-- from products whenever the cart is viewed or checked out.
+
+CREATE TABLE IF NOT EXISTS public.carts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE REFERENCES public.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.cart_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cart_id UUID NOT NULL REFERENCES public.carts(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  size TEXT,
+  color TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+-- The same product in the same size/color is one line with a summed quantity
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_unique_line
+  ON public.cart_items(cart_id, product_id, (COALESCE(size, '')), (COALESCE(color, '')));
+
+CREATE INDEX IF NOT EXISTS idx_cart_items_cart_id ON public.cart_items(cart_id);
+CREATE INDEX IF NOT EXISTS idx_cart_items_product_id ON public.cart_items(product_id);
+
+-- Orders placed from a cart keep the chosen color alongside the size
+ALTER TABLE public.order_items ADD COLUMN IF NOT EXISTS color TEXT;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE p.proname = 'update_updated_at_column'
+      AND n.nspname = 'public'
+  ) THEN
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_carts_updated_at') THEN
+      CREATE TRIGGER update_carts_updated_at
+        BEFORE UPDATE ON public.carts
+        FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_cart_items_updated_at') THEN
+      CREATE TRIGGER update_cart_items_updated_at
+        BEFORE UPDATE ON public.cart_items
+        FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+    END IF;
+  END IF;
+END $$;
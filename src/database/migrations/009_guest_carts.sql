@@ -0,0 +1,38 @@
+-- Guest carts for anonymous shoppers
+-- A guest cart is keyed by a random token held in a signed cookie instead of a user id,
+-- and is merged into the user's cart when they log in.
+
+ALTER TABLE public.carts ADD COLUMN IF NOT EXISTS guest_token TEXT;
+ALTER TABLE public.carts ALTER COLUMN user_id DROP NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_schema = 'public'
+      AND table_name = 'carts'
+      AND constraint_name = 'carts_guest_token_key'
+  ) THEN
+    ALTER TABLE public.carts ADD CONSTRAINT carts_guest_token_key UNIQUE (guest_token);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_schema = 'public'
+      AND table_name = 'carts'
+      AND constraint_name = 'carts_owner_check'
+  ) THEN
+    ALTER TABLE public.carts
+      ADD CONSTRAINT carts_owner_check CHECK (user_id IS NOT NULL OR guest_token IS NOT NULL);
+  END IF;
+END $$;
+
+-- Clean up abandoned guest carts (can be run periodically)
+CREATE OR REPLACE FUNCTION cleanup_guest_carts()
+RETURNS void AS $$
+BEGIN
+  DELETE FROM carts
+  WHERE user_id IS NULL
+    AND updated_at < NOW() - INTERVAL '30 days';
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,78 @@
+-- Product variants with per-size and per-color stock
+-- products.stock_quantity stays as the aggregate of its variants so listings and
+-- in_stock keep working; products without variants behave as before.
+
+CREATE TABLE IF NOT EXISTS public.product_variants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+  sku TEXT NOT NULL UNIQUE,
+  size TEXT,
+  color TEXT,
+  stock_quantity INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
+  price DECIMAL(10,2) CHECK (price IS NULL OR price >= 0),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+-- One variant per size/color combination of a product
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_unique_option
+  ON public.product_variants(product_id, (COALESCE(size, '')), (COALESCE(color, '')));
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON public.product_variants(product_id);
+
+-- Order lines remember which variant was sold
+ALTER TABLE public.order_items ADD COLUMN IF NOT EXISTS variant_id UUID;
+ALTER TABLE public.order_items ADD COLUMN IF NOT EXISTS sku TEXT;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_schema = 'public'
+      AND table_name = 'order_items'
+      AND constraint_name = 'order_items_variant_id_fkey'
+  ) THEN
+    ALTER TABLE public.order_items
+      ADD CONSTRAINT order_items_variant_id_fkey
+      FOREIGN KEY (variant_id) REFERENCES public.product_variants(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Recompute a product's aggregate stock from its variants (none left means out of stock)
+CREATE OR REPLACE FUNCTION public.sync_product_variant_stock(p_product_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE products
+  SET
+    stock_quantity = v.total_stock,
+    in_stock = v.total_stock > 0,
+    updated_at = now()
+  FROM (
+    SELECT COALESCE(SUM(stock_quantity), 0)::integer AS total_stock
+    FROM product_variants
+    WHERE product_id = p_product_id
+  ) v
+  WHERE id = p_product_id;
+END;
+$$;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE p.proname = 'update_updated_at_column'
+      AND n.nspname = 'public'
+  ) THEN
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_product_variants_updated_at') THEN
+      CREATE TRIGGER update_product_variants_updated_at
+        BEFORE UPDATE ON public.product_variants
+        FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+    END IF;
+  END IF;
+END $$;
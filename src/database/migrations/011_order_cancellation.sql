@@ -0,0 +1,36 @@
+-- Order cancellation
+-- Records who cancelled an order and why; stock is restored by the application via
+-- restore_stock / restore_variant_stock in the same transaction.
+
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS cancelled_by UUID;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_schema = 'public'
+      AND table_name = 'orders'
+      AND constraint_name = 'orders_cancelled_by_fkey'
+  ) THEN
+    ALTER TABLE public.orders
+      ADD CONSTRAINT orders_cancelled_by_fkey
+      FOREIGN KEY (cancelled_by) REFERENCES public.users(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE OR REPLACE FUNCTION public.restore_variant_stock(p_variant_id uuid, p_quantity integer)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE product_variants
+  SET
+    stock_quantity = stock_quantity + p_quantity,
+    updated_at = now()
+  WHERE id = p_variant_id;
+END;
+$$;
@@ -0,0 +1,23 @@
+-- Order status history
+-- Every status change (including placement) is appended here with the actor and a note.
+
+CREATE TABLE IF NOT EXISTS public.order_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  changed_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id
+  ON public.order_status_history(order_id, created_at);
+
+-- Seed a starting entry for orders placed before history was recorded
+INSERT INTO public.order_status_history (order_id, from_status, to_status, created_at, note)
+SELECT o.id, NULL, o.status, o.created_at, 'Imported current status'
+FROM public.orders o
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.order_status_history h WHERE h.order_id = o.id
+);
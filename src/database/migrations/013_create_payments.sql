@@ -0,0 +1,42 @@
+-- Payments
+-- One row per payment attempt against an order. Amounts are in the order currency;
+-- refunded_amount accumulates partial refunds.
+
+CREATE TABLE IF NOT EXISTS public.payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL,
+  provider_payment_id TEXT,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'requires_action', 'authorized', 'captured', 'partially_refunded', 'refunded', 'failed')),
+  amount DECIMAL(10,2) NOT NULL,
+  refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  failure_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_provider_payment_id
+  ON public.payments(provider, provider_payment_id)
+  WHERE provider_payment_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON public.payments(order_id);
+CREATE INDEX IF NOT EXISTS idx_payments_status ON public.payments(status);
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE p.proname = 'update_updated_at_column'
+      AND n.nspname = 'public'
+  ) THEN
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_payments_updated_at') THEN
+      CREATE TRIGGER update_payments_updated_at
+        BEFORE UPDATE ON public.payments
+        FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+    END IF;
+  END IF;
+END $$;
@@ -0,0 +1,65 @@
+-- Returns (RMA) and refunds
+-- Customers open a return for specific order lines; admins approve or reject it and,
+-- once the shoes arrive back, mark it received, which restocks and refunds.
+
+CREATE TABLE IF NOT EXISTS public.return_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'requested'
+    CHECK (status IN ('requested', 'approved', 'rejected', 'received', 'refunded')),
+  reason TEXT NOT NULL,
+  admin_note TEXT,
+  refund_amount DECIMAL(10,2),
+  resolved_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP WITH TIME ZONE,
+  received_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.return_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  return_id UUID NOT NULL REFERENCES public.return_requests(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES public.order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  UNIQUE (return_id, order_item_id)
+);
+
+-- Every refund issued against an order, full or partial
+CREATE TABLE IF NOT EXISTS public.refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  payment_id UUID REFERENCES public.payments(id) ON DELETE SET NULL,
+  return_id UUID REFERENCES public.return_requests(id) ON DELETE SET NULL,
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  reason TEXT,
+  provider_refund_id TEXT,
+  created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_requests_order_id ON public.return_requests(order_id);
+CREATE INDEX IF NOT EXISTS idx_return_requests_user_id ON public.return_requests(user_id);
+CREATE INDEX IF NOT EXISTS idx_return_requests_status ON public.return_requests(status);
+CREATE INDEX IF NOT EXISTS idx_return_items_return_id ON public.return_items(return_id);
+CREATE INDEX IF NOT EXISTS idx_return_items_order_item_id ON public.return_items(order_item_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON public.refunds(order_id);
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE p.proname = 'update_updated_at_column'
+      AND n.nspname = 'public'
+  ) THEN
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_return_requests_updated_at') THEN
+      CREATE TRIGGER update_return_requests_updated_at
+        BEFORE UPDATE ON public.return_requests
+        FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+    END IF;
+  END IF;
+END $$;
@@ -0,0 +1,68 @@
+-- Coupons and promotions
+-- Admin-managed codes that customers apply at checkout. The discount is computed
+-- server-side and snapshotted on the order; each use is recorded as a redemption
+-- so per-user and global usage limits can be enforced.
+
+CREATE TABLE IF NOT EXISTS public.coupons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT NOT NULL,
+  description TEXT,
+  type TEXT NOT NULL
+    CHECK (type IN ('percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y')),
+  -- Percent off for percentage coupons, amount off for fixed_amount coupons
+  value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (value >= 0),
+  buy_quantity INTEGER CHECK (buy_quantity > 0),
+  get_quantity INTEGER CHECK (get_quantity > 0),
+  min_order_value DECIMAL(10,2) CHECK (min_order_value >= 0),
+  starts_at TIMESTAMP WITH TIME ZONE,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  usage_limit INTEGER CHECK (usage_limit > 0),
+  usage_limit_per_user INTEGER CHECK (usage_limit_per_user > 0),
+  times_used INTEGER NOT NULL DEFAULT 0,
+  -- Empty scopes mean the coupon applies to every product
+  product_ids UUID[] NOT NULL DEFAULT '{}',
+  categories TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  CHECK (type <> 'percentage' OR value <= 100),
+  CHECK (type <> 'buy_x_get_y' OR (buy_quantity IS NOT NULL AND get_quantity IS NOT NULL)),
+  CHECK (starts_at IS NULL OR ends_at IS NULL OR starts_at < ends_at)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coupons_code ON public.coupons(UPPER(code));
+
+CREATE TABLE IF NOT EXISTS public.coupon_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  coupon_id UUID NOT NULL REFERENCES public.coupons(id) ON DELETE CASCADE,
+  order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  UNIQUE (coupon_id, order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon_user ON public.coupon_redemptions(coupon_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_order_id ON public.coupon_redemptions(order_id);
+
+-- Discount snapshot on the order; the code is kept even if the coupon is deleted
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS coupon_id UUID REFERENCES public.coupons(id) ON DELETE SET NULL;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS coupon_code TEXT;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE p.proname = 'update_updated_at_column'
+      AND n.nspname = 'public'
+  ) THEN
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_coupons_updated_at') THEN
+      CREATE TRIGGER update_coupons_updated_at
+        BEFORE UPDATE ON public.coupons
+        FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+    END IF;
+  END IF;
+END $$;
@@ -0,0 +1,82 @@
+-- Shipping zones, methods and rates
+-- A zone groups destination countries; each zone offers methods (standard, express,
+-- pickup) priced flat, per started kilogram or per item, with an optional free-shipping
+-- threshold. The chosen method and its cost are snapshotted on the order.
+
+-- Shipping weight of one pair, box included
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS weight_grams INTEGER NOT NULL DEFAULT 1000;
+
+CREATE TABLE IF NOT EXISTS public.shipping_zones (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  -- ISO 3166-1 alpha-2 codes; an empty list makes this the fallback zone for every other country
+  countries TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.shipping_methods (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  zone_id UUID NOT NULL REFERENCES public.shipping_zones(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('standard', 'express', 'pickup')),
+  rate_type TEXT NOT NULL DEFAULT 'flat' CHECK (rate_type IN ('flat', 'weight', 'quantity')),
+  base_rate DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (base_rate >= 0),
+  -- Added per started kilogram (weight) or per item (quantity)
+  per_unit_rate DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (per_unit_rate >= 0),
+  free_shipping_threshold DECIMAL(10,2) CHECK (free_shipping_threshold >= 0),
+  min_delivery_days INTEGER CHECK (min_delivery_days >= 0),
+  max_delivery_days INTEGER CHECK (max_delivery_days >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_zones_countries ON public.shipping_zones USING GIN(countries);
+CREATE INDEX IF NOT EXISTS idx_shipping_methods_zone_id ON public.shipping_methods(zone_id);
+
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS shipping_method_id UUID REFERENCES public.shipping_methods(id) ON DELETE SET NULL;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS shipping_method_name TEXT;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS shipping_cost DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Seed a worldwide zone so checkout keeps working until admins configure their own
+DO $$
+DECLARE
+  default_zone_id UUID;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM public.shipping_zones) THEN
+    INSERT INTO public.shipping_zones (name)
+    VALUES ('Worldwide')
+    RETURNING id INTO default_zone_id;
+
+    INSERT INTO public.shipping_methods
+      (zone_id, name, type, rate_type, base_rate, per_unit_rate, free_shipping_threshold, min_delivery_days, max_delivery_days)
+    VALUES
+      (default_zone_id, 'Standard shipping', 'standard', 'flat', 5.99, 0, 100, 3, 7),
+      (default_zone_id, 'Express shipping', 'express', 'weight', 12.99, 2.50, NULL, 1, 2);
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE p.proname = 'update_updated_at_column'
+      AND n.nspname = 'public'
+  ) THEN
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_shipping_zones_updated_at') THEN
+      CREATE TRIGGER update_shipping_zones_updated_at
+        BEFORE UPDATE ON public.shipping_zones
+        FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_shipping_methods_updated_at') THEN
+      CREATE TRIGGER update_shipping_methods_updated_at
+        BEFORE UPDATE ON public.shipping_methods
+        FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+    END IF;
+  END IF;
+END $$;
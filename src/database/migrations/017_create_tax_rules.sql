@@ -0,0 +1,54 @@
+-- Regional tax rules and per-order tax lines
+-- A rule applies to a country, optionally narrowed to a state, a postal code prefix
+-- and/or a product category. For every order line the most specific matching rule
+-- wins; the tax charged is stored as tax lines and as orders.tax_amount.
+
+CREATE TABLE IF NOT EXISTS public.tax_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  country TEXT NOT NULL,
+  state TEXT,
+  postal_prefix TEXT,
+  category TEXT,
+  -- Percentage, e.g. 8.250 for 8.25%
+  rate DECIMAL(6,3) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+  applies_to_shipping BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tax_rules_country ON public.tax_rules(country);
+
+CREATE TABLE IF NOT EXISTS public.order_tax_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  tax_rule_id UUID REFERENCES public.tax_rules(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  rate DECIMAL(6,3) NOT NULL,
+  taxable_amount DECIMAL(10,2) NOT NULL,
+  tax_amount DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_tax_lines_order_id ON public.order_tax_lines(order_id);
+
+-- orders.total is the grand total: subtotal - discount_amount + shipping_cost + tax_amount
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE p.proname = 'update_updated_at_column'
+      AND n.nspname = 'public'
+  ) THEN
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_tax_rules_updated_at') THEN
+      CREATE TRIGGER update_tax_rules_updated_at
+        BEFORE UPDATE ON public.tax_rules
+        FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+    END IF;
+  END IF;
+END $$;
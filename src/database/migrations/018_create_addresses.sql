@@ -0,0 +1,45 @@
+-- Saved customer addresses
+-- Each customer may mark one address as the default for shipping and one for billing.
+-- Orders copy the address into orders.shipping_address, so editing or deleting a saved
+-- address never changes past orders.
+
+CREATE TABLE IF NOT EXISTS public.addresses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  label TEXT,
+  full_name TEXT NOT NULL,
+  line1 TEXT NOT NULL,
+  line2 TEXT,
+  city TEXT NOT NULL,
+  state TEXT,
+  postal_code TEXT,
+  country TEXT NOT NULL,
+  phone TEXT,
+  is_default_shipping BOOLEAN NOT NULL DEFAULT false,
+  is_default_billing BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_addresses_user_id ON public.addresses(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_addresses_default_shipping
+  ON public.addresses(user_id) WHERE is_default_shipping;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_addresses_default_billing
+  ON public.addresses(user_id) WHERE is_default_billing;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE p.proname = 'update_updated_at_column'
+      AND n.nspname = 'public'
+  ) THEN
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_addresses_updated_at') THEN
+      CREATE TRIGGER update_addresses_updated_at
+        BEFORE UPDATE ON public.addresses
+        FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+    END IF;
+  END IF;
+END $$;
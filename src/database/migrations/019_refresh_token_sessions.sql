@@ -0,0 +1,34 @@
+-- One refresh token row per session
+-- refresh_tokens used user_id as its primary key (see 004), so signing in on a second
+-- device replaced the first device's token. Each login now gets its own row, keyed by
+-- a session id that is also carried in the tokens, with device details for the
+-- sessions list.
+
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS id UUID NOT NULL DEFAULT gen_random_uuid();
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS device_name TEXT;
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS ip_address TEXT;
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now();
+
+DO $$
+BEGIN
+  -- Move the primary key from user_id to id
+  IF EXISTS (
+    SELECT 1
+    FROM pg_index i
+    JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+    WHERE i.indrelid = 'public.refresh_tokens'::regclass
+      AND i.indisprimary
+      AND a.attname = 'user_id'
+  ) THEN
+    ALTER TABLE public.refresh_tokens DROP CONSTRAINT refresh_tokens_pkey;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_index
+    WHERE indrelid = 'public.refresh_tokens'::regclass AND indisprimary
+  ) THEN
+    ALTER TABLE public.refresh_tokens ADD CONSTRAINT refresh_tokens_pkey PRIMARY KEY (id);
+  END IF;
+END $$;
@@ -0,0 +1,33 @@
+-- Refresh token rotation and reuse detection
+-- Only a SHA-256 hash of each refresh token is stored. Every refresh replaces the
+-- session's token; presenting an already rotated token of a session revokes that
+-- session (the token family) and is recorded in security_events.
+
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS token_hash TEXT;
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS previous_token_hash TEXT;
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP WITH TIME ZONE;
+
+-- Hash the plaintext tokens of existing sessions, then forget them. The token column
+-- stays (nullable) because 001 still indexes it on every migration run.
+ALTER TABLE public.refresh_tokens ALTER COLUMN token DROP NOT NULL;
+
+UPDATE public.refresh_tokens
+SET token_hash = encode(sha256(convert_to(token, 'UTF8')), 'hex'),
+    token = NULL
+WHERE token IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refresh_tokens_token_hash ON public.refresh_tokens(token_hash);
+
+CREATE TABLE IF NOT EXISTS public.security_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  ip_address TEXT,
+  user_agent TEXT,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_events_user_id ON public.security_events(user_id);
+CREATE INDEX IF NOT EXISTS idx_security_events_type ON public.security_events(type);
+CREATE INDEX IF NOT EXISTS idx_security_events_created_at ON public.security_events(created_at);
@@ -0,0 +1,36 @@
+-- TOTP two-factor authentication
+-- A user enrolls by generating a secret (stored while totp_enabled is still false) and
+-- confirming it with a code. Once enabled, a correct password only yields a short-lived
+-- login challenge; tokens are issued after a valid code or an unused recovery code.
+
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+-- Last accepted 30-second time step, so a code cannot be replayed
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS public.two_factor_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  -- bcrypt hash of the code
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON public.two_factor_recovery_codes(user_id);
+
+-- Pending second login steps; the challenge token itself is only stored as a SHA-256 hash
+CREATE TABLE IF NOT EXISTS public.login_challenges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  user_agent TEXT,
+  ip_address TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_login_challenges_token_hash ON public.login_challenges(token_hash);
+CREATE INDEX IF NOT EXISTS idx_login_challenges_user_id ON public.login_challenges(user_id);
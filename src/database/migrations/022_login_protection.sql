@@ -0,0 +1,25 @@
+-- Per-account brute-force protection
+-- Every password login attempt is recorded. Consecutive failures on an account slow
+-- down further attempts and eventually lock it for a while; a successful login resets
+-- the counter. Successful logins also tell which devices a user has signed in from.
+
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS public.login_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- NULL when the email does not belong to an account
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  succeeded BOOLEAN NOT NULL,
+  -- e.g. invalid_password, invalid_second_factor, unknown_email, locked
+  failure_reason TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user_id ON public.login_attempts(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON public.login_attempts(email, created_at);
+CREATE INDEX IF NOT EXISTS idx_users_locked_until ON public.users(locked_until) WHERE locked_until IS NOT NULL;
@@ -0,0 +1,33 @@
+-- External (OpenID Connect) login identities
+-- An account can sign in with its password and/or any number of linked identities.
+-- Accounts created through an identity provider have no password until they set one.
+
+ALTER TABLE public.users ALTER COLUMN password_hash DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.user_identities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  -- Configured provider name, e.g. google
+  provider TEXT NOT NULL,
+  -- The provider's stable user id (the ID token "sub" claim)
+  subject TEXT NOT NULL,
+  email TEXT,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  UNIQUE (provider, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON public.user_identities(user_id);
+
+-- Authorization requests in flight: state, PKCE verifier and nonce, used once
+CREATE TABLE IF NOT EXISTS public.oidc_login_states (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  state_hash TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  code_verifier TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_oidc_login_states_state_hash ON public.oidc_login_states(state_hash);
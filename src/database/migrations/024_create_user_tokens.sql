@@ -0,0 +1,18 @@
+-- Single-use tokens emailed to users, e.g. passwordless sign-in links
+-- Only a SHA-256 hash of each token is stored. A token is spent by setting used_at;
+-- issuing a new token for the same purpose spends the user's older ones.
+
+CREATE TABLE IF NOT EXISTS public.user_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  -- e.g. magic_link
+  purpose TEXT NOT NULL,
+  token_hash TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  ip_address TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_tokens_token_hash ON public.user_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON public.user_tokens(user_id, purpose);
@@ -0,0 +1,30 @@
+-- Email verification and password reset codes move to user_tokens
+-- users.verification_code and users.password_reset_code held live codes in plaintext.
+-- They are now issued as user_tokens rows (purposes email_verification and
+-- password_reset) storing only a keyed hash (HMAC-SHA256 with TOKEN_HASH_SECRET), so
+-- even short numeric codes cannot be recovered from a database read. Wrong guesses are
+-- counted per code, and a code is spent after too many.
+--
+-- SQL cannot compute the keyed hash, so codes still live in the old columns are not
+-- carried over: they are cleared and users request a new one (they expire within
+-- 15 minutes anyway). The columns stay because 003 re-creates them on every run.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'user_tokens' AND column_name = 'attempts'
+  ) THEN
+    ALTER TABLE public.user_tokens ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+
+    -- Tokens issued before keyed hashing can no longer be matched
+    UPDATE public.user_tokens SET used_at = NOW() WHERE used_at IS NULL;
+  END IF;
+END $$;
+
+UPDATE public.users
+SET verification_code = NULL,
+    verification_code_expires_at = NULL,
+    password_reset_code = NULL,
+    password_reset_code_expires_at = NULL
+WHERE verification_code IS NOT NULL OR password_reset_code IS NOT NULL;
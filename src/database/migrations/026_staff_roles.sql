@@ -0,0 +1,12 @@
+-- Staff roles for fine-grained admin permissions
+-- The role -> permission mapping lives in src/config/permissions.js. 'admin' stays as a
+-- legacy role with every permission. New enum values cannot be used in the transaction
+-- that adds them, so this file only adds them.
+
+ALTER TYPE public.app_role ADD VALUE IF NOT EXISTS 'super_admin';
+ALTER TYPE public.app_role ADD VALUE IF NOT EXISTS 'catalog_manager';
+ALTER TYPE public.app_role ADD VALUE IF NOT EXISTS 'fulfillment';
+ALTER TYPE public.app_role ADD VALUE IF NOT EXISTS 'support';
+
+ALTER TABLE public.user_roles
+  ADD COLUMN IF NOT EXISTS granted_by UUID REFERENCES public.users(id) ON DELETE SET NULL;
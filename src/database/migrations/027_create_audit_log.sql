@@ -0,0 +1,62 @@
+-- Append-only audit trail of admin mutations and auth events
+-- changes holds { before, after } with only the fields that changed (secrets redacted).
+-- actor_id has no foreign key: deleting a user must not rewrite history, and rows can
+-- never be deleted or updated, except to anonymize them (enforced by the trigger below).
+
+CREATE TABLE IF NOT EXISTS public.audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor_id UUID,
+  -- e.g. product.update, auth.login
+  action TEXT NOT NULL,
+  entity_type TEXT,
+  entity_id TEXT,
+  changes JSONB,
+  metadata JSONB,
+  ip_address TEXT,
+  user_agent TEXT,
+  request_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON public.audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON public.audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON public.audit_log(entity_type, entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON public.audit_log(action, created_at DESC);
+
+-- Set when an account deletion scrubbed the entry's IP address, user agent and email
+ALTER TABLE public.audit_log ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP WITH TIME ZONE;
+
+-- The one update allowed is that scrub (see anonymizeUserAuditEntries): it may only clear
+-- ip_address and user_agent, drop metadata.email and set anonymized_at, once
+CREATE OR REPLACE FUNCTION public.prevent_audit_log_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    IF OLD.anonymized_at IS NULL
+      AND NEW.anonymized_at IS NOT NULL
+      AND NEW.ip_address IS NULL
+      AND NEW.user_agent IS NULL
+      AND NEW.metadata IS NOT DISTINCT FROM (OLD.metadata - 'email')
+      AND (NEW.id, NEW.actor_id, NEW.action, NEW.entity_type, NEW.entity_id, NEW.changes, NEW.request_id, NEW.created_at)
+        IS NOT DISTINCT FROM
+          (OLD.id, OLD.actor_id, OLD.action, OLD.entity_type, OLD.entity_id, OLD.changes, OLD.request_id, OLD.created_at)
+    THEN
+      RETURN NEW;
+    END IF;
+  END IF;
+
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON public.audit_log;
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON public.audit_log
+  FOR EACH ROW EXECUTE FUNCTION public.prevent_audit_log_changes();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON public.audit_log;
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON public.audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION public.prevent_audit_log_changes();
@@ -0,0 +1,7 @@
+-- Self-service account deletion
+-- Orders, payments and refunds reference users with ON DELETE CASCADE and are kept for
+-- accounting, so a deleted account is not removed: its users row is scrubbed of personal
+-- data, deactivated and stamped with deleted_at, and its orders are anonymized.
+
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP WITH TIME ZONE;
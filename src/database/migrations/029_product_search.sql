@@ -0,0 +1,19 @@
+-- Product search
+-- search_vector weights name (A) over category (B) over description (C) for full-text
+-- ranking; search_text (name and category) backs trigram matching of misspelled terms
+-- such as "snekers".
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english'::regconfig, COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('english'::regconfig, COALESCE(category, '')), 'B') ||
+    setweight(to_tsvector('english'::regconfig, COALESCE(description, '')), 'C')
+  ) STORED;
+
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS search_text TEXT
+  GENERATED ALWAYS AS (LOWER(COALESCE(name, '') || ' ' || COALESCE(category, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON public.products USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_products_search_text_trgm ON public.products USING GIN (search_text gin_trgm_ops);
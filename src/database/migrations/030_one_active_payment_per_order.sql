@@ -0,0 +1,23 @@
+-- One active payment per order
+-- A payment that is pending, waiting on the customer, authorized or captured blocks any
+-- further attempt on its order (checked under a row lock in payOrder; this index is the
+-- backstop). Older duplicate attempts that never completed are marked failed first so
+-- the index can be built. Two captured payments on one order must be refunded by hand.
+
+UPDATE public.payments p
+SET status = 'failed',
+    failure_reason = 'Superseded by another payment attempt',
+    updated_at = now()
+WHERE p.status IN ('pending', 'requires_action', 'authorized')
+  AND EXISTS (
+    SELECT 1
+    FROM public.payments other
+    WHERE other.order_id = p.order_id
+      AND other.id <> p.id
+      AND other.status IN ('pending', 'requires_action', 'authorized', 'captured')
+      AND (other.status = 'captured' OR other.created_at > p.created_at)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_one_active_per_order
+  ON public.payments(order_id)
+  WHERE status IN ('pending', 'requires_action', 'authorized', 'captured');
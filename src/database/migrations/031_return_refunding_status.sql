@@ -0,0 +1,8 @@
+-- Return refund claims
+-- A return moves to 'refunding' while its refund is with the payment provider, so a
+-- second refund attempt finds it already claimed. One left in 'refunding' after a crash
+-- must be checked against the refunds table before it is retried.
+
+ALTER TABLE public.return_requests DROP CONSTRAINT IF EXISTS return_requests_status_check;
+ALTER TABLE public.return_requests ADD CONSTRAINT return_requests_status_check
+  CHECK (status IN ('requested', 'approved', 'rejected', 'received', 'refunding', 'refunded'));
@@ -0,0 +1,20 @@
+-- Discount and tax per order line
+-- Each line stores its share of the coupon discount and of the tax charged on it
+-- (tax on shipping stays with the order), so a return refunds what was actually paid
+-- for the returned units. line_total - discount_amount + tax_amount is the line's net.
+
+ALTER TABLE public.order_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE public.order_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Orders placed before lines kept their discount get it spread in proportion to line
+-- totals; their tax cannot be split reliably and stays on the order
+UPDATE public.order_items oi
+SET discount_amount = COALESCE(ROUND(o.discount_amount * oi.line_total / NULLIF(o.subtotal, 0), 2), 0)
+FROM public.orders o
+WHERE o.id = oi.order_id
+  AND o.discount_amount > 0
+  AND oi.line_total IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM public.order_items other
+    WHERE other.order_id = o.id AND other.discount_amount > 0
+  );
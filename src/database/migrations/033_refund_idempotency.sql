@@ -0,0 +1,23 @@
+-- Idempotent refunds
+-- A refund is recorded as 'pending' with an idempotency key before the payment provider
+-- is called, outside any transaction. A provider call that times out leaves it pending;
+-- retrying the same refund sends the same key, so the provider cannot pay out twice.
+-- Pending refunds count against what is left to refund on their payment. Rows from
+-- before this migration were written after the provider succeeded.
+
+ALTER TABLE public.refunds ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'succeeded';
+ALTER TABLE public.refunds ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+ALTER TABLE public.refunds ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+ALTER TABLE public.refunds ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now();
+
+ALTER TABLE public.refunds DROP CONSTRAINT IF EXISTS refunds_status_check;
+ALTER TABLE public.refunds ADD CONSTRAINT refunds_status_check
+  CHECK (status IN ('pending', 'succeeded', 'failed'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_idempotency_key
+  ON public.refunds(idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_refunds_pending_payment_id
+  ON public.refunds(payment_id)
+  WHERE status = 'pending';
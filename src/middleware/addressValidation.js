@@ -0,0 +1,120 @@
+import { body } from 'express-validator';
+
+// Fields of a postal address, in the order they are printed on a label
+export const ADDRESS_FIELDS = ['fullName', 'line1', 'line2', 'city', 'state', 'postalCode', 'country', 'phone'];
+
+const DEFAULT_POSTAL_CODE = /^[A-Za-z0-9 -]{2,12}$/;
+
+/**
+ * Country-specific address requirements; countries not listed need a postal code in
+ * DEFAULT_POSTAL_CODE format and no state
+ */
+const COUNTRY_ADDRESS_RULES = {
+  US: { stateRequired: true, postalCode: /^\d{5}(-\d{4})?$/ },
+  CA: { stateRequired: true, postalCode: /^[A-Za-z]\d[A-Za-z] ?\d[A-Za-z]\d$/ },
+  AU: { stateRequired: true, postalCode: /^\d{4}$/ },
+  IN: { stateRequired: true, postalCode: /^\d{6}$/ },
+  GB: { postalCode: /^[A-Za-z]{1,2}\d[A-Za-z\d]? ?\d[A-Za-z]{2}$/ },
+  DE: { postalCode: /^\d{5}$/ },
+  FR: { postalCode: /^\d{5}$/ },
+  // No postal codes in general use
+  AE: { postalCodeRequired: false },
+  HK: { postalCodeRequired: false },
+  IE: { postalCodeRequired: false, postalCode: /^[A-Za-z\d]{3} ?[A-Za-z\d]{4}$/ },
+};
+
+/**
+ * Check an address against the rules of its country; returns an error message or null
+ */
+export const addressRuleError = (address) => {
+  const country = String(address.country || '').toUpperCase();
+  const rules = COUNTRY_ADDRESS_RULES[country] || {};
+
+  if (rules.stateRequired && !address.state) {
+    return `A state or province is required for addresses in ${country}`;
+  }
+
+  if (!address.postalCode) {
+    return rules.postalCodeRequired === false ? null : `A postal code is required for addresses in ${country}`;
+  }
+
+  if (!(rules.postalCode || DEFAULT_POSTAL_CODE).test(address.postalCode)) {
+    return `"${address.postalCode}" is not a valid postal code for ${country}`;
+  }
+
+  return null;
+};
+
+/**
+ * Validation chains for an address object in the request body
+ * @param {string} field - Body field holding the address, e.g. 'shippingAddress', or '' for the body itself
+ * @param {Object} options - partial: every field optional and country rules left to the caller
+ *                           (for updates merged onto a saved address); when: only validate if this
+ *                           condition chain passes
+ */
+export const addressValidators = (field, { partial = false, when = null } = {}) => {
+  const path = (key) => (field ? `${field}.${key}` : key);
+  const chain = (key, message) => {
+    const validator = body(key, message);
+    return when ? validator.if(when) : validator;
+  };
+
+  const requiredText = (key, max) => {
+    const validator = chain(path(key), `${path(key)} is required and must be ${max} characters or less`);
+    return (partial ? validator.optional() : validator).isString().trim().isLength({ min: 1, max });
+  };
+
+  const optionalText = (key, max) =>
+    chain(path(key), `${path(key)} must be ${max} characters or less`)
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max });
+
+  const country = chain(path('country'), `${path('country')} must be a two-letter ISO country code`);
+
+  const validators = [
+    requiredText('fullName', 100),
+    requiredText('line1', 200),
+    optionalText('line2', 200),
+    requiredText('city', 100),
+    optionalText('state', 100),
+    optionalText('postalCode', 12),
+    (partial ? country.optional() : country).isString().trim().toUpperCase().isISO31661Alpha2(),
+    chain(path('phone'), `${path('phone')} is not a valid phone number`)
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .matches(/^\+?[0-9 ()-]{6,20}$/),
+  ];
+
+  if (field) {
+    validators.unshift(chain(field, `${field} is required`).isObject());
+  }
+
+  if (!partial) {
+    validators.push(
+      chain(path('country')).custom((value, { req }) => {
+        const message = addressRuleError(field ? req.body[field] : req.body);
+        if (message) throw new Error(message);
+        return true;
+      })
+    );
+  }
+
+  return validators;
+};
+
+/**
+ * Keep only the schema fields of a validated address, dropping anything else the client sent
+ */
+export const pickAddress = (address) => {
+  return Object.fromEntries(ADDRESS_FIELDS.map((key) => [key, address[key] ?? null]));
+};
+
+export default {
+  ADDRESS_FIELDS,
+  addressRuleError,
+  addressValidators,
+  pickAddress,
+};
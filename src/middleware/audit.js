@@ -0,0 +1,120 @@
+import { query } from '../config/database.js';
+import { recordAudit } from '../services/auditService.js';
+
+/**
+ * Who did something and from where, for audit entries
+ */
+export const auditContext = (req) => ({
+  actorId: req.userId || null,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent') || null,
+  requestId: req.id || null,
+});
+
+/**
+ * Record an auth event (login, password change, ...) about a user. Callers need not
+ * await it: recordAudit never throws.
+ * @param {Object} options - userId the event is about (defaults to the signed-in user), metadata;
+ *                           clientDetails false leaves out the IP address and user agent
+ */
+export const recordAuthEvent = (
+  req,
+  action,
+  { userId = req.userId || null, metadata = null, clientDetails = true } = {}
+) =>
+  recordAudit({
+    ...auditContext(req),
+    ...(!clientDetails && { ipAddress: null, userAgent: null }),
+    actorId: userId,
+    action,
+    entityType: 'user',
+    entityId: userId,
+    metadata,
+  });
+
+/**
+ * Record an auth event about whoever owns an email address, such as a failed login or a
+ * password reset request. The address itself is not stored: it is personal data, and for
+ * unknown addresses it may not even belong to a customer. Never throws.
+ */
+export const recordAuthEventForEmail = async (req, action, email, { metadata = null } = {}) => {
+  let userId = null;
+  try {
+    const result = await query(`SELECT id FROM users WHERE LOWER(email) = LOWER($1)`, [String(email || '')]);
+    userId = result.rows[0]?.id || null;
+  } catch (error) {
+    console.error(`Failed to look up the account for ${action}:`, error);
+  }
+
+  await recordAudit({
+    ...auditContext(req),
+    actorId: null,
+    action,
+    entityType: 'user',
+    entityId: userId,
+    metadata: { ...metadata, knownAccount: userId !== null },
+  });
+};
+
+const loadRow = async (table, id) => {
+  const result = await query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Middleware recording a successful admin mutation in the audit log, with a before/after diff
+ * @param {string} action - e.g. product.update
+ * @param {string} entityType - e.g. product
+ * @param {Object} options
+ *   - table and idParam: load the entity by the route parameter before and after the change
+ *   - load: async (req) => state, instead of table, for entities that are not one row
+ *   - resultKey: take the new entity from the response's data[resultKey] (for creates)
+ */
+export const audit = (action, entityType, { table = null, idParam = null, load = null, resultKey = null } = {}) =>
+  async (req, res, next) => {
+    const entityId = idParam ? req.params[idParam] : null;
+    const loadState = load || (table && entityId ? () => loadRow(table, entityId) : null);
+
+    let before = null;
+    if (loadState) {
+      try {
+        before = await loadState(req);
+      } catch {
+        // e.g. a malformed id; the route rejects the request itself
+      }
+    }
+
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      let after = null;
+      if (resultKey) {
+        const result = responseBody?.data?.[resultKey] ?? null;
+        after = result !== null && typeof result !== 'object' ? { [resultKey]: result } : result;
+      } else if (loadState) {
+        try {
+          after = await loadState(req);
+        } catch (error) {
+          console.error(`Failed to load ${entityType} after ${action}:`, error);
+        }
+      }
+
+      await recordAudit({
+        ...auditContext(req),
+        action,
+        entityType,
+        entityId: entityId || after?.id || null,
+        before,
+        after,
+      });
+    });
+
+    next();
+  };
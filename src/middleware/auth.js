@@ -1,5 +1,9 @@
 import { verifyAccessToken } from '../config/jwt.js';
 import { query } from '../config/database.js';
+import { getPermissionsForRoles } from '../config/permissions.js';
+
+// When on, admins must enroll in two-factor authentication before admin routes work
+const ADMIN_REQUIRE_2FA = process.env.ADMIN_REQUIRE_2FA === 'true';
 
 /**
  * Middleware to authenticate requests using JWT
@@ -30,12 +34,16 @@ export const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = verifyAccessToken(token);
 
-    // Get user from database
+    // Get user from database, checking that the token's session has not been revoked
     const result = await query(
-      `SELECT id, email, full_name, avatar_url, phone, email_verified, created_at 
+      `SELECT id, email, full_name, avatar_url, phone, email_verified, created_at,
+              ($2::uuid IS NULL OR EXISTS (
+                SELECT 1 FROM refresh_tokens
+                WHERE id = $2 AND user_id = users.id AND expires_at > NOW()
+              )) AS session_active
        FROM users 
        WHERE id = $1 AND is_active = true`,
-      [decoded.userId]
+      [decoded.userId, decoded.sessionId || null]
     );
 
     if (result.rows.length === 0) {
@@ -45,9 +53,18 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    const { session_active: sessionActive, ...user } = result.rows[0];
+    if (!sessionActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked. Please log in again.',
+      });
+    }
+
     // Attach user to request object
-    req.user = result.rows[0];
+    req.user = user;
     req.userId = decoded.userId;
+    req.sessionId = decoded.sessionId || null;
 
     next();
   } catch (error) {
@@ -66,8 +83,29 @@ export const authenticate = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user has admin role
- * Must be used after authenticate middleware
+ * Load the user's staff roles and effective permissions into req.userRoles and req.permissions
+ * @returns {boolean} whether the user has two-factor authentication enabled
+ */
+const loadStaffAccess = async (req) => {
+  const result = await query(
+    `SELECT u.totp_enabled,
+            COALESCE(array_agg(ur.role::text) FILTER (WHERE ur.role IS NOT NULL), '{}') AS roles
+     FROM users u
+     LEFT JOIN user_roles ur ON ur.user_id = u.id
+     WHERE u.id = $1
+     GROUP BY u.id`,
+    [req.userId]
+  );
+
+  const row = result.rows[0] || { roles: [], totp_enabled: false };
+  req.userRoles = row.roles;
+  req.permissions = getPermissionsForRoles(row.roles);
+  return row.totp_enabled;
+};
+
+/**
+ * Middleware to check that the user has a staff role (any role with admin permissions)
+ * Must be used after authenticate middleware; use requirePermission for individual routes
  */
 export const requireAdmin = async (req, res, next) => {
   try {
@@ -78,21 +116,23 @@ export const requireAdmin = async (req, res, next) => {
       });
     }
 
-    // Check if user has admin role
-    const result = await query(
-      `SELECT role FROM user_roles 
-       WHERE user_id = $1 AND role = 'admin'`,
-      [req.userId]
-    );
+    const totpEnabled = await loadStaffAccess(req);
 
-    if (result.rows.length === 0) {
+    if (req.permissions.length === 0) {
       return res.status(403).json({
         success: false,
         error: 'Admin access required.',
       });
     }
 
-    req.userRole = 'admin';
+    if (ADMIN_REQUIRE_2FA && !totpEnabled) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication must be enabled to use admin features.',
+        data: { twoFactorEnrollmentRequired: true },
+      });
+    }
+
     next();
   } catch (error) {
     console.error('Admin check error:', error);
@@ -102,3 +142,39 @@ export const requireAdmin = async (req, res, next) => {
     });
   }
 };
+
+/**
+ * Middleware factory requiring every listed permission (see config/permissions.js)
+ * Must be used after authenticate; reuses the permissions loaded by requireAdmin
+ */
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required.',
+      });
+    }
+
+    if (!req.permissions) {
+      await loadStaffAccess(req);
+    }
+
+    const missingPermissions = permissions.filter((permission) => !req.permissions.includes(permission));
+    if (missingPermissions.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to perform this action.',
+        data: { missingPermissions },
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Error checking permissions.',
+    });
+  }
+};
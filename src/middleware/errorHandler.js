@@ -4,6 +4,15 @@
 export const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
 
+  // Expected client errors raised through httpError
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      error: err.message,
+      ...(err.data !== undefined && { data: err.data }),
+    });
+  }
+
   // Validation errors
   if (err.name === 'ValidationError' || err.name === 'BadRequestError') {
     return res.status(400).json({
@@ -44,6 +53,16 @@ export const errorHandler = (err, req, res, next) => {
   });
 };
 
+/**
+ * Create an error whose status and message are safe to send to the client
+ */
+export const httpError = (status, message, data = undefined) => {
+  const error = new Error(message);
+  error.status = status;
+  error.data = data;
+  return error;
+};
+
 /**
  * 404 Not Found handler
  */
@@ -0,0 +1,46 @@
+import { generateGuestCartToken, getGuestCartId, getOrCreateGuestCartId } from '../services/cartService.js';
+
+export const GUEST_CART_COOKIE = 'guestCart';
+
+export const guestCartCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  signed: true,
+  maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+};
+
+/**
+ * Middleware to resolve the anonymous cart from the signed guest cart cookie
+ * Issues a new cookie when none (or a tampered one) is present and attaches req.cartId
+ */
+export const resolveGuestCart = async (req, res, next) => {
+  try {
+    // signedCookies holds false for a cookie whose signature does not match
+    let guestToken = req.signedCookies?.[GUEST_CART_COOKIE];
+
+    if (!guestToken) {
+      guestToken = generateGuestCartToken();
+      res.cookie(GUEST_CART_COOKIE, guestToken, guestCartCookieOptions);
+    }
+
+    req.cartId = await getOrCreateGuestCartId(guestToken);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware to look up the anonymous cart without creating one
+ * Attaches req.cartId, or null when the visitor has no (valid) cookie or no cart yet
+ */
+export const findGuestCart = async (req, res, next) => {
+  try {
+    const guestToken = req.signedCookies?.[GUEST_CART_COOKIE];
+    req.cartId = guestToken ? await getGuestCartId(guestToken) : null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,152 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { httpError } from './errorHandler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const envFlag = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined ? fallback : value === 'true';
+};
+
+/**
+ * Password requirements; every field can be overridden with a PASSWORD_* environment variable
+ */
+export const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8'),
+  // bcrypt ignores everything past 72 bytes
+  maxLength: Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH || '72'), 72),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  disallowPersonalInfo: envFlag('PASSWORD_DISALLOW_PERSONAL_INFO', true),
+  disallowCommon: envFlag('PASSWORD_DISALLOW_COMMON', true),
+};
+
+const BLOCKLIST_FILE =
+  process.env.PASSWORD_BLOCKLIST_FILE || path.resolve(__dirname, '../data/common-passwords.txt');
+
+let blocklist = null;
+
+/**
+ * The bundled list of common and breached passwords, lowercased; loaded on first use
+ */
+const getBlocklist = () => {
+  if (!blocklist) {
+    try {
+      blocklist = new Set(
+        readFileSync(BLOCKLIST_FILE, 'utf8')
+          .split(/\r?\n/)
+          .map((line) => line.trim().toLowerCase())
+          .filter((line) => line && !line.startsWith('#'))
+      );
+    } catch (error) {
+      console.error(`Failed to load password blocklist from ${BLOCKLIST_FILE}:`, error);
+      blocklist = new Set();
+    }
+  }
+  return blocklist;
+};
+
+/**
+ * Whether a password is on the blocklist, also after stripping the digits and symbols
+ * people tack on at the end (e.g. "Password123!")
+ */
+const isCommonPassword = (password) => {
+  const list = getBlocklist();
+  const lowered = password.toLowerCase();
+  const stem = lowered.replace(/[^a-z]+$/, '');
+  return list.has(lowered) || (stem.length >= 4 && list.has(stem));
+};
+
+/**
+ * Words from the user's email and name that must not appear in their password
+ */
+const personalWords = ({ email, fullName }) => {
+  const words = [];
+  if (email) {
+    words.push(...String(email).toLowerCase().split('@')[0].split(/[^a-z0-9]+/));
+  }
+  if (fullName) {
+    words.push(...String(fullName).toLowerCase().split(/\s+/));
+  }
+  return words.filter((word) => word.length >= 3);
+};
+
+/**
+ * Check a password against the policy
+ * @param {Object} context - { email, fullName } of the account, when known
+ * @returns {Array} failures as [{ code, message }], empty when the password is acceptable
+ */
+export const checkPassword = (password, context = {}) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return [{ code: 'required', message: 'Password is required' }];
+  }
+
+  const policy = PASSWORD_POLICY;
+  const failures = [];
+  const fail = (code, message) => failures.push({ code, message });
+
+  if (password.length < policy.minLength) {
+    fail('too_short', `Password must be at least ${policy.minLength} characters long`);
+  }
+  if (Buffer.byteLength(password) > policy.maxLength) {
+    fail('too_long', `Password must be at most ${policy.maxLength} characters long`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    fail('missing_lowercase', 'Password must contain a lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    fail('missing_uppercase', 'Password must contain an uppercase letter');
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    fail('missing_digit', 'Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    fail('missing_symbol', 'Password must contain a symbol');
+  }
+
+  if (policy.disallowPersonalInfo) {
+    const lowered = password.toLowerCase();
+    if (personalWords(context).some((word) => lowered.includes(word))) {
+      fail('contains_personal_info', 'Password must not contain your name or parts of your email address');
+    }
+  }
+
+  if (policy.disallowCommon && isCommonPassword(password)) {
+    fail('common_password', 'This password is too common or has appeared in a data breach');
+  }
+
+  return failures;
+};
+
+/**
+ * Policy requirements in the form returned to clients
+ */
+export const describePasswordPolicy = () => ({ ...PASSWORD_POLICY });
+
+/**
+ * Check a password and build the 400 error to pass to next(), or null when it is acceptable.
+ * The error data lists every failure so the frontend can show them all.
+ */
+export const passwordPolicyError = (password, context = {}) => {
+  const failures = checkPassword(password, context);
+  if (failures.length === 0) return null;
+
+  return httpError(400, failures[0].message, {
+    passwordPolicy: {
+      failures,
+      requirements: describePasswordPolicy(),
+    },
+  });
+};
+
+export default {
+  PASSWORD_POLICY,
+  checkPassword,
+  describePasswordPolicy,
+  passwordPolicyError,
+};
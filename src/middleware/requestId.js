@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+
+// Accepted from a proxy or client so one id can follow a request across services
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Middleware giving every request an id (req.id), echoed in the X-Request-Id response header
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
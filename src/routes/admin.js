@@ -4,8 +4,47 @@ import multer from 'multer';
 import { mkdir, writeFile } from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { query } from '../config/database.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { getClient, query } from '../config/database.js';
+import { authenticate, requireAdmin, requirePermission } from '../middleware/auth.js';
+import { audit } from '../middleware/audit.js';
+import {
+  ORDER_STATUSES,
+  ORDER_COLUMNS,
+  ORDER_ITEM_COLUMNS,
+  updateOrderStatus,
+  getStatusHistory,
+} from '../services/orderService.js';
+import { getOrderPayments, refundOrderPayments } from '../services/paymentService.js';
+import {
+  RETURN_STATUSES,
+  getReturnRequest,
+  listReturnRequests,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+} from '../services/returnService.js';
+import { VARIANT_COLUMNS, getProductVariants, syncProductVariantStock } from '../services/productService.js';
+import { COUPON_TYPES, COUPON_COLUMNS } from '../services/couponService.js';
+import { TAX_RULE_COLUMNS, getOrderTaxLines } from '../services/taxService.js';
+import {
+  SHIPPING_METHOD_TYPES,
+  SHIPPING_RATE_TYPES,
+  SHIPPING_ZONE_COLUMNS,
+  SHIPPING_METHOD_COLUMNS,
+} from '../services/shippingService.js';
+import { listLockouts, getLockout, clearLockout } from '../services/loginProtectionService.js';
+import { assignRole, getUserAccess, listUserRoles, revokeRole } from '../services/roleService.js';
+import {
+  listUsers,
+  getUserDetail,
+  setUserActive,
+  forceVerifyEmail,
+  sendPasswordResetEmail,
+  revokeAllUserSessions,
+} from '../services/adminUserService.js';
+import { PERMISSIONS, listRoles } from '../config/permissions.js';
+import { listAuditLog, exportAuditLogCsv } from '../services/auditService.js';
 
 const router = express.Router();
 
@@ -53,67 +92,83 @@ const validate = (req, res) => {
   return true;
 };
 
-router.post('/upload/product-image', (req, res, next) => {
-  upload.single('image')(req, res, (err) => {
-    if (err) {
-      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+router.post(
+  '/upload/product-image',
+  requirePermission('products:write'),
+  audit('product_image.upload', 'product_image', { resultKey: 'imageUrl' }),
+  (req, res, next) => {
+    upload.single('image')(req, res, (err) => {
+      if (err) {
+        if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({
+            success: false,
+            error: 'Image must be 5MB or smaller',
+          });
+        }
+
         return res.status(400).json({
           success: false,
-          error: 'Image must be 5MB or smaller',
+          error: err.message || 'Invalid upload',
+        });
+      }
+      next();
+    });
+  },
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'Image file is required',
         });
       }
 
-      return res.status(400).json({
-        success: false,
-        error: err.message || 'Invalid upload',
-      });
-    }
-    next();
-  });
-}, async (req, res, next) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'Image file is required',
-      });
-    }
-
-    const ext = MIME_TO_EXT[req.file.mimetype];
-    if (!ext) {
-      return res.status(400).json({
-        success: false,
-        error: 'Unsupported image type',
-      });
-    }
+      const ext = MIME_TO_EXT[req.file.mimetype];
+      if (!ext) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unsupported image type',
+        });
+      }
 
-    await mkdir(uploadDir, { recursive: true });
+      await mkdir(uploadDir, { recursive: true });
 
-    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}.${ext}`;
-    const fullPath = path.join(uploadDir, fileName);
-    await writeFile(fullPath, req.file.buffer);
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}.${ext}`;
+      const fullPath = path.join(uploadDir, fileName);
+      await writeFile(fullPath, req.file.buffer);
 
-    const backendBase = (process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
-    const imageUrl = `${backendBase}/uploads/products/${fileName}`;
+      const backendBase = (process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+      const imageUrl = `${backendBase}/uploads/products/${fileName}`;
 
-    res.status(201).json({
-      success: true,
-      message: 'Image uploaded successfully',
-      data: {
-        imageUrl,
-      },
-    });
-  } catch (error) {
-    next(error);
+      res.status(201).json({
+        success: true,
+        message: 'Image uploaded successfully',
+        data: {
+          imageUrl,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', requirePermission('dashboard:read'), async (req, res, next) => {
   try {
-    const [productsRes, ordersRes, usersRes] = await Promise.all([
+    const [productsRes, ordersRes, usersRes, revenueRes] = await Promise.all([
       query(`SELECT id, in_stock FROM products`),
       query(`SELECT id, total, status FROM orders`),
       query(`SELECT id FROM profiles`),
+      // Paid orders only: pending ones have not been charged, cancelled ones were refunded
+      query(
+        `SELECT COALESCE(SUM(total), 0) AS gross_revenue,
+                COALESCE(SUM(total - tax_amount), 0) AS net_revenue,
+                COALESCE(SUM(tax_amount), 0) AS tax_collected,
+                COALESCE(SUM(shipping_cost), 0) AS shipping_collected,
+                COALESCE(SUM(discount_amount), 0) AS discounts_given
+         FROM orders
+         WHERE status IN ('processing', 'shipped', 'completed')`
+      ),
     ]);
 
     const products = productsRes.rows;
@@ -121,6 +176,7 @@ router.get('/stats', async (req, res, next) => {
     const totalRevenue = orders.reduce((sum, order) => sum + Number(order.total), 0);
     const pendingOrders = orders.filter((o) => o.status === 'pending').length;
     const outOfStock = products.filter((p) => !p.in_stock).length;
+    const revenue = revenueRes.rows[0];
 
     res.json({
       success: true,
@@ -129,6 +185,11 @@ router.get('/stats', async (req, res, next) => {
         totalOrders: orders.length,
         totalUsers: usersRes.rows.length,
         totalRevenue,
+        grossRevenue: Number(revenue.gross_revenue),
+        netRevenue: Number(revenue.net_revenue),
+        taxCollected: Number(revenue.tax_collected),
+        shippingCollected: Number(revenue.shipping_collected),
+        discountsGiven: Number(revenue.discounts_given),
         pendingOrders,
         outOfStock,
       },
@@ -140,6 +201,7 @@ router.get('/stats', async (req, res, next) => {
 
 router.get(
   '/orders',
+  requirePermission('orders:read'),
   [queryValidator('limit').optional().isInt({ min: 1, max: 100 })],
   async (req, res, next) => {
     try {
@@ -148,8 +210,23 @@ router.get(
       const limit = req.query.limit ? Number(req.query.limit) : null;
       const params = [];
       let sql = `
-        SELECT o.id, o.user_id, o.total, o.status, o.shipping_address, o.created_at, o.updated_at,
-               p.full_name as customer_name, p.email as customer_email
+        SELECT o.id, o.user_id, o.subtotal, o.discount_amount, o.coupon_code, o.shipping_cost,
+               o.shipping_method_name, o.tax_amount, o.total, o.status, o.shipping_address,
+               o.cancelled_at, o.cancelled_by, o.cancellation_reason, o.created_at, o.updated_at,
+               p.full_name as customer_name, p.email as customer_email,
+               COALESCE((
+                 SELECT json_agg(json_build_object(
+                   'id', pay.id,
+                   'provider', pay.provider,
+                   'status', pay.status,
+                   'amount', pay.amount,
+                   'refunded_amount', pay.refunded_amount,
+                   'currency', pay.currency,
+                   'created_at', pay.created_at
+                 ) ORDER BY pay.created_at DESC)
+                 FROM payments pay
+                 WHERE pay.order_id = o.id
+               ), '[]'::json) as payments
         FROM orders o
         LEFT JOIN profiles p ON p.id = o.user_id
         ORDER BY o.created_at DESC
@@ -174,15 +251,95 @@ router.get(
   }
 );
 
+router.get(
+  '/orders/:orderId',
+  requirePermission('orders:read'),
+  [param('orderId').isUUID().withMessage('Valid orderId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const orderResult = await query(
+        `SELECT o.id, o.user_id, o.subtotal, o.discount_amount, o.coupon_code, o.shipping_cost,
+                o.shipping_method_id, o.shipping_method_name, o.tax_amount, o.total, o.status, o.shipping_address,
+                o.cancelled_at, o.cancelled_by, o.cancellation_reason, o.created_at, o.updated_at,
+                p.full_name as customer_name, p.email as customer_email
+         FROM orders o
+         LEFT JOIN profiles p ON p.id = o.user_id
+         WHERE o.id = $1
+         LIMIT 1`,
+        [req.params.orderId]
+      );
+
+      if (orderResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Order not found',
+        });
+      }
+
+      const itemsResult = await query(
+        `SELECT ${ORDER_ITEM_COLUMNS}
+         FROM order_items
+         WHERE order_id = $1
+         ORDER BY created_at ASC`,
+        [req.params.orderId]
+      );
+
+      const [historyByOrderId, payments, taxLinesByOrderId] = await Promise.all([
+        getStatusHistory([req.params.orderId]),
+        getOrderPayments(req.params.orderId),
+        getOrderTaxLines([req.params.orderId]),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          order: orderResult.rows[0],
+          items: itemsResult.rows,
+          history: historyByOrderId.get(req.params.orderId),
+          payments,
+          taxLines: taxLinesByOrderId.get(req.params.orderId),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get(
+  '/orders/:orderId/history',
+  requirePermission('orders:read'),
+  [param('orderId').isUUID().withMessage('Valid orderId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const historyByOrderId = await getStatusHistory([req.params.orderId]);
+
+      res.json({
+        success: true,
+        data: {
+          history: historyByOrderId.get(req.params.orderId),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 router.get(
   '/orders/:orderId/items',
+  requirePermission('orders:read'),
   [param('orderId').isUUID().withMessage('Valid orderId is required')],
   async (req, res, next) => {
     try {
       if (!validate(req, res)) return;
 
       const result = await query(
-        `SELECT id, order_id, product_id, product_name, quantity, size, price, created_at
+        `SELECT ${ORDER_ITEM_COLUMNS}
          FROM order_items
          WHERE order_id = $1
          ORDER BY created_at ASC`,
@@ -203,43 +360,53 @@ router.get(
 
 router.patch(
   '/orders/:orderId/status',
+  requirePermission('orders:update_status'),
+  audit('order.update_status', 'order', { table: 'orders', idParam: 'orderId' }),
   [
     param('orderId').isUUID().withMessage('Valid orderId is required'),
-    body('status').isIn(['pending', 'processing', 'shipped', 'completed', 'cancelled']).withMessage('Invalid status'),
+    body('status').isIn(ORDER_STATUSES).withMessage('Invalid status'),
+    body('note').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
   ],
   async (req, res, next) => {
+    let client;
     try {
       if (!validate(req, res)) return;
 
-      const result = await query(
-        `UPDATE orders
-         SET status = $1, updated_at = NOW()
-         WHERE id = $2
-         RETURNING id, user_id, total, status, shipping_address, created_at, updated_at`,
-        [req.body.status, req.params.orderId]
-      );
+      // Cancelling puts stock back, so the status change always runs in a transaction
+      client = await getClient();
+      await client.query('BEGIN');
 
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'Order not found',
-        });
-      }
+      const order = await updateOrderStatus(client, {
+        orderId: req.params.orderId,
+        status: req.body.status,
+        changedBy: req.userId,
+        note: req.body.note || null,
+      });
+
+      await client.query('COMMIT');
+
+      const refunds = order.status === 'cancelled' ? await refundOrderPayments(order.id) : [];
+      const historyByOrderId = await getStatusHistory([order.id]);
 
       res.json({
         success: true,
         message: 'Order status updated',
         data: {
-          order: result.rows[0],
+          order,
+          history: historyByOrderId.get(order.id),
+          refunds,
         },
       });
     } catch (error) {
+      if (client) await client.query('ROLLBACK');
       next(error);
+    } finally {
+      if (client) client.release();
     }
   }
 );
 
-router.get('/products', async (req, res, next) => {
+router.get('/products', requirePermission('products:read'), async (req, res, next) => {
   try {
     const result = await query(
       `SELECT id, name, description, category, price, original_price, image_url, sizes, colors,
@@ -261,6 +428,8 @@ router.get('/products', async (req, res, next) => {
 
 router.post(
   '/products',
+  requirePermission('products:write'),
+  audit('product.create', 'product', { resultKey: 'product' }),
   [
     body('name').isString().notEmpty().withMessage('Name is required'),
     body('category').isString().notEmpty().withMessage('Category is required'),
@@ -272,6 +441,7 @@ router.post(
     body('colors').optional({ nullable: true }).isArray(),
     body('featured').optional().isBoolean(),
     body('stock_quantity').optional().isInt({ min: 0 }),
+    body('weight_grams').optional().isInt({ min: 0 }).withMessage('Weight must be a whole number of grams'),
   ],
   async (req, res, next) => {
     try {
@@ -280,11 +450,12 @@ router.post(
       const stockQuantity = Number(req.body.stock_quantity ?? 0);
       const result = await query(
         `INSERT INTO products
-          (name, description, category, price, original_price, image_url, sizes, colors, featured, stock_quantity, in_stock)
+          (name, description, category, price, original_price, image_url, sizes, colors, featured, stock_quantity, in_stock,
+           weight_grams)
          VALUES
-          ($1, $2, $3, $4, $5, $6, $7::text[], $8::text[], $9, $10, $11)
+          ($1, $2, $3, $4, $5, $6, $7::text[], $8::text[], $9, $10, $11, COALESCE($12, 1000))
          RETURNING id, name, description, category, price, original_price, image_url, sizes, colors,
-                   in_stock, featured, stock_quantity, created_at, updated_at`,
+                   in_stock, featured, stock_quantity, weight_grams, created_at, updated_at`,
         [
           req.body.name,
           req.body.description || null,
@@ -297,6 +468,7 @@ router.post(
           Boolean(req.body.featured),
           stockQuantity,
           stockQuantity > 0,
+          req.body.weight_grams ?? null,
         ]
       );
 
@@ -315,6 +487,8 @@ router.post(
 
 router.patch(
   '/products/:productId',
+  requirePermission('products:write'),
+  audit('product.update', 'product', { table: 'products', idParam: 'productId' }),
   [
     param('productId').isUUID().withMessage('Valid productId is required'),
     body('name').optional().isString().notEmpty(),
@@ -327,6 +501,7 @@ router.patch(
     body('colors').optional({ nullable: true }).isArray(),
     body('featured').optional().isBoolean(),
     body('stock_quantity').optional().isInt({ min: 0 }),
+    body('weight_grams').optional().isInt({ min: 0 }).withMessage('Weight must be a whole number of grams'),
   ],
   async (req, res, next) => {
     try {
@@ -345,6 +520,21 @@ router.patch(
       }
 
       const current = currentResult.rows[0];
+
+      // Stock of a product with variants is the sum of its variants' stock
+      if (req.body.stock_quantity !== undefined) {
+        const variantsResult = await query(
+          `SELECT 1 FROM product_variants WHERE product_id = $1 LIMIT 1`,
+          [req.params.productId]
+        );
+        if (variantsResult.rows.length > 0) {
+          return res.status(409).json({
+            success: false,
+            error: 'This product has variants; update the stock of its variants instead',
+          });
+        }
+      }
+
       const stockQuantity = req.body.stock_quantity ?? current.stock_quantity;
       const inStock = Number(stockQuantity) > 0;
 
@@ -361,10 +551,11 @@ router.patch(
              featured = $9,
              stock_quantity = $10,
              in_stock = $11,
+             weight_grams = $12,
              updated_at = NOW()
-         WHERE id = $12
+         WHERE id = $13
          RETURNING id, name, description, category, price, original_price, image_url, sizes, colors,
-                   in_stock, featured, stock_quantity, created_at, updated_at`,
+                   in_stock, featured, stock_quantity, weight_grams, created_at, updated_at`,
         [
           req.body.name ?? current.name,
           req.body.description ?? current.description,
@@ -377,6 +568,7 @@ router.patch(
           req.body.featured ?? current.featured,
           stockQuantity,
           inStock,
+          req.body.weight_grams ?? current.weight_grams,
           req.params.productId,
         ]
       );
@@ -396,6 +588,8 @@ router.patch(
 
 router.delete(
   '/products/:productId',
+  requirePermission('products:write'),
+  audit('product.delete', 'product', { table: 'products', idParam: 'productId' }),
   [param('productId').isUUID().withMessage('Valid productId is required')],
   async (req, res, next) => {
     try {
@@ -423,4 +617,1610 @@ router.delete(
   }
 );
 
+/**
+ * Product variants (per-size/per-color stock)
+ */
+router.get(
+  '/products/:productId/variants',
+  requirePermission('products:read'),
+  [param('productId').isUUID().withMessage('Valid productId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const variants = await getProductVariants(req.params.productId);
+
+      res.json({
+        success: true,
+        data: {
+          variants,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/products/:productId/variants',
+  requirePermission('products:write'),
+  audit('product_variant.create', 'product_variant', { resultKey: 'variant' }),
+  [
+    param('productId').isUUID().withMessage('Valid productId is required'),
+    body('sku').isString().trim().notEmpty().withMessage('SKU is required'),
+    body('size').optional({ nullable: true }).isString(),
+    body('color').optional({ nullable: true }).isString(),
+    body('stock_quantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be 0 or more'),
+    body('price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Price must be a valid number'),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const productResult = await query(
+        `SELECT id FROM products WHERE id = $1 LIMIT 1`,
+        [req.params.productId]
+      );
+
+      if (productResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Product not found',
+        });
+      }
+
+      const result = await query(
+        `INSERT INTO product_variants (product_id, sku, size, color, stock_quantity, price)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${VARIANT_COLUMNS}`,
+        [
+          req.params.productId,
+          req.body.sku,
+          req.body.size || null,
+          req.body.color || null,
+          Number(req.body.stock_quantity ?? 0),
+          req.body.price ?? null,
+        ]
+      );
+
+      await syncProductVariantStock(req.params.productId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Variant created',
+        data: {
+          variant: result.rows[0],
+        },
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'A variant with this SKU or size/color already exists',
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+router.patch(
+  '/products/:productId/variants/:variantId',
+  requirePermission('products:write'),
+  audit('product_variant.update', 'product_variant', { table: 'product_variants', idParam: 'variantId' }),
+  [
+    param('productId').isUUID().withMessage('Valid productId is required'),
+    param('variantId').isUUID().withMessage('Valid variantId is required'),
+    body('sku').optional().isString().trim().notEmpty().withMessage('SKU cannot be empty'),
+    body('size').optional({ nullable: true }).isString(),
+    body('color').optional({ nullable: true }).isString(),
+    body('stock_quantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be 0 or more'),
+    body('price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Price must be a valid number'),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const currentResult = await query(
+        `SELECT ${VARIANT_COLUMNS}
+         FROM product_variants
+         WHERE id = $1 AND product_id = $2
+         LIMIT 1`,
+        [req.params.variantId, req.params.productId]
+      );
+
+      if (currentResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Variant not found',
+        });
+      }
+
+      const current = currentResult.rows[0];
+
+      // size, color and price may be explicitly cleared with null
+      const result = await query(
+        `UPDATE product_variants
+         SET sku = $1,
+             size = $2,
+             color = $3,
+             stock_quantity = $4,
+             price = $5,
+             updated_at = NOW()
+         WHERE id = $6
+         RETURNING ${VARIANT_COLUMNS}`,
+        [
+          req.body.sku ?? current.sku,
+          req.body.size !== undefined ? req.body.size : current.size,
+          req.body.color !== undefined ? req.body.color : current.color,
+          req.body.stock_quantity ?? current.stock_quantity,
+          req.body.price !== undefined ? req.body.price : current.price,
+          req.params.variantId,
+        ]
+      );
+
+      await syncProductVariantStock(req.params.productId);
+
+      res.json({
+        success: true,
+        message: 'Variant updated',
+        data: {
+          variant: result.rows[0],
+        },
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'A variant with this SKU or size/color already exists',
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/products/:productId/variants/:variantId',
+  requirePermission('products:write'),
+  audit('product_variant.delete', 'product_variant', { table: 'product_variants', idParam: 'variantId' }),
+  [
+    param('productId').isUUID().withMessage('Valid productId is required'),
+    param('variantId').isUUID().withMessage('Valid variantId is required'),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const result = await query(
+        `DELETE FROM product_variants WHERE id = $1 AND product_id = $2 RETURNING id`,
+        [req.params.variantId, req.params.productId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Variant not found',
+        });
+      }
+
+      await syncProductVariantStock(req.params.productId);
+
+      res.json({
+        success: true,
+        message: 'Variant deleted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Coupons and promotions
+ */
+const couponValidators = (creating) => {
+  const required = (chain) => (creating ? chain : chain.optional());
+  return [
+    required(body('code'))
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,40}$/)
+      .withMessage('Code must be 3-40 letters, digits, dashes or underscores'),
+    required(body('type')).isIn(COUPON_TYPES).withMessage(`Type must be one of: ${COUPON_TYPES.join(', ')}`),
+    body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a valid number'),
+    body('description').optional({ nullable: true }).isString(),
+    body('buy_quantity').optional({ nullable: true }).isInt({ min: 1 }),
+    body('get_quantity').optional({ nullable: true }).isInt({ min: 1 }),
+    body('min_order_value').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('starts_at').optional({ nullable: true }).isISO8601().withMessage('starts_at must be a date'),
+    body('ends_at').optional({ nullable: true }).isISO8601().withMessage('ends_at must be a date'),
+    body('usage_limit').optional({ nullable: true }).isInt({ min: 1 }),
+    body('usage_limit_per_user').optional({ nullable: true }).isInt({ min: 1 }),
+    body('product_ids').optional().isArray(),
+    body('product_ids.*').isUUID().withMessage('product_ids must be product UUIDs'),
+    body('categories').optional().isArray(),
+    body('categories.*').isString(),
+    body('is_active').optional().isBoolean(),
+  ];
+};
+
+/**
+ * Check the rules that depend on a coupon's type; returns an error message or null
+ */
+const couponRuleError = (coupon) => {
+  if (coupon.type === 'percentage' && !(Number(coupon.value) > 0 && Number(coupon.value) <= 100)) {
+    return 'Percentage coupons need a value between 0 and 100';
+  }
+  if (coupon.type === 'fixed_amount' && !(Number(coupon.value) > 0)) {
+    return 'Fixed amount coupons need a value greater than 0';
+  }
+  if (coupon.type === 'buy_x_get_y' && (!coupon.buy_quantity || !coupon.get_quantity)) {
+    return 'Buy X get Y coupons need buy_quantity and get_quantity';
+  }
+  if (coupon.starts_at && coupon.ends_at && new Date(coupon.starts_at) >= new Date(coupon.ends_at)) {
+    return 'ends_at must be after starts_at';
+  }
+  return null;
+};
+
+router.get('/coupons', requirePermission('coupons:read'), async (req, res, next) => {
+  try {
+    const result = await query(
+      `SELECT ${COUPON_COLUMNS}
+       FROM coupons
+       ORDER BY created_at DESC`
+    );
+
+    res.json({
+      success: true,
+      data: {
+        coupons: result.rows,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get(
+  '/coupons/:couponId',
+  requirePermission('coupons:read'),
+  [param('couponId').isUUID().withMessage('Valid couponId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const [couponResult, usageResult] = await Promise.all([
+        query(`SELECT ${COUPON_COLUMNS} FROM coupons WHERE id = $1`, [req.params.couponId]),
+        query(
+          `SELECT COUNT(*)::integer AS redemptions,
+                  COUNT(DISTINCT user_id)::integer AS customers,
+                  COALESCE(SUM(discount_amount), 0) AS total_discount
+           FROM coupon_redemptions
+           WHERE coupon_id = $1`,
+          [req.params.couponId]
+        ),
+      ]);
+
+      if (couponResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Coupon not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          coupon: couponResult.rows[0],
+          usage: usageResult.rows[0],
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/coupons',
+  requirePermission('coupons:write'),
+  audit('coupon.create', 'coupon', { resultKey: 'coupon' }),
+  couponValidators(true),
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const coupon = {
+        code: req.body.code.toUpperCase(),
+        description: req.body.description || null,
+        type: req.body.type,
+        value: req.body.value ?? 0,
+        buy_quantity: req.body.buy_quantity ?? null,
+        get_quantity: req.body.get_quantity ?? null,
+        min_order_value: req.body.min_order_value ?? null,
+        starts_at: req.body.starts_at || null,
+        ends_at: req.body.ends_at || null,
+        usage_limit: req.body.usage_limit ?? null,
+        usage_limit_per_user: req.body.usage_limit_per_user ?? null,
+        product_ids: req.body.product_ids || [],
+        categories: req.body.categories || [],
+        is_active: req.body.is_active ?? true,
+      };
+
+      const ruleError = couponRuleError(coupon);
+      if (ruleError) {
+        return res.status(400).json({
+          success: false,
+          error: ruleError,
+        });
+      }
+
+      const result = await query(
+        `INSERT INTO coupons
+          (code, description, type, value, buy_quantity, get_quantity, min_order_value, starts_at, ends_at,
+           usage_limit, usage_limit_per_user, product_ids, categories, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12::uuid[], $13::text[], $14)
+         RETURNING ${COUPON_COLUMNS}`,
+        [
+          coupon.code,
+          coupon.description,
+          coupon.type,
+          coupon.value,
+          coupon.buy_quantity,
+          coupon.get_quantity,
+          coupon.min_order_value,
+          coupon.starts_at,
+          coupon.ends_at,
+          coupon.usage_limit,
+          coupon.usage_limit_per_user,
+          coupon.product_ids,
+          coupon.categories,
+          coupon.is_active,
+        ]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Coupon created',
+        data: {
+          coupon: result.rows[0],
+        },
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'A coupon with this code already exists',
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+router.patch(
+  '/coupons/:couponId',
+  requirePermission('coupons:write'),
+  audit('coupon.update', 'coupon', { table: 'coupons', idParam: 'couponId' }),
+  [param('couponId').isUUID().withMessage('Valid couponId is required'), ...couponValidators(false)],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const currentResult = await query(
+        `SELECT ${COUPON_COLUMNS} FROM coupons WHERE id = $1`,
+        [req.params.couponId]
+      );
+
+      if (currentResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Coupon not found',
+        });
+      }
+
+      const current = currentResult.rows[0];
+
+      // Nullable settings may be explicitly cleared with null
+      const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+      const coupon = {
+        code: req.body.code ? req.body.code.toUpperCase() : current.code,
+        description: pick('description'),
+        type: req.body.type ?? current.type,
+        value: req.body.value ?? current.value,
+        buy_quantity: pick('buy_quantity'),
+        get_quantity: pick('get_quantity'),
+        min_order_value: pick('min_order_value'),
+        starts_at: pick('starts_at'),
+        ends_at: pick('ends_at'),
+        usage_limit: pick('usage_limit'),
+        usage_limit_per_user: pick('usage_limit_per_user'),
+        product_ids: req.body.product_ids ?? current.product_ids,
+        categories: req.body.categories ?? current.categories,
+        is_active: req.body.is_active ?? current.is_active,
+      };
+
+      const ruleError = couponRuleError(coupon);
+      if (ruleError) {
+        return res.status(400).json({
+          success: false,
+          error: ruleError,
+        });
+      }
+
+      const result = await query(
+        `UPDATE coupons
+         SET code = $1,
+             description = $2,
+             type = $3,
+             value = $4,
+             buy_quantity = $5,
+             get_quantity = $6,
+             min_order_value = $7,
+             starts_at = $8,
+             ends_at = $9,
+             usage_limit = $10,
+             usage_limit_per_user = $11,
+             product_ids = $12::uuid[],
+             categories = $13::text[],
+             is_active = $14,
+             updated_at = NOW()
+         WHERE id = $15
+         RETURNING ${COUPON_COLUMNS}`,
+        [
+          coupon.code,
+          coupon.description,
+          coupon.type,
+          coupon.value,
+          coupon.buy_quantity,
+          coupon.get_quantity,
+          coupon.min_order_value,
+          coupon.starts_at,
+          coupon.ends_at,
+          coupon.usage_limit,
+          coupon.usage_limit_per_user,
+          coupon.product_ids,
+          coupon.categories,
+          coupon.is_active,
+          req.params.couponId,
+        ]
+      );
+
+      res.json({
+        success: true,
+        message: 'Coupon updated',
+        data: {
+          coupon: result.rows[0],
+        },
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'A coupon with this code already exists',
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/coupons/:couponId',
+  requirePermission('coupons:write'),
+  audit('coupon.delete', 'coupon', { table: 'coupons', idParam: 'couponId' }),
+  [param('couponId').isUUID().withMessage('Valid couponId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      // Orders keep their coupon_code and discount_amount snapshot
+      const result = await query(
+        `DELETE FROM coupons WHERE id = $1 RETURNING id`,
+        [req.params.couponId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Coupon not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Coupon deleted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Shipping zones and methods
+ */
+const shippingMethodValidators = (creating) => {
+  const required = (chain) => (creating ? chain : chain.optional());
+  return [
+    required(body('name')).isString().trim().notEmpty().withMessage('Name is required'),
+    required(body('type'))
+      .isIn(SHIPPING_METHOD_TYPES)
+      .withMessage(`Type must be one of: ${SHIPPING_METHOD_TYPES.join(', ')}`),
+    body('rate_type')
+      .optional()
+      .isIn(SHIPPING_RATE_TYPES)
+      .withMessage(`Rate type must be one of: ${SHIPPING_RATE_TYPES.join(', ')}`),
+    body('base_rate').optional().isFloat({ min: 0 }).withMessage('Base rate must be a valid number'),
+    body('per_unit_rate').optional().isFloat({ min: 0 }).withMessage('Per unit rate must be a valid number'),
+    body('free_shipping_threshold').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('min_delivery_days').optional({ nullable: true }).isInt({ min: 0 }),
+    body('max_delivery_days').optional({ nullable: true }).isInt({ min: 0 }),
+    body('is_active').optional().isBoolean(),
+  ];
+};
+
+const shippingZoneValidators = (creating) => [
+  (creating ? body('name') : body('name').optional()).isString().trim().notEmpty().withMessage('Name is required'),
+  body('countries').optional().isArray().withMessage('Countries must be an array'),
+  body('countries.*')
+    .isString()
+    .toUpperCase()
+    .isISO31661Alpha2()
+    .withMessage('Countries must be two-letter ISO country codes'),
+  body('is_active').optional().isBoolean(),
+];
+
+router.get('/shipping/zones', requirePermission('shipping:read'), async (req, res, next) => {
+  try {
+    const [zonesResult, methodsResult] = await Promise.all([
+      query(`SELECT ${SHIPPING_ZONE_COLUMNS} FROM shipping_zones ORDER BY created_at ASC`),
+      query(`SELECT ${SHIPPING_METHOD_COLUMNS} FROM shipping_methods ORDER BY created_at ASC`),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        zones: zonesResult.rows.map((zone) => ({
+          ...zone,
+          methods: methodsResult.rows.filter((method) => method.zone_id === zone.id),
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post(
+  '/shipping/zones',
+  requirePermission('shipping:write'),
+  audit('shipping_zone.create', 'shipping_zone', { resultKey: 'zone' }),
+  shippingZoneValidators(true),
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const result = await query(
+        `INSERT INTO shipping_zones (name, countries, is_active)
+         VALUES ($1, $2::text[], $3)
+         RETURNING ${SHIPPING_ZONE_COLUMNS}`,
+        [req.body.name, req.body.countries || [], req.body.is_active ?? true]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Shipping zone created',
+        data: {
+          zone: result.rows[0],
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.patch(
+  '/shipping/zones/:zoneId',
+  requirePermission('shipping:write'),
+  audit('shipping_zone.update', 'shipping_zone', { table: 'shipping_zones', idParam: 'zoneId' }),
+  [param('zoneId').isUUID().withMessage('Valid zoneId is required'), ...shippingZoneValidators(false)],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const result = await query(
+        `UPDATE shipping_zones
+         SET name = COALESCE($1, name),
+             countries = COALESCE($2::text[], countries),
+             is_active = COALESCE($3, is_active),
+             updated_at = NOW()
+         WHERE id = $4
+         RETURNING ${SHIPPING_ZONE_COLUMNS}`,
+        [req.body.name ?? null, req.body.countries ?? null, req.body.is_active ?? null, req.params.zoneId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Shipping zone not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Shipping zone updated',
+        data: {
+          zone: result.rows[0],
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/shipping/zones/:zoneId',
+  requirePermission('shipping:write'),
+  audit('shipping_zone.delete', 'shipping_zone', { table: 'shipping_zones', idParam: 'zoneId' }),
+  [param('zoneId').isUUID().withMessage('Valid zoneId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const result = await query(
+        `DELETE FROM shipping_zones WHERE id = $1 RETURNING id`,
+        [req.params.zoneId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Shipping zone not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Shipping zone deleted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/shipping/zones/:zoneId/methods',
+  requirePermission('shipping:write'),
+  audit('shipping_method.create', 'shipping_method', { resultKey: 'method' }),
+  [param('zoneId').isUUID().withMessage('Valid zoneId is required'), ...shippingMethodValidators(true)],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const zoneResult = await query(
+        `SELECT id FROM shipping_zones WHERE id = $1 LIMIT 1`,
+        [req.params.zoneId]
+      );
+
+      if (zoneResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Shipping zone not found',
+        });
+      }
+
+      const result = await query(
+        `INSERT INTO shipping_methods
+          (zone_id, name, type, rate_type, base_rate, per_unit_rate, free_shipping_threshold,
+           min_delivery_days, max_delivery_days, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING ${SHIPPING_METHOD_COLUMNS}`,
+        [
+          req.params.zoneId,
+          req.body.name,
+          req.body.type,
+          req.body.rate_type || 'flat',
+          req.body.base_rate ?? 0,
+          req.body.per_unit_rate ?? 0,
+          req.body.free_shipping_threshold ?? null,
+          req.body.min_delivery_days ?? null,
+          req.body.max_delivery_days ?? null,
+          req.body.is_active ?? true,
+        ]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Shipping method created',
+        data: {
+          method: result.rows[0],
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.patch(
+  '/shipping/methods/:methodId',
+  requirePermission('shipping:write'),
+  audit('shipping_method.update', 'shipping_method', { table: 'shipping_methods', idParam: 'methodId' }),
+  [param('methodId').isUUID().withMessage('Valid methodId is required'), ...shippingMethodValidators(false)],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const currentResult = await query(
+        `SELECT ${SHIPPING_METHOD_COLUMNS} FROM shipping_methods WHERE id = $1`,
+        [req.params.methodId]
+      );
+
+      if (currentResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Shipping method not found',
+        });
+      }
+
+      const current = currentResult.rows[0];
+
+      // The threshold and delivery estimates may be explicitly cleared with null
+      const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+      const result = await query(
+        `UPDATE shipping_methods
+         SET name = $1,
+             type = $2,
+             rate_type = $3,
+             base_rate = $4,
+             per_unit_rate = $5,
+             free_shipping_threshold = $6,
+             min_delivery_days = $7,
+             max_delivery_days = $8,
+             is_active = $9,
+             updated_at = NOW()
+         WHERE id = $10
+         RETURNING ${SHIPPING_METHOD_COLUMNS}`,
+        [
+          req.body.name ?? current.name,
+          req.body.type ?? current.type,
+          req.body.rate_type ?? current.rate_type,
+          req.body.base_rate ?? current.base_rate,
+          req.body.per_unit_rate ?? current.per_unit_rate,
+          pick('free_shipping_threshold'),
+          pick('min_delivery_days'),
+          pick('max_delivery_days'),
+          req.body.is_active ?? current.is_active,
+          req.params.methodId,
+        ]
+      );
+
+      res.json({
+        success: true,
+        message: 'Shipping method updated',
+        data: {
+          method: result.rows[0],
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/shipping/methods/:methodId',
+  requirePermission('shipping:write'),
+  audit('shipping_method.delete', 'shipping_method', { table: 'shipping_methods', idParam: 'methodId' }),
+  [param('methodId').isUUID().withMessage('Valid methodId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      // Orders keep their shipping_method_name and shipping_cost snapshot
+      const result = await query(
+        `DELETE FROM shipping_methods WHERE id = $1 RETURNING id`,
+        [req.params.methodId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Shipping method not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Shipping method deleted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Tax rules
+ */
+const taxRuleValidators = (creating) => {
+  const required = (chain) => (creating ? chain : chain.optional());
+  return [
+    required(body('name')).isString().trim().notEmpty().withMessage('Name is required'),
+    required(body('country'))
+      .isString()
+      .trim()
+      .toUpperCase()
+      .isISO31661Alpha2()
+      .withMessage('Country must be a two-letter ISO country code'),
+    required(body('rate')).isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+    body('state').optional({ nullable: true }).isString().trim(),
+    body('postal_prefix').optional({ nullable: true }).isString().trim().isLength({ max: 12 }),
+    body('category').optional({ nullable: true }).isString().trim(),
+    body('applies_to_shipping').optional().isBoolean(),
+    body('is_active').optional().isBoolean(),
+  ];
+};
+
+router.get('/tax-rules', requirePermission('tax:read'), async (req, res, next) => {
+  try {
+    const result = await query(
+      `SELECT ${TAX_RULE_COLUMNS}
+       FROM tax_rules
+       ORDER BY country ASC, state ASC NULLS FIRST, postal_prefix ASC NULLS FIRST, category ASC NULLS FIRST`
+    );
+
+    res.json({
+      success: true,
+      data: {
+        taxRules: result.rows,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post(
+  '/tax-rules',
+  requirePermission('tax:write'),
+  audit('tax_rule.create', 'tax_rule', { resultKey: 'taxRule' }),
+  taxRuleValidators(true),
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const result = await query(
+        `INSERT INTO tax_rules (name, country, state, postal_prefix, category, rate, applies_to_shipping, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING ${TAX_RULE_COLUMNS}`,
+        [
+          req.body.name,
+          req.body.country,
+          req.body.state || null,
+          req.body.postal_prefix || null,
+          req.body.category || null,
+          req.body.rate,
+          req.body.applies_to_shipping ?? false,
+          req.body.is_active ?? true,
+        ]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Tax rule created',
+        data: {
+          taxRule: result.rows[0],
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.patch(
+  '/tax-rules/:taxRuleId',
+  requirePermission('tax:write'),
+  audit('tax_rule.update', 'tax_rule', { table: 'tax_rules', idParam: 'taxRuleId' }),
+  [param('taxRuleId').isUUID().withMessage('Valid taxRuleId is required'), ...taxRuleValidators(false)],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const currentResult = await query(
+        `SELECT ${TAX_RULE_COLUMNS} FROM tax_rules WHERE id = $1`,
+        [req.params.taxRuleId]
+      );
+
+      if (currentResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tax rule not found',
+        });
+      }
+
+      const current = currentResult.rows[0];
+
+      // state, postal_prefix and category may be explicitly cleared with null
+      const pick = (field) => (req.body[field] !== undefined ? req.body[field] || null : current[field]);
+      const result = await query(
+        `UPDATE tax_rules
+         SET name = $1,
+             country = $2,
+             state = $3,
+             postal_prefix = $4,
+             category = $5,
+             rate = $6,
+             applies_to_shipping = $7,
+             is_active = $8,
+             updated_at = NOW()
+         WHERE id = $9
+         RETURNING ${TAX_RULE_COLUMNS}`,
+        [
+          req.body.name ?? current.name,
+          req.body.country ?? current.country,
+          pick('state'),
+          pick('postal_prefix'),
+          pick('category'),
+          req.body.rate ?? current.rate,
+          req.body.applies_to_shipping ?? current.applies_to_shipping,
+          req.body.is_active ?? current.is_active,
+          req.params.taxRuleId,
+        ]
+      );
+
+      res.json({
+        success: true,
+        message: 'Tax rule updated',
+        data: {
+          taxRule: result.rows[0],
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/tax-rules/:taxRuleId',
+  requirePermission('tax:write'),
+  audit('tax_rule.delete', 'tax_rule', { table: 'tax_rules', idParam: 'taxRuleId' }),
+  [param('taxRuleId').isUUID().withMessage('Valid taxRuleId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      // Orders keep their tax lines
+      const result = await query(
+        `DELETE FROM tax_rules WHERE id = $1 RETURNING id`,
+        [req.params.taxRuleId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tax rule not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Tax rule deleted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Returns (RMA)
+ */
+router.get(
+  '/returns',
+  requirePermission('returns:read'),
+  [
+    queryValidator('status').optional().isIn(RETURN_STATUSES).withMessage('Invalid status'),
+    queryValidator('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const returns = await listReturnRequests({
+        status: req.query.status,
+        limit: req.query.limit ? Number(req.query.limit) : null,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          returns,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get(
+  '/returns/:returnId',
+  requirePermission('returns:read'),
+  [param('returnId').isUUID().withMessage('Valid returnId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const returnRequest = await getReturnRequest(req.params.returnId);
+      if (!returnRequest) {
+        return res.status(404).json({
+          success: false,
+          error: 'Return request not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          return: returnRequest,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const returnActionValidators = [
+  param('returnId').isUUID().withMessage('Valid returnId is required'),
+  body('note').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+];
+
+router.post(
+  '/returns/:returnId/approve',
+  requirePermission('returns:manage'),
+  audit('return.approve', 'return', { table: 'return_requests', idParam: 'returnId' }),
+  returnActionValidators,
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const returnRequest = await approveReturn(req.params.returnId, {
+        adminId: req.userId,
+        note: req.body.note || null,
+      });
+
+      res.json({
+        success: true,
+        message: 'Return approved',
+        data: {
+          return: returnRequest,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/returns/:returnId/reject',
+  requirePermission('returns:manage'),
+  audit('return.reject', 'return', { table: 'return_requests', idParam: 'returnId' }),
+  returnActionValidators,
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const returnRequest = await rejectReturn(req.params.returnId, {
+        adminId: req.userId,
+        note: req.body.note || null,
+      });
+
+      res.json({
+        success: true,
+        message: 'Return rejected',
+        data: {
+          return: returnRequest,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/returns/:returnId/receive',
+  requirePermission('returns:manage', 'refunds:issue'),
+  audit('return.receive', 'return', { table: 'return_requests', idParam: 'returnId' }),
+  returnActionValidators,
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const { returnRequest, refundError } = await receiveReturn(req.params.returnId, {
+        adminId: req.userId,
+        note: req.body.note || null,
+      });
+
+      res.json({
+        success: true,
+        message: refundError
+          ? `Return received and restocked, but the refund failed: ${refundError}`
+          : 'Return received, restocked and refunded',
+        data: {
+          return: returnRequest,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/returns/:returnId/refund',
+  requirePermission('refunds:issue'),
+  audit('return.refund', 'return', { table: 'return_requests', idParam: 'returnId' }),
+  [param('returnId').isUUID().withMessage('Valid returnId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const returnRequest = await refundReturn(req.params.returnId, { adminId: req.userId });
+
+      res.json({
+        success: true,
+        message: 'Return refunded',
+        data: {
+          return: returnRequest,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Login lockouts
+ */
+router.get('/lockouts', requirePermission('lockouts:read'), async (req, res, next) => {
+  try {
+    const lockouts = await listLockouts();
+
+    res.json({
+      success: true,
+      data: {
+        lockouts,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get(
+  '/lockouts/:userId',
+  requirePermission('lockouts:read'),
+  [param('userId').isUUID().withMessage('Valid userId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const lockout = await getLockout(req.params.userId);
+      if (!lockout) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          lockout,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/lockouts/:userId',
+  requirePermission('lockouts:manage'),
+  audit('user.unlock', 'user', { table: 'users', idParam: 'userId' }),
+  [param('userId').isUUID().withMessage('Valid userId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const cleared = await clearLockout(req.params.userId);
+      if (!cleared) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Lockout cleared',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * User management
+ */
+const userActor = (req) => ({
+  adminId: req.userId,
+  permissions: req.permissions,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent') || null,
+});
+
+router.get(
+  '/users',
+  requirePermission('users:read'),
+  [
+    queryValidator('search').optional().isString().trim().isLength({ max: 100 }),
+    queryValidator('status').optional().isIn(['active', 'inactive']).withMessage('Status must be active or inactive'),
+    queryValidator('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    queryValidator('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const { users, pagination } = await listUsers({
+        search: req.query.search || null,
+        status: req.query.status || null,
+        page: req.query.page ? Number(req.query.page) : 1,
+        limit: req.query.limit ? Number(req.query.limit) : 25,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          users,
+          pagination,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get(
+  '/users/:userId',
+  requirePermission('users:read'),
+  [param('userId').isUUID().withMessage('Valid userId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const user = await getUserDetail(req.params.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/users/:userId/deactivate',
+  requirePermission('users:manage'),
+  audit('user.deactivate', 'user', { table: 'users', idParam: 'userId' }),
+  [
+    param('userId').isUUID().withMessage('Valid userId is required'),
+    body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const changed = await setUserActive(req.params.userId, false, userActor(req), {
+        reason: req.body.reason || null,
+      });
+
+      res.json({
+        success: true,
+        message: changed ? 'User deactivated and signed out everywhere' : 'User is already inactive',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/users/:userId/reactivate',
+  requirePermission('users:manage'),
+  audit('user.reactivate', 'user', { table: 'users', idParam: 'userId' }),
+  [
+    param('userId').isUUID().withMessage('Valid userId is required'),
+    body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const changed = await setUserActive(req.params.userId, true, userActor(req), {
+        reason: req.body.reason || null,
+      });
+
+      res.json({
+        success: true,
+        message: changed ? 'User reactivated' : 'User is already active',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/users/:userId/verify-email',
+  requirePermission('users:manage'),
+  audit('user.verify_email', 'user', { table: 'users', idParam: 'userId' }),
+  [param('userId').isUUID().withMessage('Valid userId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const changed = await forceVerifyEmail(req.params.userId, userActor(req));
+
+      res.json({
+        success: true,
+        message: changed ? 'Email marked as verified' : 'Email is already verified',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/users/:userId/password-reset',
+  requirePermission('users:manage'),
+  audit('user.send_password_reset', 'user', { idParam: 'userId' }),
+  [param('userId').isUUID().withMessage('Valid userId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      await sendPasswordResetEmail(req.params.userId, userActor(req));
+
+      res.json({
+        success: true,
+        message: 'Password reset email sent',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/users/:userId/sessions',
+  requirePermission('users:manage'),
+  audit('user.revoke_sessions', 'user', { idParam: 'userId' }),
+  [param('userId').isUUID().withMessage('Valid userId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const revokedSessions = await revokeAllUserSessions(req.params.userId, userActor(req));
+
+      res.json({
+        success: true,
+        message: `Revoked ${revokedSessions} session(s)`,
+        data: {
+          revokedSessions,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Staff roles and permissions
+ */
+const loadUserRoles = async (req) => ({ roles: (await getUserAccess(req.params.userId)).roles });
+
+router.get('/roles', requirePermission('roles:read'), async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: listRoles(),
+      permissions: PERMISSIONS,
+    },
+  });
+});
+
+router.get(
+  '/users/:userId/roles',
+  requirePermission('roles:read'),
+  [param('userId').isUUID().withMessage('Valid userId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const roles = await listUserRoles(req.params.userId);
+      const { permissions } = await getUserAccess(req.params.userId);
+
+      res.json({
+        success: true,
+        data: {
+          roles,
+          permissions,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/users/:userId/roles',
+  requirePermission('roles:manage'),
+  audit('user.grant_role', 'user', { idParam: 'userId', load: loadUserRoles }),
+  [
+    param('userId').isUUID().withMessage('Valid userId is required'),
+    body('role').isString().trim().notEmpty().withMessage('Role is required'),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const granted = await assignRole(req.params.userId, req.body.role, {
+        grantedBy: req.userId,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') || null,
+      });
+
+      res.status(granted ? 201 : 200).json({
+        success: true,
+        message: granted ? 'Role granted' : 'User already has this role',
+        data: await getUserAccess(req.params.userId),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/users/:userId/roles/:role',
+  requirePermission('roles:manage'),
+  audit('user.revoke_role', 'user', { idParam: 'userId', load: loadUserRoles }),
+  [param('userId').isUUID().withMessage('Valid userId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const revoked = await revokeRole(req.params.userId, req.params.role, {
+        revokedBy: req.userId,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') || null,
+      });
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'User does not have this role',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Role revoked',
+        data: await getUserAccess(req.params.userId),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Audit log
+ */
+const auditLogValidators = [
+  queryValidator('actorId').optional().isUUID().withMessage('actorId must be a UUID'),
+  queryValidator('action').optional().isString().isLength({ max: 100 }),
+  queryValidator('entityType').optional().isString().isLength({ max: 100 }),
+  queryValidator('entityId').optional().isString().isLength({ max: 100 }),
+  queryValidator('requestId').optional().isString().isLength({ max: 128 }),
+  queryValidator('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  queryValidator('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+];
+
+const auditLogFilters = (req) => ({
+  actorId: req.query.actorId || null,
+  action: req.query.action || null,
+  entityType: req.query.entityType || null,
+  entityId: req.query.entityId || null,
+  requestId: req.query.requestId || null,
+  from: req.query.from || null,
+  to: req.query.to || null,
+});
+
+router.get(
+  '/audit-log',
+  requirePermission('audit:read'),
+  [
+    ...auditLogValidators,
+    queryValidator('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    queryValidator('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const { entries, pagination } = await listAuditLog(auditLogFilters(req), {
+        page: req.query.page ? Number(req.query.page) : 1,
+        limit: req.query.limit ? Number(req.query.limit) : 50,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/audit-log/export', requirePermission('audit:read'), auditLogValidators, async (req, res, next) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const csv = await exportAuditLogCsv(auditLogFilters(req));
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
 import { 
   authenticateUser, 
   createUser, 
@@ -10,15 +10,93 @@ import {
   verifyEmailByToken,
   resendVerificationCode,
   requestPasswordReset,
-  resetPasswordWithCode
+  resetPasswordWithCode,
+  completeTwoFactorLogin,
+  authenticateWithOidc,
+  requestMagicLink,
+  authenticateWithMagicLink
 } from '../services/userService.js';
-import { verifyRefreshToken, generateAccessToken } from '../config/jwt.js';
+import { generateAccessToken } from '../config/jwt.js';
 import { query } from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
 import { authLimiter } from '../middleware/rateLimiter.js';
+import { GUEST_CART_COOKIE } from '../middleware/guestCart.js';
+import { describePasswordPolicy, passwordPolicyError } from '../middleware/passwordPolicy.js';
+import { getDefaultAddress } from '../services/addressService.js';
+import {
+  rotateRefreshToken,
+  revokeSessionByToken,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from '../services/sessionService.js';
+import {
+  getTwoFactorStatus,
+  beginTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../services/twoFactorService.js';
+import {
+  OIDC_STATE_COOKIE,
+  OIDC_STATE_COOKIE_OPTIONS,
+  createAuthorizationUrl,
+  listIdentities,
+  unlinkIdentity,
+} from '../services/oidcService.js';
+import { listOidcProviders } from '../config/oidc.js';
+import { getUserAccess } from '../services/roleService.js';
+import { recordAuthEvent, recordAuthEventForEmail } from '../middleware/audit.js';
 
 const router = express.Router();
 
+/**
+ * Set the refresh token as an HTTP-only cookie
+ */
+const setRefreshTokenCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+  });
+};
+
+/**
+ * Respond to a completed login with its tokens, recording it in the audit log
+ * @param {string} method - how the user logged in, e.g. password or magic_link
+ */
+const sendLoginResult = (req, res, result, method) => {
+  recordAuthEvent(req, 'auth.login', { userId: result.user.id, metadata: { method } });
+  setRefreshTokenCookie(res, result.refreshToken);
+
+  // The guest cart now lives in the user's cart
+  if (result.cartMerge) {
+    res.clearCookie(GUEST_CART_COOKIE);
+  }
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: result.user,
+      accessToken: result.accessToken,
+      cartMerge: result.cartMerge,
+    },
+  });
+};
+
+/**
+ * Password requirements, for showing them next to password fields
+ * GET /api/auth/password-policy
+ */
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: describePasswordPolicy(),
+  });
+});
+
 /**
  * Register new user
  * POST /api/auth/register
@@ -32,8 +110,9 @@ router.post(
       .normalizeEmail()
       .withMessage('Please provide a valid email address'),
     body('password')
-      .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters long'),
+      .isString()
+      .notEmpty()
+      .withMessage('Password is required'),
     body('fullName')
       .optional()
       .trim()
@@ -52,6 +131,9 @@ router.post(
 
       const { email, password, fullName } = req.body;
 
+      const policyError = passwordPolicyError(password, { email, fullName });
+      if (policyError) return next(policyError);
+
       // Check if email already exists
       if (await emailExists(email)) {
         return res.status(409).json({
@@ -62,6 +144,7 @@ router.post(
 
       // Create user
       const result = await createUser(email, password, fullName);
+      recordAuthEvent(req, 'auth.register', { userId: result.user.id });
 
       res.status(201).json({
         success: true,
@@ -105,26 +188,31 @@ router.post(
 
       const { email, password } = req.body;
 
-      // Authenticate user
-      const result = await authenticateUser(email, password);
-
-      // Set refresh token as HTTP-only cookie
-      res.cookie('refreshToken', result.refreshToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      // Authenticate user (and merge any guest cart into their cart)
+      const result = await authenticateUser(email, password, {
+        guestCartToken: req.signedCookies?.[GUEST_CART_COOKIE] || null,
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip,
       });
 
-      res.json({
-        success: true,
-        message: 'Login successful',
-        data: {
-          user: result.user,
-          accessToken: result.accessToken,
-        },
-      });
+      // Two-factor users get a challenge to complete at /login/2fa instead of tokens
+      if (result.twoFactorRequired) {
+        return res.json({
+          success: true,
+          message: 'Enter the code from your authenticator app to finish logging in',
+          data: {
+            twoFactorRequired: true,
+            challengeToken: result.challengeToken,
+            challengeExpiresAt: result.challengeExpiresAt,
+          },
+        });
+      }
+
+      sendLoginResult(req, res, result, 'password');
     } catch (error) {
+      recordAuthEventForEmail(req, 'auth.login_failed', req.body.email, {
+        metadata: { method: 'password', reason: error.message },
+      });
       if (
         error.message.includes('Invalid') ||
         error.message.includes('inactive') ||
@@ -141,19 +229,249 @@ router.post(
 );
 
 /**
- * Logout user
+ * Second login step for users with two-factor authentication
+ * POST /api/auth/login/2fa
+ */
+router.post(
+  '/login/2fa',
+  authLimiter,
+  [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+    body('code').optional().isString().withMessage('Code must be a string'),
+    body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+    body().custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('An authentication code or a recovery code is required');
+      }
+      return true;
+    }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg,
+        });
+      }
+
+      const result = await completeTwoFactorLogin(req.body.challengeToken, {
+        code: req.body.code || null,
+        recoveryCode: req.body.recoveryCode || null,
+        guestCartToken: req.signedCookies?.[GUEST_CART_COOKIE] || null,
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip,
+      });
+
+      sendLoginResult(req, res, result, 'two_factor');
+    } catch (error) {
+      recordAuthEvent(req, 'auth.login_failed', {
+        userId: null,
+        metadata: { method: 'two_factor', reason: error.message },
+      });
+      if (error.message.includes('inactive')) {
+        return res.status(401).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * Email a passwordless sign-in link
+ * POST /api/auth/magic-link
+ */
+router.post(
+  '/magic-link',
+  authLimiter,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg,
+        });
+      }
+
+      try {
+        await requestMagicLink(req.body.email, { ipAddress: req.ip });
+      } catch (error) {
+        // Log error but don't reveal if email exists
+        console.error('Magic link error:', error);
+      }
+
+      // Always return success to prevent email enumeration
+      res.json({
+        success: true,
+        message: 'If an account with that email exists, a sign-in link has been sent.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Exchange a sign-in link token for tokens (same response as login)
+ * POST /api/auth/magic-link/verify
+ */
+router.post(
+  '/magic-link/verify',
+  authLimiter,
+  [body('token').isString().notEmpty().withMessage('Sign-in token is required')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg,
+        });
+      }
+
+      const result = await authenticateWithMagicLink(req.body.token, {
+        guestCartToken: req.signedCookies?.[GUEST_CART_COOKIE] || null,
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip,
+      });
+
+      if (result.twoFactorRequired) {
+        return res.json({
+          success: true,
+          message: 'Enter the code from your authenticator app to finish logging in',
+          data: {
+            twoFactorRequired: true,
+            challengeToken: result.challengeToken,
+            challengeExpiresAt: result.challengeExpiresAt,
+          },
+        });
+      }
+
+      sendLoginResult(req, res, result, 'magic_link');
+    } catch (error) {
+      if (error.message.includes('Invalid') || error.message.includes('inactive')) {
+        return res.status(401).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * List the configured OpenID Connect login providers
+ * GET /api/auth/oidc/providers
+ */
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: listOidcProviders(),
+    },
+  });
+});
+
+/**
+ * Start logging in with an OpenID Connect provider (redirects to the provider)
+ * GET /api/auth/oidc/:provider/authorize?loginHint=...
+ */
+router.get('/oidc/:provider/authorize', authLimiter, async (req, res, next) => {
+  try {
+    const loginHint = typeof req.query.loginHint === 'string' ? req.query.loginHint : null;
+    const { authorizationUrl, stateHash } = await createAuthorizationUrl(req.params.provider, { loginHint });
+
+    // Binds the login to this browser; checked and cleared by the callback
+    res.cookie(OIDC_STATE_COOKIE, stateHash, OIDC_STATE_COOKIE_OPTIONS);
+    res.redirect(302, authorizationUrl);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Redirect URI of an OpenID Connect provider; logs in and redirects to the frontend.
+ * On success the refresh token cookie is set and the frontend calls /refresh for an
+ * access token; two-factor users get a challengeToken for /login/2fa instead.
+ * GET /api/auth/oidc/:provider/callback
+ */
+router.get('/oidc/:provider/callback', async (req, res) => {
+  const frontendBase =
+    process.env.FRONTEND_URL ||
+    process.env.CORS_ORIGIN ||
+    'http://localhost:8080';
+  const frontendUrl = frontendBase.replace(/\/+$/, '');
+
+  const browserStateHash = req.cookies?.[OIDC_STATE_COOKIE] || null;
+  const { maxAge, ...stateCookieOptions } = OIDC_STATE_COOKIE_OPTIONS;
+  res.clearCookie(OIDC_STATE_COOKIE, stateCookieOptions);
+
+  try {
+    if (req.query.error) {
+      throw new Error(req.query.error_description || 'Login was cancelled');
+    }
+
+    const result = await authenticateWithOidc(req.params.provider, {
+      code: req.query.code,
+      state: req.query.state,
+      browserStateHash,
+      guestCartToken: req.signedCookies?.[GUEST_CART_COOKIE] || null,
+      userAgent: req.get('user-agent') || null,
+      ipAddress: req.ip,
+    });
+
+    if (result.twoFactorRequired) {
+      const challengeToken = encodeURIComponent(result.challengeToken);
+      return res.redirect(302, `${frontendUrl}/auth?oidc=1&twoFactor=1&challengeToken=${challengeToken}`);
+    }
+
+    recordAuthEvent(req, 'auth.login', {
+      userId: result.user.id,
+      metadata: { method: 'oidc', provider: req.params.provider },
+    });
+    setRefreshTokenCookie(res, result.refreshToken);
+    if (result.cartMerge) {
+      res.clearCookie(GUEST_CART_COOKIE);
+    }
+
+    return res.redirect(302, `${frontendUrl}/auth?oidc=1`);
+  } catch (error) {
+    if (!error.status || error.status >= 500) {
+      console.error('OIDC login error:', error);
+    }
+    const reason = encodeURIComponent(error.message || 'Login failed');
+    return res.redirect(302, `${frontendUrl}/auth?oidc=0&reason=${reason}`);
+  }
+});
+
+/**
+ * Logout user (this session only; other devices stay signed in)
  * POST /api/auth/logout
  */
 router.post('/logout', authenticate, async (req, res, next) => {
   try {
-    // Delete refresh token from database
-    await query(
-      `DELETE FROM refresh_tokens WHERE user_id = $1`,
-      [req.userId]
-    );
+    // Delete this session's refresh token from database
+    if (req.sessionId) {
+      await revokeSession(req.userId, req.sessionId);
+    } else if (req.cookies?.refreshToken) {
+      await revokeSessionByToken(req.userId, req.cookies.refreshToken);
+    }
 
     // Clear refresh token cookie
     res.clearCookie('refreshToken');
+    recordAuthEvent(req, 'auth.logout');
 
     res.json({
       success: true,
@@ -171,6 +489,7 @@ router.post('/logout', authenticate, async (req, res, next) => {
 router.post('/refresh', async (req, res, next) => {
   try {
     // Get refresh token from cookie or body
+    const fromCookie = Boolean(req.cookies?.refreshToken);
     const refreshToken = req.cookies?.refreshToken || req.body.refreshToken;
 
     if (!refreshToken) {
@@ -180,45 +499,18 @@ router.post('/refresh', async (req, res, next) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
-
-    // Check if refresh token exists in database and is valid
-    const result = await query(
-      `SELECT user_id, expires_at 
-       FROM refresh_tokens 
-       WHERE user_id = $1 AND token = $2`,
-      [decoded.userId, refreshToken]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid refresh token',
-      });
-    }
-
-    const tokenData = result.rows[0];
-    const expiresAt = new Date(tokenData.expires_at);
-
-    if (expiresAt < new Date()) {
-      // Token expired, delete it
-      await query(
-        `DELETE FROM refresh_tokens WHERE user_id = $1`,
-        [decoded.userId]
-      );
-      return res.status(401).json({
-        success: false,
-        error: 'Refresh token has expired',
-      });
-    }
+    // Verify refresh token and exchange it for a new one; the old token is now spent
+    const { session, refreshToken: nextRefreshToken } = await rotateRefreshToken(refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null,
+    });
 
     // Check if user is still active
     const userResult = await query(
       `SELECT id, email_verified
        FROM users
        WHERE id = $1 AND is_active = true`,
-      [decoded.userId]
+      [session.user_id]
     );
 
     if (userResult.rows.length === 0) {
@@ -229,23 +521,24 @@ router.post('/refresh', async (req, res, next) => {
     }
 
     if (!userResult.rows[0].email_verified) {
-      await query(
-        `DELETE FROM refresh_tokens WHERE user_id = $1`,
-        [decoded.userId]
-      );
+      await revokeSession(session.user_id, session.id);
       return res.status(401).json({
         success: false,
         error: 'Please verify your email before logging in.',
       });
     }
 
-    // Generate new access token
-    const accessToken = generateAccessToken({ userId: decoded.userId });
+    // Generate new access token for the same session
+    const accessToken = generateAccessToken({ userId: session.user_id, sessionId: session.id });
+
+    setRefreshTokenCookie(res, nextRefreshToken);
 
     res.json({
       success: true,
       data: {
         accessToken,
+        // Clients that send the token in the body cannot read the cookie
+        ...(fromCookie ? {} : { refreshToken: nextRefreshToken }),
       },
     });
   } catch (error) {
@@ -259,45 +552,335 @@ router.post('/refresh', async (req, res, next) => {
   }
 });
 
+/**
+ * List the current user's signed-in sessions
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session,
+          current: session.id === req.sessionId,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Sign out every session except the current one
+ * DELETE /api/auth/sessions
+ */
+router.delete('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const revoked = await revokeOtherSessions(req.userId, req.sessionId);
+    recordAuthEvent(req, 'auth.sessions_revoked', { metadata: { revoked } });
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revoked} other session${revoked === 1 ? '' : 's'}`,
+      data: {
+        revoked,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Sign out one session
+ * DELETE /api/auth/sessions/:sessionId
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authenticate,
+  [param('sessionId').isUUID().withMessage('Valid sessionId is required')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg,
+        });
+      }
+
+      const revoked = await revokeSession(req.userId, req.params.sessionId);
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found',
+        });
+      }
+
+      if (req.params.sessionId === req.sessionId) {
+        res.clearCookie('refreshToken');
+      }
+
+      res.json({
+        success: true,
+        message: 'Session signed out',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * List the login provider identities linked to the current user
+ * GET /api/auth/identities
+ */
+router.get('/identities', authenticate, async (req, res, next) => {
+  try {
+    const identities = await listIdentities(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        identities,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Unlink a login provider identity; the only remaining login method cannot be removed
+ * DELETE /api/auth/identities/:identityId
+ */
+router.delete(
+  '/identities/:identityId',
+  authenticate,
+  [param('identityId').isUUID().withMessage('Valid identityId is required')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg,
+        });
+      }
+
+      const unlinked = await unlinkIdentity(req.userId, req.params.identityId);
+      if (!unlinked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Identity not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Login method removed',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Two-factor authentication status of the current user
+ * GET /api/auth/2fa
+ */
+router.get('/2fa', authenticate, async (req, res, next) => {
+  try {
+    const status = await getTwoFactorStatus(req.userId);
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Start two-factor enrollment: returns a new secret and its otpauth:// URI for a QR code
+ * POST /api/auth/2fa/setup
+ */
+router.post('/2fa/setup', authenticate, async (req, res, next) => {
+  try {
+    const { secret, otpauthUrl } = await beginTwoFactorEnrollment(req.userId);
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code from it',
+      data: {
+        secret,
+        otpauthUrl,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Confirm two-factor enrollment with a code; returns the recovery codes once
+ * POST /api/auth/2fa/confirm
+ */
+router.post(
+  '/2fa/confirm',
+  authenticate,
+  [body('code').isString().notEmpty().withMessage('Code is required')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg,
+        });
+      }
+
+      const { recoveryCodes } = await confirmTwoFactorEnrollment(req.userId, req.body.code);
+      recordAuthEvent(req, 'auth.two_factor_enabled');
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+        data: {
+          recoveryCodes,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Turn two-factor authentication off
+ * POST /api/auth/2fa/disable
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  [
+    body('password').isString().notEmpty().withMessage('Password is required'),
+    body('code').optional().isString().withMessage('Code must be a string'),
+    body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+    body().custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('An authentication code or a recovery code is required');
+      }
+      return true;
+    }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg,
+        });
+      }
+
+      await disableTwoFactor(req.userId, {
+        password: req.body.password,
+        code: req.body.code || null,
+        recoveryCode: req.body.recoveryCode || null,
+      });
+      recordAuthEvent(req, 'auth.two_factor_disabled');
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Replace the recovery codes; the old ones stop working
+ * POST /api/auth/2fa/recovery-codes
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  [body('code').isString().notEmpty().withMessage('Code is required')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg,
+        });
+      }
+
+      const { recoveryCodes } = await regenerateRecoveryCodes(req.userId, req.body.code);
+      recordAuthEvent(req, 'auth.recovery_codes_regenerated');
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated',
+        data: {
+          recoveryCodes,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * Get current user
  * GET /api/auth/me
  */
-router.get('/me', authenticate, async (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      user: req.user,
-    },
-  });
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
+    const defaultAddress = await getDefaultAddress(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          ...req.user,
+          default_address: defaultAddress,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
- * Check current user's role
- * GET /api/auth/has-role?role=admin
+ * Check current user's role and report their effective admin permissions
+ * GET /api/auth/has-role?role=admin (role is optional; permission=products:write checks one permission)
  */
 router.get('/has-role', authenticate, async (req, res, next) => {
   try {
     const role = String(req.query.role || '').trim();
-    if (!role) {
-      return res.status(400).json({
-        success: false,
-        error: 'Role is required',
-      });
-    }
+    const permission = String(req.query.permission || '').trim();
 
-    const result = await query(
-      `SELECT 1
-       FROM user_roles
-       WHERE user_id = $1 AND role = $2
-       LIMIT 1`,
-      [req.userId, role]
-    );
+    const { roles, permissions } = await getUserAccess(req.userId);
 
     res.json({
       success: true,
       data: {
-        hasRole: result.rows.length > 0,
+        ...(role && { hasRole: roles.includes(role) }),
+        ...(permission && { hasPermission: permissions.includes(permission) }),
+        roles,
+        permissions,
       },
     });
   } catch (error) {
@@ -374,6 +957,7 @@ router.post(
       const { email } = req.body;
 
       // Request password reset (sends email with code)
+      recordAuthEventForEmail(req, 'auth.password_reset_requested', email);
       try {
         await requestPasswordReset(email);
       } catch (error) {
@@ -407,8 +991,9 @@ router.post(
       .isLength({ min: 6, max: 6 })
       .withMessage('Verification code must be 6 digits'),
     body('password')
-      .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters long'),
+      .isString()
+      .notEmpty()
+      .withMessage('Password is required'),
   ],
   async (req, res, next) => {
     try {
@@ -422,7 +1007,12 @@ router.post(
 
       const { email, code, password } = req.body;
 
-      await resetPasswordWithCode(email, code, password);
+      // Checked before the code is spent so the user can retry with a better password
+      const policyError = passwordPolicyError(password, { email });
+      if (policyError) return next(policyError);
+
+      const { userId } = await resetPasswordWithCode(email, code, password);
+      recordAuthEvent(req, 'auth.password_reset', { userId });
 
       res.json({
         success: true,
@@ -449,8 +1039,9 @@ router.post(
   authenticate,
   [
     body('password')
-      .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters long'),
+      .isString()
+      .notEmpty()
+      .withMessage('Password is required'),
   ],
   async (req, res, next) => {
     try {
@@ -464,7 +1055,14 @@ router.post(
 
       const { password } = req.body;
 
+      const policyError = passwordPolicyError(password, {
+        email: req.user.email,
+        fullName: req.user.full_name,
+      });
+      if (policyError) return next(policyError);
+
       await updateUserPassword(req.userId, password);
+      recordAuthEvent(req, 'auth.password_change');
 
       res.json({
         success: true,
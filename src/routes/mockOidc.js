@@ -0,0 +1,149 @@
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { MOCK_OIDC_CLIENT_ID, MOCK_OIDC_CLIENT_SECRET } from '../config/oidc.js';
+
+/**
+ * Local mock OpenID Connect issuer
+ *
+ * Implements just enough of a real provider (discovery, authorization code flow with
+ * PKCE, RS256-signed ID tokens, JWKS) to exercise the OIDC login end to end without
+ * network access. There is no login page: /authorize signs in whoever is named by the
+ * login_hint query parameter (or MOCK_OIDC_EMAIL) straight away. Pass
+ * email_verified=false to simulate an unverified email.
+ */
+
+const router = express.Router();
+
+const KEY_ID = 'mock-oidc-key';
+const CODE_TTL_MS = 60 * 1000;
+
+// Authorization codes not yet exchanged, keyed by code
+const codes = new Map();
+
+let signingKey = null;
+const getSigningKey = () => {
+  if (!signingKey) {
+    signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  }
+  return signingKey;
+};
+
+const issuerUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+const oauthError = (res, status, error, description) => {
+  return res.status(status).json({ error, error_description: description });
+};
+
+router.get('/.well-known/openid-configuration', (req, res) => {
+  const issuer = issuerUrl(req);
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post'],
+  });
+});
+
+router.get('/jwks', (req, res) => {
+  const jwk = getSigningKey().publicKey.export({ format: 'jwk' });
+  res.json({ keys: [{ ...jwk, kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+router.get('/authorize', (req, res) => {
+  const {
+    response_type: responseType,
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+  } = req.query;
+
+  if (clientId !== MOCK_OIDC_CLIENT_ID) {
+    return oauthError(res, 400, 'unauthorized_client', 'Unknown client_id');
+  }
+  if (responseType !== 'code' || !redirectUri) {
+    return oauthError(res, 400, 'invalid_request', 'response_type=code and redirect_uri are required');
+  }
+  if (!codeChallenge || codeChallengeMethod !== 'S256') {
+    return oauthError(res, 400, 'invalid_request', 'PKCE with code_challenge_method=S256 is required');
+  }
+
+  const email = String(req.query.login_hint || process.env.MOCK_OIDC_EMAIL || 'mock.user@example.com').toLowerCase();
+  const code = crypto.randomBytes(24).toString('hex');
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    codeChallenge,
+    nonce,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    user: {
+      sub: `mock-${crypto.createHash('sha256').update(email).digest('hex').slice(0, 24)}`,
+      email,
+      email_verified: req.query.email_verified !== 'false',
+      name: req.query.name || email.split('@')[0],
+    },
+  });
+
+  const location = new URL(redirectUri);
+  location.searchParams.set('code', code);
+  if (state) location.searchParams.set('state', state);
+  res.redirect(302, location.toString());
+});
+
+router.post('/token', (req, res) => {
+  const {
+    grant_type: grantType,
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    client_secret: clientSecret,
+    code_verifier: codeVerifier,
+  } = req.body;
+
+  if (clientId !== MOCK_OIDC_CLIENT_ID || clientSecret !== MOCK_OIDC_CLIENT_SECRET) {
+    return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+  }
+  if (grantType !== 'authorization_code') {
+    return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  const grant = codes.get(code);
+  codes.delete(code);
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId || grant.redirectUri !== redirectUri) {
+    return oauthError(res, 400, 'invalid_grant', 'Authorization code is invalid or expired');
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(codeVerifier || '')).digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const idToken = jwt.sign(
+    { ...grant.user, ...(grant.nonce && { nonce: grant.nonce }) },
+    getSigningKey().privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: issuerUrl(req),
+      audience: clientId,
+      expiresIn: '5m',
+    }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+export default router;
@@ -0,0 +1,44 @@
+import express from 'express';
+import { getPaymentProvider } from '../services/paymentProviders/index.js';
+import { handlePaymentWebhook } from '../services/paymentService.js';
+
+const router = express.Router();
+
+/**
+ * Payment provider webhook
+ * POST /api/payments/webhooks/:provider
+ */
+router.post('/webhooks/:provider', async (req, res, next) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown payment provider',
+      });
+    }
+
+    // Signatures are computed over the exact bytes the provider sent
+    const event = provider.verifyWebhook(req.rawBody, req.headers);
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook signature',
+      });
+    }
+
+    const payment = await handlePaymentWebhook(provider.name, event);
+
+    res.json({
+      success: true,
+      data: {
+        paymentId: payment.id,
+        status: payment.status,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -2,6 +2,12 @@ import express from 'express';
 import { body, param, validationResult } from 'express-validator';
 import { query } from '../config/database.js';
 import { sendEmail } from '../services/emailService.js';
+import { getCart, addCartItem, updateCartItem, removeCartItem, clearCart } from '../services/cartService.js';
+import { findGuestCart, resolveGuestCart } from '../middleware/guestCart.js';
+import { PRODUCT_SORTS, getProductVariants, searchProducts } from '../services/productService.js';
+import { quoteShipping, getQuoteLines } from '../services/shippingService.js';
+import { fromCents } from '../services/orderService.js';
+import { addressValidators } from '../middleware/addressValidation.js';
 
 const router = express.Router();
 
@@ -20,38 +26,41 @@ const validate = (req, res) => {
   return true;
 };
 
+// Comma separated (or repeated) query values, e.g. size=9,10 or size=9&size=10
+const listQuery = (value) =>
+  (Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [])
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const booleanQuery = (value) => {
+  if (value === 'true' || value === true) return true;
+  if (value === 'false' || value === false) return false;
+  return undefined;
+};
+
 router.get('/products', async (req, res, next) => {
   try {
-    const where = [];
-    const params = [];
-
-    const featuredRaw = req.query.featured;
-    if (featuredRaw !== undefined) {
-      if (featuredRaw === 'true' || featuredRaw === true) {
-        params.push(true);
-      } else if (featuredRaw === 'false' || featuredRaw === false) {
-        params.push(false);
-      } else {
-        return res.status(400).json({
-          success: false,
-          error: 'featured must be true or false',
-        });
+    const badRequest = (error) => res.status(400).json({ success: false, error });
+
+    let featured = null;
+    if (req.query.featured !== undefined) {
+      featured = booleanQuery(req.query.featured);
+      if (featured === undefined) {
+        return badRequest('featured must be true or false');
       }
-      where.push(`featured = $${params.length}`);
     }
 
-    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
-    if (search) {
-      if (search.length > 100) {
-        return res.status(400).json({
-          success: false,
-          error: 'search must be 100 characters or less',
-        });
+    let inStock = null;
+    if (req.query.inStock !== undefined) {
+      inStock = booleanQuery(req.query.inStock);
+      if (inStock === undefined) {
+        return badRequest('inStock must be true or false');
       }
-      params.push(`%${search}%`);
-      where.push(
-        `(name ILIKE $${params.length} OR category ILIKE $${params.length} OR COALESCE(description, '') ILIKE $${params.length})`
-      );
+    }
+
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    if (search.length > 100) {
+      return badRequest('search must be 100 characters or less');
     }
 
     const idsParam = typeof req.query.ids === 'string' ? req.query.ids : '';
@@ -60,17 +69,37 @@ router.get('/products', async (req, res, next) => {
       .map((id) => id.trim())
       .filter(Boolean);
 
-    if (ids.length > 0) {
-      const invalidId = ids.find((id) => !UUID_REGEX.test(id));
-      if (invalidId) {
-        return res.status(400).json({
-          success: false,
-          error: 'ids must be a comma separated list of UUIDs',
-        });
+    if (ids.length > 0 && ids.some((id) => !UUID_REGEX.test(id))) {
+      return badRequest('ids must be a comma separated list of UUIDs');
+    }
+
+    const categories = listQuery(req.query.category);
+    const sizes = listQuery(req.query.size);
+    const colors = listQuery(req.query.color);
+    if ([categories, sizes, colors].some((values) => values.length > 50 || values.some((value) => value.length > 100))) {
+      return badRequest('category, size and color filters accept at most 50 values of up to 100 characters');
+    }
+
+    const prices = {};
+    for (const key of ['minPrice', 'maxPrice']) {
+      prices[key] = null;
+      if (req.query[key] !== undefined) {
+        prices[key] = Number(req.query[key]);
+        if (req.query[key] === '' || !Number.isFinite(prices[key]) || prices[key] < 0) {
+          return badRequest(`${key} must be a non-negative number`);
+        }
       }
+    }
+    if (prices.minPrice !== null && prices.maxPrice !== null && prices.minPrice >= prices.maxPrice) {
+      return badRequest('minPrice must be less than maxPrice');
+    }
 
-      params.push(ids);
-      where.push(`id = ANY($${params.length}::uuid[])`);
+    const sort = req.query.sort ?? null;
+    if (sort !== null && !PRODUCT_SORTS.includes(sort)) {
+      return badRequest(`sort must be one of: ${PRODUCT_SORTS.join(', ')}`);
+    }
+    if (sort === 'relevance' && !search) {
+      return badRequest('sort=relevance requires a search term');
     }
 
     const limitRaw = req.query.limit;
@@ -78,34 +107,28 @@ router.get('/products', async (req, res, next) => {
     if (limitRaw !== undefined) {
       limit = Number(limitRaw);
       if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
-        return res.status(400).json({
-          success: false,
-          error: 'limit must be an integer between 1 and 100',
-        });
+        return badRequest('limit must be an integer between 1 and 100');
       }
     }
 
-    let sql = `
-      SELECT id, name, description, category, price, original_price, image_url, sizes, colors,
-             in_stock, featured, stock_quantity, created_at, updated_at
-      FROM products
-    `;
-
-    if (where.length > 0) {
-      sql += ` WHERE ${where.join(' AND ')}`;
-    }
-
-    sql += ` ORDER BY created_at DESC`;
-
-    if (limit) {
-      params.push(limit);
-      sql += ` LIMIT $${params.length}`;
-    }
-
-    const result = await query(sql, params);
-    let products = result.rows;
+    // Looking up specific products (e.g. a wishlist) has no use for facets
+    const { products: found, facets } = await searchProducts({
+      search: search || null,
+      featured,
+      inStock,
+      ids,
+      categories,
+      sizes,
+      colors,
+      minPrice: prices.minPrice,
+      maxPrice: prices.maxPrice,
+      sort,
+      limit,
+      facets: ids.length === 0,
+    });
+    let products = found;
 
-    if (ids.length > 0) {
+    if (ids.length > 0 && !sort) {
       const idOrder = new Map(ids.map((id, index) => [id, index]));
       products = [...products].sort((a, b) => {
         const aOrder = idOrder.get(a.id) ?? Number.MAX_SAFE_INTEGER;
@@ -118,6 +141,7 @@ router.get('/products', async (req, res, next) => {
       success: true,
       data: {
         products,
+        ...(facets && { facets }),
       },
     });
   } catch (error) {
@@ -148,10 +172,25 @@ router.get(
         });
       }
 
+      const product = result.rows[0];
+      const variants = await getProductVariants(product.id);
+
       res.json({
         success: true,
         data: {
-          product: result.rows[0],
+          product: {
+            ...product,
+            // Variant price falls back to the product price when no override is set
+            variants: variants.map((variant) => ({
+              id: variant.id,
+              sku: variant.sku,
+              size: variant.size,
+              color: variant.color,
+              price: variant.price ?? product.price,
+              stock_quantity: variant.stock_quantity,
+              in_stock: variant.stock_quantity > 0,
+            })),
+          },
         },
       });
     } catch (error) {
@@ -189,6 +228,167 @@ router.get(
   }
 );
 
+/**
+ * Guest cart (anonymous shoppers, identified by the signed guestCart cookie)
+ * The cookie and cart are only created when the first item is added
+ */
+router.get('/cart', findGuestCart, async (req, res, next) => {
+  try {
+    const cart = await getCart(req.cartId);
+
+    res.json({
+      success: true,
+      data: {
+        cart,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post(
+  '/cart/items',
+  [
+    body('productId').isUUID().withMessage('Valid productId is required'),
+    body('quantity').optional().isInt({ min: 1, max: 99 }).withMessage('Quantity must be between 1 and 99'),
+    body('size').optional({ nullable: true }).isString(),
+    body('color').optional({ nullable: true }).isString(),
+  ],
+  resolveGuestCart,
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const cart = await addCartItem(req.cartId, {
+        productId: req.body.productId,
+        quantity: Number(req.body.quantity ?? 1),
+        size: req.body.size || null,
+        color: req.body.color || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Added to cart',
+        data: {
+          cart,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.patch(
+  '/cart/items/:itemId',
+  [
+    param('itemId').isUUID().withMessage('Valid itemId is required'),
+    body('quantity').optional().isInt({ min: 1, max: 99 }).withMessage('Quantity must be between 1 and 99'),
+    body('size').optional({ nullable: true }).isString(),
+    body('color').optional({ nullable: true }).isString(),
+  ],
+  findGuestCart,
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const cart = await updateCartItem(req.cartId, req.params.itemId, {
+        quantity: req.body.quantity !== undefined ? Number(req.body.quantity) : undefined,
+        size: req.body.size,
+        color: req.body.color,
+      });
+
+      res.json({
+        success: true,
+        message: 'Cart updated',
+        data: {
+          cart,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/cart/items/:itemId',
+  [param('itemId').isUUID().withMessage('Valid itemId is required')],
+  findGuestCart,
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const cart = await removeCartItem(req.cartId, req.params.itemId);
+
+      res.json({
+        success: true,
+        message: 'Removed from cart',
+        data: {
+          cart,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete('/cart', findGuestCart, async (req, res, next) => {
+  try {
+    if (req.cartId) {
+      await clearCart(req.cartId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Cart cleared',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Shipping quotes for an address and cart contents
+ */
+router.post(
+  '/shipping/quote',
+  [
+    ...addressValidators('address'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.productId').isUUID().withMessage('Valid productId is required'),
+    body('items.*.variantId').optional({ nullable: true }).isUUID().withMessage('Valid variantId is required'),
+    body('items.*.quantity').isInt({ min: 1, max: 99 }).withMessage('Quantity must be between 1 and 99'),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const { lines, subtotalCents } = await getQuoteLines(req.body.items);
+      const quotes = await quoteShipping({ query }, {
+        country: req.body.address.country,
+        lines,
+        subtotalCents,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          subtotal: fromCents(subtotalCents),
+          methods: quotes.map(({ costCents, ...quote }) => ({
+            ...quote,
+            cost: fromCents(costCents),
+          })),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 router.post(
   '/contact',
   [
@@ -2,6 +2,38 @@ import express from 'express';
 import { body, param, validationResult } from 'express-validator';
 import { authenticate } from '../middleware/auth.js';
 import { getClient, query } from '../config/database.js';
+import {
+  ORDER_COLUMNS,
+  ORDER_ITEM_COLUMNS,
+  placeOrder,
+  cancelOrder,
+  getStatusHistory,
+} from '../services/orderService.js';
+import { payOrder, refundOrderPayments, getOrderPayments } from '../services/paymentService.js';
+import { createReturnRequest, listReturnRequests } from '../services/returnService.js';
+import { addressValidators, addressRuleError, pickAddress } from '../middleware/addressValidation.js';
+import {
+  getAddresses,
+  getAddress,
+  getAddressSnapshot,
+  toAddressSnapshot,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+} from '../services/addressService.js';
+import { getOrderTaxLines } from '../services/taxService.js';
+import { buildDataExport, notifyDataExport, deleteAccount } from '../services/accountService.js';
+import { recordAuthEvent } from '../middleware/audit.js';
+import { authLimiter } from '../middleware/rateLimiter.js';
+import {
+  getOrCreateCartId,
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  getCheckoutItems,
+} from '../services/cartService.js';
 
 const router = express.Router();
 
@@ -19,6 +51,50 @@ const validate = (req, res) => {
   return true;
 };
 
+/**
+ * Charge a just-placed order and respond with the order and the payment outcome.
+ * Orders stay pending when payment fails so the customer can retry or cancel.
+ */
+const respondWithPayment = async (res, order, paymentMethod) => {
+  const payment = await payOrder(order, { paymentMethod });
+
+  const orderResult = await query(
+    `SELECT ${ORDER_COLUMNS} FROM orders WHERE id = $1`,
+    [order.id]
+  );
+
+  const data = {
+    order: {
+      ...orderResult.rows[0],
+      order_items: order.order_items,
+      tax_lines: order.tax_lines,
+    },
+    payment,
+  };
+
+  if (payment.status === 'failed') {
+    return res.status(402).json({
+      success: false,
+      error: `Payment failed: ${payment.failure_reason || 'declined'}`,
+      data,
+    });
+  }
+
+  if (payment.status !== 'captured') {
+    return res.status(202).json({
+      success: true,
+      message: 'Order placed. Waiting for payment confirmation.',
+      data,
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Order placed successfully',
+    data,
+  });
+};
+
 /**
  * Wishlist
  */
@@ -89,13 +165,342 @@ router.delete(
   }
 );
 
+/**
+ * Cart
+ */
+router.get('/cart', async (req, res, next) => {
+  try {
+    const cartId = await getOrCreateCartId(req.userId);
+    const cart = await getCart(cartId);
+
+    res.json({
+      success: true,
+      data: {
+        cart,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post(
+  '/cart/items',
+  [
+    body('productId').isUUID().withMessage('Valid productId is required'),
+    body('quantity').optional().isInt({ min: 1, max: 99 }).withMessage('Quantity must be between 1 and 99'),
+    body('size').optional({ nullable: true }).isString(),
+    body('color').optional({ nullable: true }).isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const cartId = await getOrCreateCartId(req.userId);
+      const cart = await addCartItem(cartId, {
+        productId: req.body.productId,
+        quantity: Number(req.body.quantity ?? 1),
+        size: req.body.size || null,
+        color: req.body.color || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Added to cart',
+        data: {
+          cart,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.patch(
+  '/cart/items/:itemId',
+  [
+    param('itemId').isUUID().withMessage('Valid itemId is required'),
+    body('quantity').optional().isInt({ min: 1, max: 99 }).withMessage('Quantity must be between 1 and 99'),
+    body('size').optional({ nullable: true }).isString(),
+    body('color').optional({ nullable: true }).isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const cartId = await getOrCreateCartId(req.userId);
+      const cart = await updateCartItem(cartId, req.params.itemId, {
+        quantity: req.body.quantity !== undefined ? Number(req.body.quantity) : undefined,
+        size: req.body.size,
+        color: req.body.color,
+      });
+
+      res.json({
+        success: true,
+        message: 'Cart updated',
+        data: {
+          cart,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/cart/items/:itemId',
+  [param('itemId').isUUID().withMessage('Valid itemId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const cartId = await getOrCreateCartId(req.userId);
+      const cart = await removeCartItem(cartId, req.params.itemId);
+
+      res.json({
+        success: true,
+        message: 'Removed from cart',
+        data: {
+          cart,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete('/cart', async (req, res, next) => {
+  try {
+    const cartId = await getOrCreateCartId(req.userId);
+    await clearCart(cartId);
+
+    res.json({
+      success: true,
+      message: 'Cart cleared',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post(
+  '/cart/checkout',
+  [
+    body('total').optional().isFloat({ min: 0 }).withMessage('Total must be a valid number'),
+    body('addressId').optional().isUUID().withMessage('Valid addressId is required'),
+    ...addressValidators('shippingAddress', { when: body('addressId').not().exists() }),
+    body('shippingMethodId').optional({ nullable: true }).isUUID().withMessage('Valid shippingMethodId is required'),
+    body('couponCode').optional({ nullable: true }).isString().trim().notEmpty().withMessage('Coupon code must be a string'),
+    body('paymentMethod').optional().isString().withMessage('Payment method must be a string'),
+  ],
+  async (req, res, next) => {
+    let client;
+    try {
+      if (!validate(req, res)) return;
+
+      const shippingAddress = req.body.addressId
+        ? await getAddressSnapshot(req.userId, req.body.addressId)
+        : pickAddress(req.body.shippingAddress);
+
+      client = await getClient();
+      await client.query('BEGIN');
+
+      const cartId = await getOrCreateCartId(req.userId, client);
+      const items = await getCheckoutItems(client, cartId);
+      if (items.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          error: 'Your cart is empty',
+        });
+      }
+
+      const order = await placeOrder(client, {
+        userId: req.userId,
+        items,
+        shippingAddress,
+        shippingMethodId: req.body.shippingMethodId || null,
+        expectedTotal: req.body.total,
+        couponCode: req.body.couponCode || null,
+      });
+
+      await clearCart(cartId, client);
+      await client.query('COMMIT');
+
+      // Do not hold a pooled connection while waiting on the payment provider
+      client.release();
+      client = null;
+
+      await respondWithPayment(res, order, req.body.paymentMethod);
+    } catch (error) {
+      if (client) await client.query('ROLLBACK');
+      next(error);
+    } finally {
+      if (client) client.release();
+    }
+  }
+);
+
+/**
+ * Address book
+ */
+const addressFlagValidators = [
+  body('label').optional({ nullable: true }).isString().trim().isLength({ max: 50 }).withMessage('Label must be 50 characters or less'),
+  body('isDefaultShipping').optional().isBoolean().withMessage('isDefaultShipping must be true or false'),
+  body('isDefaultBilling').optional().isBoolean().withMessage('isDefaultBilling must be true or false'),
+];
+
+router.get('/addresses', async (req, res, next) => {
+  try {
+    const addresses = await getAddresses(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        addresses,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get(
+  '/addresses/:addressId',
+  [param('addressId').isUUID().withMessage('Valid addressId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const address = await getAddress(req.userId, req.params.addressId);
+      if (!address) {
+        return res.status(404).json({
+          success: false,
+          error: 'Address not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          address,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/addresses', [...addressValidators(''), ...addressFlagValidators], async (req, res, next) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const address = await createAddress(req.userId, {
+      ...pickAddress(req.body),
+      label: req.body.label,
+      isDefaultShipping: req.body.isDefaultShipping,
+      isDefaultBilling: req.body.isDefaultBilling,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved',
+      data: {
+        address,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch(
+  '/addresses/:addressId',
+  [
+    param('addressId').isUUID().withMessage('Valid addressId is required'),
+    ...addressValidators('', { partial: true }),
+    ...addressFlagValidators,
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const current = await getAddress(req.userId, req.params.addressId);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: 'Address not found',
+        });
+      }
+
+      // Only fields present in the body change; country rules apply to the merged result
+      const changes = Object.fromEntries(
+        Object.entries(pickAddress(req.body)).filter(([field]) => req.body[field] !== undefined)
+      );
+      const ruleError = addressRuleError({ ...toAddressSnapshot(current), ...changes });
+      if (ruleError) {
+        return res.status(400).json({
+          success: false,
+          error: ruleError,
+        });
+      }
+
+      const address = await updateAddress(req.userId, current, {
+        ...changes,
+        label: req.body.label,
+        isDefaultShipping: req.body.isDefaultShipping,
+        isDefaultBilling: req.body.isDefaultBilling,
+      });
+
+      res.json({
+        success: true,
+        message: 'Address updated',
+        data: {
+          address,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/addresses/:addressId',
+  [param('addressId').isUUID().withMessage('Valid addressId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const deleted = await deleteAddress(req.userId, req.params.addressId);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Address not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Address deleted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * Orders
  */
 router.get('/orders', async (req, res, next) => {
   try {
     const ordersResult = await query(
-      `SELECT id, user_id, status, total, shipping_address, created_at, updated_at
+      `SELECT ${ORDER_COLUMNS}
        FROM orders
        WHERE user_id = $1
        ORDER BY created_at DESC`,
@@ -114,7 +519,7 @@ router.get('/orders', async (req, res, next) => {
 
     const orderIds = orders.map((o) => o.id);
     const itemsResult = await query(
-      `SELECT id, order_id, product_id, product_name, quantity, size, price, created_at
+      `SELECT ${ORDER_ITEM_COLUMNS}
        FROM order_items
        WHERE order_id = ANY($1::uuid[])
        ORDER BY created_at ASC`,
@@ -149,7 +554,7 @@ router.get(
       if (!validate(req, res)) return;
 
       const orderResult = await query(
-        `SELECT id, user_id, status, total, shipping_address, created_at, updated_at
+        `SELECT ${ORDER_COLUMNS}
          FROM orders
          WHERE id = $1 AND user_id = $2
          LIMIT 1`,
@@ -164,18 +569,27 @@ router.get(
       }
 
       const itemsResult = await query(
-        `SELECT id, order_id, product_id, product_name, quantity, size, price, created_at
+        `SELECT ${ORDER_ITEM_COLUMNS}
          FROM order_items
          WHERE order_id = $1
          ORDER BY created_at ASC`,
         [req.params.orderId]
       );
 
+      const [historyByOrderId, payments, taxLinesByOrderId] = await Promise.all([
+        getStatusHistory([req.params.orderId]),
+        getOrderPayments(req.params.orderId),
+        getOrderTaxLines([req.params.orderId]),
+      ]);
+
       res.json({
         success: true,
         data: {
           order: orderResult.rows[0],
           items: itemsResult.rows,
+          history: historyByOrderId.get(req.params.orderId),
+          payments,
+          taxLines: taxLinesByOrderId.get(req.params.orderId),
         },
       });
     } catch (error) {
@@ -190,88 +604,134 @@ router.post(
     body('items').isArray({ min: 1 }).withMessage('At least one order item is required'),
     body('items.*.productId').isUUID().withMessage('Valid productId is required'),
     body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-    body('items.*.price').isFloat({ min: 0 }).withMessage('Price must be a valid number'),
+    body('items.*.variantId').optional().isUUID().withMessage('Valid variantId is required'),
     body('items.*.size').optional().isString(),
-    body('items.*.product_name').optional().isString(),
-    body('total').isFloat({ min: 0 }).withMessage('Total must be a valid number'),
-    body('shippingAddress').isObject().withMessage('Shipping address is required'),
+    body('items.*.color').optional().isString(),
+    body('total').optional().isFloat({ min: 0 }).withMessage('Total must be a valid number'),
+    body('addressId').optional().isUUID().withMessage('Valid addressId is required'),
+    ...addressValidators('shippingAddress', { when: body('addressId').not().exists() }),
+    body('shippingMethodId').optional({ nullable: true }).isUUID().withMessage('Valid shippingMethodId is required'),
+    body('couponCode').optional({ nullable: true }).isString().trim().notEmpty().withMessage('Coupon code must be a string'),
+    body('paymentMethod').optional().isString().withMessage('Payment method must be a string'),
   ],
   async (req, res, next) => {
     let client;
     try {
       if (!validate(req, res)) return;
 
-      const { items, total, shippingAddress } = req.body;
+      const { items, total, shippingMethodId, couponCode } = req.body;
+      const shippingAddress = req.body.addressId
+        ? await getAddressSnapshot(req.userId, req.body.addressId)
+        : pickAddress(req.body.shippingAddress);
+
       client = await getClient();
       await client.query('BEGIN');
 
-      for (const item of items) {
-        const stockResult = await client.query(
-          `SELECT id, name, stock_quantity
-           FROM products
-           WHERE id = $1
-           FOR UPDATE`,
-          [item.productId]
-        );
-
-        if (stockResult.rows.length === 0) {
-          await client.query('ROLLBACK');
-          return res.status(400).json({
-            success: false,
-            error: 'One or more products no longer exist',
-          });
-        }
-
-        const product = stockResult.rows[0];
-        if (product.stock_quantity < item.quantity) {
-          await client.query('ROLLBACK');
-          return res.status(400).json({
-            success: false,
-            error: `Insufficient stock for "${product.name}"`,
-          });
-        }
-
-        await client.query(
-          `UPDATE products
-           SET stock_quantity = stock_quantity - $1,
-               in_stock = (stock_quantity - $1) > 0,
-               updated_at = NOW()
-           WHERE id = $2`,
-          [item.quantity, item.productId]
-        );
-      }
+      const order = await placeOrder(client, {
+        userId: req.userId,
+        items,
+        shippingAddress,
+        shippingMethodId: shippingMethodId || null,
+        expectedTotal: total,
+        couponCode: couponCode || null,
+      });
+
+      await client.query('COMMIT');
+
+      // Do not hold a pooled connection while waiting on the payment provider
+      client.release();
+      client = null;
+
+      await respondWithPayment(res, order, req.body.paymentMethod);
+    } catch (error) {
+      if (client) await client.query('ROLLBACK');
+      next(error);
+    } finally {
+      if (client) client.release();
+    }
+  }
+);
+
+router.post(
+  '/orders/:orderId/pay',
+  [
+    param('orderId').isUUID().withMessage('Valid orderId is required'),
+    body('paymentMethod').optional().isString().withMessage('Payment method must be a string'),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
 
-      const orderResult = await client.query(
-        `INSERT INTO orders (user_id, total, status, shipping_address)
-         VALUES ($1, $2, 'pending', $3::jsonb)
-         RETURNING id, user_id, status, total, shipping_address, created_at, updated_at`,
-        [req.userId, total, JSON.stringify(shippingAddress)]
+      const orderResult = await query(
+        `SELECT ${ORDER_COLUMNS}
+         FROM orders
+         WHERE id = $1 AND user_id = $2
+         LIMIT 1`,
+        [req.params.orderId, req.userId]
       );
 
-      const order = orderResult.rows[0];
-
-      for (const item of items) {
-        await client.query(
-          `INSERT INTO order_items (order_id, product_id, product_name, quantity, size, price)
-           VALUES ($1, $2, $3, $4, $5, $6)`,
-          [
-            order.id,
-            item.productId,
-            item.product_name || 'Product',
-            item.quantity,
-            item.size || null,
-            item.price,
-          ]
-        );
+      if (orderResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Order not found',
+        });
       }
 
+      const itemsResult = await query(
+        `SELECT ${ORDER_ITEM_COLUMNS}
+         FROM order_items
+         WHERE order_id = $1
+         ORDER BY created_at ASC`,
+        [req.params.orderId]
+      );
+
+      await respondWithPayment(
+        res,
+        { ...orderResult.rows[0], order_items: itemsResult.rows },
+        req.body.paymentMethod
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/orders/:orderId/cancel',
+  [
+    param('orderId').isUUID().withMessage('Valid orderId is required'),
+    body('reason')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be less than 500 characters'),
+  ],
+  async (req, res, next) => {
+    let client;
+    try {
+      if (!validate(req, res)) return;
+
+      client = await getClient();
+      await client.query('BEGIN');
+
+      const order = await cancelOrder(client, {
+        orderId: req.params.orderId,
+        userId: req.userId,
+        cancelledBy: req.userId,
+        reason: req.body.reason || null,
+      });
+
       await client.query('COMMIT');
 
-      res.status(201).json({
+      const refunds = await refundOrderPayments(order.id);
+
+      res.json({
         success: true,
-        message: 'Order placed successfully',
+        message: 'Order cancelled',
         data: {
           order,
+          refunds,
         },
       });
     } catch (error) {
@@ -283,6 +743,70 @@ router.post(
   }
 );
 
+router.get(
+  '/orders/:orderId/returns',
+  [param('orderId').isUUID().withMessage('Valid orderId is required')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const returns = await listReturnRequests({
+        userId: req.userId,
+        orderId: req.params.orderId,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          returns,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/orders/:orderId/returns',
+  [
+    param('orderId').isUUID().withMessage('Valid orderId is required'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item to return is required'),
+    body('items.*.orderItemId').isUUID().withMessage('Valid orderItemId is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 1000 })
+      .withMessage('Reason must be between 3 and 1000 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const returnRequest = await createReturnRequest({
+        orderId: req.params.orderId,
+        userId: req.userId,
+        items: req.body.items.map((item) => ({
+          orderItemId: item.orderItemId,
+          quantity: Number(item.quantity),
+        })),
+        reason: req.body.reason,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Return request submitted',
+        data: {
+          return: returnRequest,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * Reviews
  */
@@ -353,4 +877,48 @@ router.post(
   }
 );
 
+/**
+ * GDPR data export: everything stored about the user, as a JSON download
+ * POST /api/user/data-export
+ */
+router.post('/data-export', authLimiter, async (req, res, next) => {
+  try {
+    const bundle = await buildDataExport(req.userId);
+    recordAuthEvent(req, 'account.data_exported');
+    await notifyDataExport(req.userId, { ipAddress: req.ip });
+
+    const date = bundle.exportedAt.slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="solestride-data-export-${date}.json"`);
+    res.type('application/json').send(JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete the account (requires the password); orders are kept, anonymized
+ * DELETE /api/user/account
+ */
+router.delete(
+  '/account',
+  authLimiter,
+  [body('password').isString().notEmpty().withMessage('Password is required to delete your account')],
+  async (req, res, next) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const { anonymizedOrders } = await deleteAccount(req.userId, req.body.password);
+      recordAuthEvent(req, 'account.deleted', { metadata: { anonymizedOrders }, clientDetails: false });
+
+      res.clearCookie('refreshToken');
+      res.json({
+        success: true,
+        message: 'Your account has been deleted. A confirmation has been sent to your email.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import cookieParser from 'cookie-parser';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -9,8 +10,12 @@ import authRoutes from './routes/auth.js';
 import userRoutes from './routes/user.js';
 import adminRoutes from './routes/admin.js';
 import publicRoutes from './routes/public.js';
+import paymentRoutes from './routes/payments.js';
+import mockOidcRoutes from './routes/mockOidc.js';
+import { MOCK_OIDC_ENABLED, MOCK_OIDC_PATH } from './config/oidc.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 import { apiLimiter } from './middleware/rateLimiter.js';
+import { requestId } from './middleware/requestId.js';
 
 // Load environment variables
 dotenv.config();
@@ -20,6 +25,9 @@ const PORT = process.env.PORT || 3001;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Request ids, recorded in the audit log and echoed in X-Request-Id
+app.use(requestId);
+
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: 'cross-origin' },
@@ -30,15 +38,28 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:8080',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
 }));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware (raw body is kept for payment webhook signatures)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Cookie parser
-app.use(cookieParser());
+// Cookie parser (secret is used to sign the guest cart cookie). A secret made up at
+// startup (development only) invalidates guest cart cookies issued before a restart.
+if (!process.env.COOKIE_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('COOKIE_SECRET must be set in production');
+}
+if (!process.env.COOKIE_SECRET) {
+  console.warn('⚠️  COOKIE_SECRET is not set; guest carts will not survive a restart');
+}
+app.use(cookieParser(process.env.COOKIE_SECRET || crypto.randomBytes(32).toString('hex')));
 
 // Static uploads (admin product images)
 app.use('/uploads', express.static(path.resolve(__dirname, '../uploads')));
@@ -61,6 +82,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/public', publicRoutes);
+app.use('/api/payments', paymentRoutes);
+
+// Local OpenID Connect issuer for development and tests (OIDC_MOCK_ISSUER=true)
+if (MOCK_OIDC_ENABLED) {
+  app.use(MOCK_OIDC_PATH, mockOidcRoutes);
+}
 
 // 404 handler
 app.use(notFound);
@@ -0,0 +1,309 @@
+import bcrypt from 'bcryptjs';
+import { getClient, query } from '../config/database.js';
+import { STAFF_ROLES } from '../config/permissions.js';
+import { httpError } from '../middleware/errorHandler.js';
+import { ADDRESS_COLUMNS } from './addressService.js';
+import { anonymizeUserAuditEntries, listUserAuditEntries } from './auditService.js';
+import { sendAccountDeleted, sendSecurityAlert } from './emailService.js';
+import { ORDER_COLUMNS, ORDER_ITEM_COLUMNS } from './orderService.js';
+
+// Orders that still need the customer's address and cannot be anonymized yet
+const OPEN_ORDER_STATUSES = ['pending', 'processing', 'shipped'];
+
+/**
+ * Collect everything stored about a user, for a GDPR data export.
+ * Password hashes, 2FA secrets and token hashes are left out.
+ */
+export const buildDataExport = async (userId) => {
+  const accountResult = await query(
+    `SELECT id, email, full_name, phone, avatar_url, email_verified, totp_enabled, created_at, updated_at
+     FROM users
+     WHERE id = $1`,
+    [userId]
+  );
+  const account = accountResult.rows[0];
+  if (!account) {
+    throw httpError(404, 'User not found');
+  }
+
+  const [
+    profileResult,
+    addressesResult,
+    ordersResult,
+    returnsResult,
+    reviewsResult,
+    wishlistResult,
+    inquiriesResult,
+    identitiesResult,
+    sessionsResult,
+    loginAttemptsResult,
+    auditEntries,
+  ] = await Promise.all([
+    query(`SELECT email, full_name, avatar_url, phone, created_at, updated_at FROM profiles WHERE id = $1`, [userId]),
+    query(`SELECT ${ADDRESS_COLUMNS} FROM addresses WHERE user_id = $1 ORDER BY created_at`, [userId]),
+    query(`SELECT ${ORDER_COLUMNS} FROM orders WHERE user_id = $1 ORDER BY created_at`, [userId]),
+    query(
+      `SELECT id, order_id, status, reason, refund_amount, approved_at, received_at, created_at, updated_at
+       FROM return_requests
+       WHERE user_id = $1
+       ORDER BY created_at`,
+      [userId]
+    ),
+    query(
+      `SELECT r.id, r.product_id, p.name AS product_name, r.rating, r.title, r.content, r.created_at, r.updated_at
+       FROM reviews r
+       LEFT JOIN products p ON p.id = r.product_id
+       WHERE r.user_id = $1
+       ORDER BY r.created_at`,
+      [userId]
+    ),
+    query(
+      `SELECT w.product_id, p.name AS product_name, w.created_at
+       FROM wishlist w
+       LEFT JOIN products p ON p.id = w.product_id
+       WHERE w.user_id = $1
+       ORDER BY w.created_at`,
+      [userId]
+    ),
+    query(
+      `SELECT id, name, email, subject, message, status, created_at
+       FROM contact_inquiries
+       WHERE LOWER(email) = LOWER($1)
+       ORDER BY created_at`,
+      [account.email]
+    ),
+    query(
+      `SELECT provider, email, last_login_at, created_at FROM user_identities WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    ),
+    query(
+      `SELECT device_name, user_agent, ip_address, last_used_at, created_at
+       FROM refresh_tokens
+       WHERE user_id = $1 AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [userId]
+    ),
+    query(
+      `SELECT succeeded, failure_reason, ip_address, user_agent, created_at
+       FROM login_attempts
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT 100`,
+      [userId]
+    ),
+    listUserAuditEntries(userId),
+  ]);
+
+  const orders = ordersResult.rows;
+  const itemsResult = await query(
+    `SELECT ${ORDER_ITEM_COLUMNS}
+     FROM order_items
+     WHERE order_id = ANY($1::uuid[])
+     ORDER BY created_at ASC`,
+    [orders.map((order) => order.id)]
+  );
+
+  const itemsByOrderId = new Map();
+  for (const item of itemsResult.rows) {
+    if (!itemsByOrderId.has(item.order_id)) itemsByOrderId.set(item.order_id, []);
+    itemsByOrderId.get(item.order_id).push(item);
+  }
+
+  return {
+    exportedAt: new Date().toISOString(),
+    account,
+    profile: profileResult.rows[0] || null,
+    addresses: addressesResult.rows,
+    orders: orders.map((order) => ({
+      ...order,
+      order_items: itemsByOrderId.get(order.id) || [],
+    })),
+    returns: returnsResult.rows,
+    reviews: reviewsResult.rows,
+    wishlist: wishlistResult.rows,
+    contactInquiries: inquiriesResult.rows,
+    loginIdentities: identitiesResult.rows,
+    sessions: sessionsResult.rows,
+    loginAttempts: loginAttemptsResult.rows,
+    auditLog: auditEntries,
+  };
+};
+
+/**
+ * Tell the user a data export was downloaded, in case it was not them
+ */
+export const notifyDataExport = async (userId, { ipAddress = null } = {}) => {
+  const result = await query(`SELECT email, full_name FROM users WHERE id = $1`, [userId]);
+  const user = result.rows[0];
+  if (!user) return;
+
+  try {
+    await sendSecurityAlert(user.email, {
+      name: user.full_name,
+      headline: 'Your data export was downloaded',
+      message: 'A copy of your account data was just downloaded.',
+      details: [`IP address: ${ipAddress || 'unknown'}`, `Time: ${new Date().toUTCString()}`],
+    });
+  } catch (error) {
+    console.error('Failed to send data export notice:', error);
+  }
+};
+
+/**
+ * Strip a user's orders down to what accounting needs, inside the caller's transaction:
+ * only country and state stay on the address, and the free-text cancellation reason is
+ * cleared both on the order and in the status history that copied it
+ * @returns {number} number of orders anonymized
+ */
+export const anonymizeUserOrders = async (client, userId) => {
+  const ordersResult = await client.query(
+    `UPDATE orders
+     SET shipping_address = CASE
+           WHEN shipping_address IS NULL THEN NULL
+           ELSE jsonb_build_object('country', shipping_address->'country', 'state', shipping_address->'state')
+         END,
+         cancellation_reason = NULL,
+         anonymized_at = NOW()
+     WHERE user_id = $1
+     RETURNING id`,
+    [userId]
+  );
+
+  await client.query(
+    `UPDATE order_status_history
+     SET note = NULL
+     WHERE note IS NOT NULL AND order_id IN (SELECT id FROM orders WHERE user_id = $1)`,
+    [userId]
+  );
+
+  return ordersResult.rows.length;
+};
+
+/**
+ * Delete an account after re-confirming its password.
+ * Personal data is deleted; orders are kept for accounting but anonymized, audit entries
+ * lose their IP addresses and user agents, and the users row becomes an inactive
+ * tombstone (see migration 028). A confirmation is emailed to
+ * the address the account had.
+ * @returns {Object} { anonymizedOrders }
+ */
+export const deleteAccount = async (userId, password) => {
+  const userResult = await query(
+    `SELECT u.id, u.email, u.full_name, u.password_hash,
+            EXISTS (
+              SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id AND ur.role::text = ANY($2::text[])
+            ) AS is_staff
+     FROM users u
+     WHERE u.id = $1 AND u.deleted_at IS NULL`,
+    [userId, STAFF_ROLES]
+  );
+  const user = userResult.rows[0];
+  if (!user) {
+    throw httpError(404, 'User not found');
+  }
+
+  if (!user.password_hash) {
+    throw httpError(400, 'Your account has no password. Set one with forgot-password before deleting the account.');
+  }
+  if (!(await bcrypt.compare(password, user.password_hash))) {
+    throw httpError(401, 'Password is incorrect');
+  }
+  if (user.is_staff) {
+    throw httpError(409, 'Staff accounts must have their roles revoked before they can be deleted');
+  }
+
+  const client = await getClient();
+  let anonymizedOrders = 0;
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`SELECT id FROM users WHERE id = $1 FOR UPDATE`, [userId]);
+
+    const openOrders = await client.query(
+      `SELECT id FROM orders WHERE user_id = $1 AND status = ANY($2::text[])`,
+      [userId, OPEN_ORDER_STATUSES]
+    );
+    if (openOrders.rows.length > 0) {
+      throw httpError(409, 'Your account has open orders. Cancel them or wait until they are completed.', {
+        openOrderIds: openOrders.rows.map((order) => order.id),
+      });
+    }
+
+    anonymizedOrders = await anonymizeUserOrders(client, userId);
+
+    await client.query(`UPDATE return_requests SET reason = '[deleted]' WHERE user_id = $1`, [userId]);
+
+    for (const table of [
+      'wishlist',
+      'addresses',
+      'carts',
+      'reviews',
+      'refresh_tokens',
+      'user_identities',
+      'user_tokens',
+      'two_factor_recovery_codes',
+      'login_challenges',
+      'security_events',
+      'user_roles',
+    ]) {
+      await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+    }
+    await client.query(`DELETE FROM login_attempts WHERE user_id = $1 OR LOWER(email) = LOWER($2)`, [
+      userId,
+      user.email,
+    ]);
+    await client.query(`DELETE FROM contact_inquiries WHERE LOWER(email) = LOWER($1)`, [user.email]);
+    await client.query(`DELETE FROM profiles WHERE id = $1`, [userId]);
+    await anonymizeUserAuditEntries(client, userId, user.email);
+
+    // The placeholder email frees the real one for a new account
+    await client.query(
+      `UPDATE users
+       SET email = 'deleted+' || id || '@deleted.invalid',
+           password_hash = NULL,
+           full_name = NULL,
+           phone = NULL,
+           avatar_url = NULL,
+           is_active = false,
+           email_verified = false,
+           verification_code = NULL,
+           verification_code_expires_at = NULL,
+           password_reset_code = NULL,
+           password_reset_code_expires_at = NULL,
+           totp_secret = NULL,
+           totp_enabled = false,
+           totp_enabled_at = NULL,
+           totp_last_step = NULL,
+           failed_login_count = 0,
+           last_failed_login_at = NULL,
+           locked_until = NULL,
+           deleted_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [userId]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  try {
+    await sendAccountDeleted(user.email, user.full_name);
+  } catch (error) {
+    console.error('Failed to send account deletion confirmation:', error);
+  }
+
+  return { anonymizedOrders };
+};
+
+export default {
+  buildDataExport,
+  notifyDataExport,
+  anonymizeUserOrders,
+  deleteAccount,
+};
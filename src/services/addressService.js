@@ -0,0 +1,236 @@
+import { getClient, query } from '../config/database.js';
+import { httpError } from '../middleware/errorHandler.js';
+
+export const ADDRESS_COLUMNS =
+  'id, user_id, label, full_name, line1, line2, city, state, postal_code, country, phone, is_default_shipping, is_default_billing, created_at, updated_at';
+
+// Address schema fields (see addressValidation.js) and the columns storing them
+const FIELD_COLUMNS = {
+  fullName: 'full_name',
+  line1: 'line1',
+  line2: 'line2',
+  city: 'city',
+  state: 'state',
+  postalCode: 'postal_code',
+  country: 'country',
+  phone: 'phone',
+};
+
+/**
+ * Convert a saved address row to the address schema used on orders
+ */
+export const toAddressSnapshot = (row) => {
+  return Object.fromEntries(Object.entries(FIELD_COLUMNS).map(([field, column]) => [field, row[column] ?? null]));
+};
+
+/**
+ * List a customer's saved addresses, defaults first
+ */
+export const getAddresses = async (userId) => {
+  const result = await query(
+    `SELECT ${ADDRESS_COLUMNS}
+     FROM addresses
+     WHERE user_id = $1
+     ORDER BY is_default_shipping DESC, is_default_billing DESC, created_at ASC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Get one of a customer's saved addresses, or null
+ */
+export const getAddress = async (userId, addressId, db = { query }) => {
+  const result = await db.query(
+    `SELECT ${ADDRESS_COLUMNS}
+     FROM addresses
+     WHERE id = $1 AND user_id = $2`,
+    [addressId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Get a customer's default shipping (or billing) address, or null
+ */
+export const getDefaultAddress = async (userId, kind = 'shipping') => {
+  const column = kind === 'billing' ? 'is_default_billing' : 'is_default_shipping';
+  const result = await query(
+    `SELECT ${ADDRESS_COLUMNS}
+     FROM addresses
+     WHERE user_id = $1 AND ${column} = true`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Get the order snapshot of a saved address; throws 404 when it is not the customer's
+ */
+export const getAddressSnapshot = async (userId, addressId) => {
+  const address = await getAddress(userId, addressId);
+  if (!address) {
+    throw httpError(404, 'Address not found');
+  }
+  return toAddressSnapshot(address);
+};
+
+/**
+ * Clear the customer's other default flags before one address takes them over
+ */
+const clearDefaults = async (client, userId, addressId, { shipping, billing }) => {
+  if (shipping) {
+    await client.query(
+      `UPDATE addresses SET is_default_shipping = false, updated_at = NOW()
+       WHERE user_id = $1 AND ($2::uuid IS NULL OR id <> $2) AND is_default_shipping = true`,
+      [userId, addressId]
+    );
+  }
+  if (billing) {
+    await client.query(
+      `UPDATE addresses SET is_default_billing = false, updated_at = NOW()
+       WHERE user_id = $1 AND ($2::uuid IS NULL OR id <> $2) AND is_default_billing = true`,
+      [userId, addressId]
+    );
+  }
+};
+
+/**
+ * Save an address. The customer's first address becomes their default for both
+ * shipping and billing.
+ * @param {Object} address - Address schema fields plus { label, isDefaultShipping, isDefaultBilling }
+ */
+export const createAddress = async (userId, address) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialize concurrent saves for the same customer so the first-address rule holds
+    await client.query(`SELECT id FROM users WHERE id = $1 FOR UPDATE`, [userId]);
+
+    const countResult = await client.query(
+      `SELECT COUNT(*)::integer AS count FROM addresses WHERE user_id = $1`,
+      [userId]
+    );
+    const isFirst = countResult.rows[0].count === 0;
+    const isDefaultShipping = isFirst || Boolean(address.isDefaultShipping);
+    const isDefaultBilling = isFirst || Boolean(address.isDefaultBilling);
+
+    await clearDefaults(client, userId, null, { shipping: isDefaultShipping, billing: isDefaultBilling });
+
+    const result = await client.query(
+      `INSERT INTO addresses
+        (user_id, label, full_name, line1, line2, city, state, postal_code, country, phone,
+         is_default_shipping, is_default_billing)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING ${ADDRESS_COLUMNS}`,
+      [
+        userId,
+        address.label || null,
+        address.fullName,
+        address.line1,
+        address.line2 || null,
+        address.city,
+        address.state || null,
+        address.postalCode || null,
+        address.country,
+        address.phone || null,
+        isDefaultShipping,
+        isDefaultBilling,
+      ]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Update a saved address. `current` is the saved row; `updates` holds the changed
+ * schema fields and flags, already merged and validated by the caller.
+ */
+export const updateAddress = async (userId, current, updates) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const isDefaultShipping = updates.isDefaultShipping ?? current.is_default_shipping;
+    const isDefaultBilling = updates.isDefaultBilling ?? current.is_default_billing;
+
+    await clearDefaults(client, userId, current.id, {
+      shipping: isDefaultShipping && !current.is_default_shipping,
+      billing: isDefaultBilling && !current.is_default_billing,
+    });
+
+    const snapshot = { ...toAddressSnapshot(current), ...updates };
+    const result = await client.query(
+      `UPDATE addresses
+       SET label = $1,
+           full_name = $2,
+           line1 = $3,
+           line2 = $4,
+           city = $5,
+           state = $6,
+           postal_code = $7,
+           country = $8,
+           phone = $9,
+           is_default_shipping = $10,
+           is_default_billing = $11,
+           updated_at = NOW()
+       WHERE id = $12 AND user_id = $13
+       RETURNING ${ADDRESS_COLUMNS}`,
+      [
+        updates.label !== undefined ? updates.label : current.label,
+        snapshot.fullName,
+        snapshot.line1,
+        snapshot.line2 || null,
+        snapshot.city,
+        snapshot.state || null,
+        snapshot.postalCode || null,
+        snapshot.country,
+        snapshot.phone || null,
+        isDefaultShipping,
+        isDefaultBilling,
+        current.id,
+        userId,
+      ]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete a saved address; returns false when it does not belong to the customer
+ */
+export const deleteAddress = async (userId, addressId) => {
+  const result = await query(
+    `DELETE FROM addresses WHERE id = $1 AND user_id = $2 RETURNING id`,
+    [addressId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+export default {
+  getAddresses,
+  getAddress,
+  getDefaultAddress,
+  getAddressSnapshot,
+  toAddressSnapshot,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+};
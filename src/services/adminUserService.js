@@ -0,0 +1,216 @@
+import { query } from '../config/database.js';
+import { STAFF_ROLES } from '../config/permissions.js';
+import { httpError } from '../middleware/errorHandler.js';
+import { logSecurityEvent } from './securityEventService.js';
+import { listSessions, revokeOtherSessions } from './sessionService.js';
+import { requestPasswordReset } from './userService.js';
+import { getUserAccess, listUserRoles } from './roleService.js';
+
+export const ADMIN_USER_COLUMNS =
+  'u.id, u.email, u.full_name, u.phone, u.avatar_url, u.is_active, u.email_verified, u.totp_enabled, u.locked_until, u.deleted_at, u.created_at, u.updated_at';
+
+/**
+ * Escape LIKE wildcards so a search term matches literally
+ */
+const likePattern = (term) => `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+
+/**
+ * Search users by email or name, newest first
+ * @param {Object} options - search, status ('active' or 'inactive'), page (from 1), limit
+ * @returns {Object} { users, pagination: { page, limit, total, totalPages } }
+ */
+export const listUsers = async ({ search = null, status = null, page = 1, limit = 25 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    params.push(likePattern(search));
+    conditions.push(`(u.email ILIKE $${params.length} OR u.full_name ILIKE $${params.length})`);
+  }
+  if (status) {
+    params.push(status === 'active');
+    conditions.push(`u.is_active = $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await query(`SELECT COUNT(*)::integer AS total FROM users u ${where}`, params);
+  const total = countResult.rows[0].total;
+
+  const result = await query(
+    `SELECT ${ADMIN_USER_COLUMNS},
+            COALESCE((SELECT array_agg(ur.role::text) FROM user_roles ur WHERE ur.user_id = u.id), '{}') AS roles,
+            (SELECT COUNT(*)::integer FROM orders o WHERE o.user_id = u.id) AS order_count
+     FROM users u
+     ${where}
+     ORDER BY u.created_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return {
+    users: result.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * A user with their roles, recent orders, reviews and active sessions, or null
+ */
+export const getUserDetail = async (userId, { ordersLimit = 50 } = {}) => {
+  const userResult = await query(`SELECT ${ADMIN_USER_COLUMNS} FROM users u WHERE u.id = $1`, [userId]);
+  if (userResult.rows.length === 0) return null;
+
+  const [ordersResult, reviewsResult, roles, access, sessions] = await Promise.all([
+    query(
+      `SELECT id, status, subtotal, discount_amount, shipping_cost, tax_amount, total, coupon_code,
+              created_at, updated_at
+       FROM orders
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [userId, ordersLimit]
+    ),
+    query(
+      `SELECT r.id, r.product_id, p.name AS product_name, r.rating, r.title, r.content, r.created_at
+       FROM reviews r
+       LEFT JOIN products p ON p.id = r.product_id
+       WHERE r.user_id = $1
+       ORDER BY r.created_at DESC`,
+      [userId]
+    ),
+    listUserRoles(userId),
+    getUserAccess(userId),
+    listSessions(userId),
+  ]);
+
+  return {
+    ...userResult.rows[0],
+    roles,
+    permissions: access.permissions,
+    orders: ordersResult.rows,
+    reviews: reviewsResult.rows,
+    sessions,
+  };
+};
+
+/**
+ * Load the target of an admin action. Staff accounts can only be managed by admins who
+ * may manage roles, so support cannot lock out a super admin.
+ * @param {Object} actor - { adminId, permissions } of the admin acting
+ */
+const getManagedUser = async (userId, actor) => {
+  const result = await query(
+    `SELECT u.id, u.email, u.full_name, u.is_active, u.email_verified, u.deleted_at,
+            EXISTS (
+              SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id AND ur.role::text = ANY($2::text[])
+            ) AS is_staff
+     FROM users u
+     WHERE u.id = $1`,
+    [userId, STAFF_ROLES]
+  );
+
+  const user = result.rows[0];
+  if (!user) {
+    throw httpError(404, 'User not found');
+  }
+  if (user.deleted_at) {
+    throw httpError(409, 'This account has been deleted');
+  }
+  if (user.is_staff && !actor.permissions?.includes('roles:manage')) {
+    throw httpError(403, 'Only admins who can manage roles may manage staff accounts');
+  }
+  return user;
+};
+
+const auditAdminAction = (userId, type, actor, details = {}) =>
+  logSecurityEvent(userId, type, {
+    ipAddress: actor.ipAddress,
+    userAgent: actor.userAgent,
+    details: { adminId: actor.adminId, ...details },
+  });
+
+/**
+ * Deactivate or reactivate an account. Deactivating also signs it out everywhere.
+ * @param {Object} actor - { adminId, permissions, ipAddress, userAgent }
+ * @returns {boolean} false when the account was already in that state
+ */
+export const setUserActive = async (userId, isActive, actor, { reason = null } = {}) => {
+  if (!isActive && userId === actor.adminId) {
+    throw httpError(400, 'You cannot deactivate your own account');
+  }
+
+  const user = await getManagedUser(userId, actor);
+  if (user.is_active === isActive) return false;
+
+  await query(`UPDATE users SET is_active = $1, updated_at = NOW() WHERE id = $2`, [isActive, userId]);
+
+  let revokedSessions = 0;
+  if (!isActive) {
+    revokedSessions = await revokeOtherSessions(userId);
+  }
+
+  await auditAdminAction(userId, isActive ? 'admin_user_reactivated' : 'admin_user_deactivated', actor, {
+    reason,
+    ...(!isActive && { revokedSessions }),
+  });
+  return true;
+};
+
+/**
+ * Mark an account's email as verified and spend its outstanding verification links
+ * @returns {boolean} false when it was already verified
+ */
+export const forceVerifyEmail = async (userId, actor) => {
+  const user = await getManagedUser(userId, actor);
+  if (user.email_verified) return false;
+
+  await query(`UPDATE users SET email_verified = true, updated_at = NOW() WHERE id = $1`, [userId]);
+  await query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND purpose = 'email_verification' AND used_at IS NULL`,
+    [userId]
+  );
+
+  await auditAdminAction(userId, 'admin_email_verified', actor);
+  return true;
+};
+
+/**
+ * Email the user a password reset code, as if they had used forgot-password
+ */
+export const sendPasswordResetEmail = async (userId, actor) => {
+  const user = await getManagedUser(userId, actor);
+  if (!user.is_active) {
+    throw httpError(409, 'Reactivate the account before sending a password reset');
+  }
+
+  await requestPasswordReset(user.email);
+  await auditAdminAction(userId, 'admin_password_reset_sent', actor);
+};
+
+/**
+ * Sign the user out of every device
+ * @returns {number} how many sessions were revoked
+ */
+export const revokeAllUserSessions = async (userId, actor) => {
+  await getManagedUser(userId, actor);
+
+  const revokedSessions = await revokeOtherSessions(userId);
+  await auditAdminAction(userId, 'admin_sessions_revoked', actor, { revokedSessions });
+  return revokedSessions;
+};
+
+export default {
+  listUsers,
+  getUserDetail,
+  setUserActive,
+  forceVerifyEmail,
+  sendPasswordResetEmail,
+  revokeAllUserSessions,
+};
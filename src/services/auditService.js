@@ -0,0 +1,236 @@
+import { query } from '../config/database.js';
+
+export const AUDIT_LOG_COLUMNS =
+  'a.id, a.actor_id, actor.email AS actor_email, a.action, a.entity_type, a.entity_id, a.changes, a.metadata, a.ip_address, a.user_agent, a.request_id, a.created_at';
+
+// Never copied into the audit log, even when they change
+const REDACTED_FIELDS = new Set([
+  'password_hash',
+  'totp_secret',
+  'verification_code',
+  'password_reset_code',
+  'token_hash',
+  'previous_token_hash',
+  'code_hash',
+]);
+
+// Rows returned by one CSV export
+const EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS || '10000');
+
+const redact = (row) =>
+  Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [key, REDACTED_FIELDS.has(key) ? '[redacted]' : value])
+  );
+
+// Compare through JSON so dates and numerics from pg compare by value
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * The fields that differ between two versions of an entity
+ * @returns {Object|null} { before, after }; a created or deleted entity is recorded whole
+ */
+export const diffChanges = (before, after) => {
+  if (!before && !after) return null;
+  if (!before) return { before: null, after: redact(after) };
+  if (!after) return { before: redact(before), after: null };
+
+  const changes = { before: {}, after: {} };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    // updated_at always moves and says nothing about what changed
+    if (key === 'updated_at' || sameValue(before[key], after[key])) continue;
+    const secret = REDACTED_FIELDS.has(key);
+    changes.before[key] = secret ? '[redacted]' : before[key] ?? null;
+    changes.after[key] = secret ? '[redacted]' : after[key] ?? null;
+  }
+  return changes;
+};
+
+/**
+ * Append an entry to the audit log.
+ * Failures are logged, never thrown, so they cannot break the request being handled.
+ * @param {Object} entry - actorId, action, entityType, entityId, before, after, metadata,
+ *                         ipAddress, userAgent, requestId
+ */
+export const recordAudit = async ({
+  actorId = null,
+  action,
+  entityType = null,
+  entityId = null,
+  before = null,
+  after = null,
+  metadata = null,
+  ipAddress = null,
+  userAgent = null,
+  requestId = null,
+}) => {
+  try {
+    const changes = diffChanges(before, after);
+    await query(
+      `INSERT INTO audit_log
+        (actor_id, action, entity_type, entity_id, changes, metadata, ip_address, user_agent, request_id)
+       VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb, $7, $8, $9)`,
+      [
+        actorId,
+        action,
+        entityType,
+        entityId === null ? null : String(entityId),
+        changes && JSON.stringify(changes),
+        metadata && JSON.stringify(metadata),
+        ipAddress,
+        userAgent,
+        requestId,
+      ]
+    );
+  } catch (error) {
+    console.error(`Failed to record audit entry ${action}:`, error);
+  }
+};
+
+/**
+ * Build the WHERE clause for audit log filters
+ * @param {Object} filters - actorId, action (exact, or a prefix ending in '.*'), entityType,
+ *                           entityId, requestId, from, to
+ */
+const buildAuditFilters = ({ actorId, action, entityType, entityId, requestId, from, to } = {}) => {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (actorId) add('a.actor_id = ?', actorId);
+  if (action?.endsWith('.*')) add('a.action LIKE ?', `${action.slice(0, -1).replace(/[\\%_]/g, '\\$&')}%`);
+  else if (action) add('a.action = ?', action);
+  if (entityType) add('a.entity_type = ?', entityType);
+  if (entityId) add('a.entity_id = ?', entityId);
+  if (requestId) add('a.request_id = ?', requestId);
+  if (from) add('a.created_at >= ?', from);
+  if (to) add('a.created_at <= ?', to);
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+};
+
+/**
+ * Search the audit log, newest first
+ * @returns {Object} { entries, pagination: { page, limit, total, totalPages } }
+ */
+export const listAuditLog = async (filters = {}, { page = 1, limit = 50 } = {}) => {
+  const { where, params } = buildAuditFilters(filters);
+
+  const countResult = await query(`SELECT COUNT(*)::integer AS total FROM audit_log a ${where}`, params);
+  const total = countResult.rows[0].total;
+
+  const result = await query(
+    `SELECT ${AUDIT_LOG_COLUMNS}
+     FROM audit_log a
+     LEFT JOIN users actor ON actor.id = a.actor_id
+     ${where}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return {
+    entries: result.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Audit entries by or about a user, oldest first, for their data export
+ */
+export const listUserAuditEntries = async (userId) => {
+  const result = await query(
+    `SELECT action, entity_type, entity_id, changes, metadata, ip_address, user_agent, created_at
+     FROM audit_log
+     WHERE actor_id = $1 OR (entity_type = 'user' AND entity_id = $2)
+     ORDER BY created_at ASC, id ASC`,
+    [userId, String(userId)]
+  );
+  return result.rows;
+};
+
+/**
+ * Scrub a deleted account's IP addresses, user agents and email from the audit log, inside
+ * the caller's transaction. The entries themselves stay; the append-only trigger allows
+ * exactly this update.
+ * @returns {number} how many entries were anonymized
+ */
+export const anonymizeUserAuditEntries = async (client, userId, email) => {
+  const result = await client.query(
+    `UPDATE audit_log
+     SET ip_address = NULL,
+         user_agent = NULL,
+         metadata = metadata - 'email',
+         anonymized_at = NOW()
+     WHERE anonymized_at IS NULL
+       AND (actor_id = $1
+            OR (entity_type = 'user' AND entity_id = $2)
+            OR LOWER(metadata->>'email') = LOWER($3))`,
+    [userId, String(userId), email]
+  );
+  return result.rowCount;
+};
+
+/**
+ * Format one CSV cell; text a spreadsheet would run as a formula is prefixed with a quote
+ */
+export const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export matching audit log entries as CSV, newest first, up to AUDIT_EXPORT_MAX_ROWS rows
+ */
+export const exportAuditLogCsv = async (filters = {}) => {
+  const { where, params } = buildAuditFilters(filters);
+
+  const result = await query(
+    `SELECT ${AUDIT_LOG_COLUMNS}
+     FROM audit_log a
+     LEFT JOIN users actor ON actor.id = a.actor_id
+     ${where}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT $${params.length + 1}`,
+    [...params, EXPORT_MAX_ROWS]
+  );
+
+  const headers = [
+    'id',
+    'created_at',
+    'actor_id',
+    'actor_email',
+    'action',
+    'entity_type',
+    'entity_id',
+    'changes',
+    'metadata',
+    'ip_address',
+    'user_agent',
+    'request_id',
+  ];
+  const lines = [headers.join(',')];
+  for (const row of result.rows) {
+    lines.push(headers.map((header) => csvCell(row[header])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+export default {
+  diffChanges,
+  recordAudit,
+  listAuditLog,
+  listUserAuditEntries,
+  anonymizeUserAuditEntries,
+  exportAuditLogCsv,
+};
@@ -0,0 +1,368 @@
+import crypto from 'crypto';
+import { getClient, query } from '../config/database.js';
+import { httpError } from '../middleware/errorHandler.js';
+import { toCents, fromCents } from './orderService.js';
+import { resolveVariant, describeVariant } from './productService.js';
+
+/**
+ * Get the user's cart id, creating the cart on first use
+ */
+export const getOrCreateCartId = async (userId, db = { query }) => {
+  const result = await db.query(
+    `INSERT INTO carts (user_id)
+     VALUES ($1)
+     ON CONFLICT (user_id) DO UPDATE SET updated_at = NOW()
+     RETURNING id`,
+    [userId]
+  );
+  return result.rows[0].id;
+};
+
+/**
+ * Get the guest cart id for a cookie token, or null when no cart exists for it yet
+ */
+export const getGuestCartId = async (guestToken) => {
+  const result = await query(`SELECT id FROM carts WHERE guest_token = $1`, [guestToken]);
+  return result.rows[0]?.id || null;
+};
+
+/**
+ * Get the guest cart id for a cookie token, creating the cart on first use
+ */
+export const getOrCreateGuestCartId = async (guestToken) => {
+  const result = await query(
+    `INSERT INTO carts (guest_token)
+     VALUES ($1)
+     ON CONFLICT (guest_token) DO UPDATE SET updated_at = NOW()
+     RETURNING id`,
+    [guestToken]
+  );
+  return result.rows[0].id;
+};
+
+/**
+ * Generate a random token identifying an anonymous cart
+ */
+export const generateGuestCartToken = () => {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+/**
+ * Check that a product (or its matching variant) offers the requested size/color
+ * and has enough stock. Returns the matching variant, or null for products without variants.
+ */
+const assertPurchasable = async (db, product, { quantity, size, color }) => {
+  const variant = await resolveVariant(db, product, { size, color });
+
+  if (variant) {
+    if (variant.stock_quantity < quantity) {
+      throw httpError(
+        400,
+        `Only ${variant.stock_quantity} left in stock for "${product.name}" (${describeVariant(variant)})`
+      );
+    }
+    return variant;
+  }
+
+  if (size && product.sizes?.length > 0 && !product.sizes.includes(size)) {
+    throw httpError(400, `Size "${size}" is not available for "${product.name}"`);
+  }
+
+  if (color && product.colors?.length > 0 && !product.colors.includes(color)) {
+    throw httpError(400, `Color "${color}" is not available for "${product.name}"`);
+  }
+
+  if (product.stock_quantity < quantity) {
+    throw httpError(400, `Only ${product.stock_quantity} left in stock for "${product.name}"`);
+  }
+
+  return null;
+};
+
+/**
+ * Load a product and check that the requested size/color and quantity are available
+ */
+const getPurchasableProduct = async (productId, options) => {
+  const result = await query(
+    `SELECT id, name, price, sizes, colors, stock_quantity
+     FROM products
+     WHERE id = $1`,
+    [productId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Product not found');
+  }
+
+  const product = result.rows[0];
+  await assertPurchasable({ query }, product, options);
+  return product;
+};
+
+/**
+ * Get a cart with live prices and stock from products (or the matching variant);
+ * a missing cart (no cartId) reads as an empty one
+ */
+export const getCart = async (cartId) => {
+  if (!cartId) {
+    return { id: null, items: [], itemCount: 0, subtotal: fromCents(0) };
+  }
+
+  const result = await query(
+    `SELECT ci.id, ci.product_id, ci.quantity, ci.size, ci.color, ci.created_at, ci.updated_at,
+            p.name AS product_name, p.image_url, p.original_price,
+            pv.id AS variant_id, pv.sku,
+            COALESCE(pv.price, p.price) AS price,
+            COALESCE(pv.stock_quantity, p.stock_quantity) AS stock_quantity,
+            COALESCE(pv.stock_quantity, p.stock_quantity) > 0 AS in_stock
+     FROM cart_items ci
+     JOIN products p ON p.id = ci.product_id
+     LEFT JOIN product_variants pv
+       ON pv.product_id = ci.product_id
+      AND COALESCE(pv.size, '') = COALESCE(ci.size, '')
+      AND COALESCE(pv.color, '') = COALESCE(ci.color, '')
+     WHERE ci.cart_id = $1
+     ORDER BY ci.created_at ASC`,
+    [cartId]
+  );
+
+  let subtotalCents = 0;
+  let itemCount = 0;
+  const items = result.rows.map((row) => {
+    const lineTotalCents = toCents(row.price) * row.quantity;
+    subtotalCents += lineTotalCents;
+    itemCount += row.quantity;
+
+    return {
+      ...row,
+      line_total: fromCents(lineTotalCents),
+      available: row.stock_quantity >= row.quantity,
+    };
+  });
+
+  return {
+    id: cartId,
+    items,
+    itemCount,
+    subtotal: fromCents(subtotalCents),
+  };
+};
+
+/**
+ * Add a product to a cart, summing quantity onto an existing line with the same size/color
+ */
+export const addCartItem = async (cartId, { productId, quantity, size = null, color = null }) => {
+  const existingResult = await query(
+    `SELECT quantity
+     FROM cart_items
+     WHERE cart_id = $1 AND product_id = $2
+       AND COALESCE(size, '') = COALESCE($3, '')
+       AND COALESCE(color, '') = COALESCE($4, '')`,
+    [cartId, productId, size, color]
+  );
+  const existingQuantity = existingResult.rows[0]?.quantity || 0;
+
+  await getPurchasableProduct(productId, { quantity: existingQuantity + quantity, size, color });
+
+  await query(
+    `INSERT INTO cart_items (cart_id, product_id, quantity, size, color)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (cart_id, product_id, (COALESCE(size, '')), (COALESCE(color, '')))
+     DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity, updated_at = NOW()`,
+    [cartId, productId, quantity, size, color]
+  );
+
+  return getCart(cartId);
+};
+
+/**
+ * Change quantity, size or color of a cart line
+ */
+export const updateCartItem = async (cartId, itemId, updates) => {
+  const currentResult = await query(
+    `SELECT id, product_id, quantity, size, color
+     FROM cart_items
+     WHERE id = $1 AND cart_id = $2`,
+    [itemId, cartId]
+  );
+
+  if (currentResult.rows.length === 0) {
+    throw httpError(404, 'Cart item not found');
+  }
+
+  const current = currentResult.rows[0];
+  const next = {
+    quantity: updates.quantity ?? current.quantity,
+    size: updates.size !== undefined ? updates.size : current.size,
+    color: updates.color !== undefined ? updates.color : current.color,
+  };
+
+  await getPurchasableProduct(current.product_id, next);
+
+  try {
+    await query(
+      `UPDATE cart_items
+       SET quantity = $1, size = $2, color = $3, updated_at = NOW()
+       WHERE id = $4`,
+      [next.quantity, next.size, next.color, itemId]
+    );
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'This product is already in your cart with that size and color');
+    }
+    throw error;
+  }
+
+  return getCart(cartId);
+};
+
+/**
+ * Remove a single line from a cart
+ */
+export const removeCartItem = async (cartId, itemId) => {
+  const result = await query(
+    `DELETE FROM cart_items WHERE id = $1 AND cart_id = $2 RETURNING id`,
+    [itemId, cartId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Cart item not found');
+  }
+
+  return getCart(cartId);
+};
+
+/**
+ * Remove every line from a cart
+ */
+export const clearCart = async (cartId, db = { query }) => {
+  await db.query(`DELETE FROM cart_items WHERE cart_id = $1`, [cartId]);
+};
+
+/**
+ * Read cart lines as order items for checkout, locking them for the caller's transaction
+ */
+export const getCheckoutItems = async (client, cartId) => {
+  const result = await client.query(
+    `SELECT product_id, quantity, size, color
+     FROM cart_items
+     WHERE cart_id = $1
+     ORDER BY created_at ASC
+     FOR UPDATE`,
+    [cartId]
+  );
+
+  return result.rows.map((row) => ({
+    productId: row.product_id,
+    quantity: row.quantity,
+    size: row.size,
+    color: row.color,
+  }));
+};
+
+/**
+ * Merge a guest cart into the user's cart after login.
+ * Matching lines (same product, size and color) have their quantities summed; every
+ * resulting line is capped at current stock, and lines that can no longer be bought
+ * are dropped. The guest cart is deleted afterwards.
+ */
+export const mergeGuestCart = async (userId, guestToken) => {
+  const summary = { merged: 0, adjusted: [], dropped: [] };
+  if (!guestToken) return summary;
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const guestResult = await client.query(
+      `SELECT id FROM carts WHERE guest_token = $1 AND user_id IS NULL FOR UPDATE`,
+      [guestToken]
+    );
+
+    if (guestResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return summary;
+    }
+
+    const guestCartId = guestResult.rows[0].id;
+    const userCartId = await getOrCreateCartId(userId, client);
+
+    const linesResult = await client.query(
+      `SELECT gi.product_id, gi.quantity, gi.size, gi.color,
+              ui.id AS user_item_id, ui.quantity AS user_quantity,
+              p.id, p.name, p.sizes, p.colors, p.stock_quantity
+       FROM cart_items gi
+       JOIN products p ON p.id = gi.product_id
+       LEFT JOIN cart_items ui
+         ON ui.cart_id = $2
+        AND ui.product_id = gi.product_id
+        AND COALESCE(ui.size, '') = COALESCE(gi.size, '')
+        AND COALESCE(ui.color, '') = COALESCE(gi.color, '')
+       WHERE gi.cart_id = $1
+       ORDER BY gi.created_at ASC`,
+      [guestCartId, userCartId]
+    );
+
+    for (const line of linesResult.rows) {
+      const requested = line.quantity + (line.user_quantity || 0);
+
+      let variant;
+      try {
+        variant = await assertPurchasable(client, line, { quantity: 0, size: line.size, color: line.color });
+      } catch (error) {
+        summary.dropped.push({ productId: line.product_id, name: line.name, reason: error.message });
+        continue;
+      }
+
+      const quantity = Math.min(requested, (variant || line).stock_quantity);
+
+      if (quantity < 1) {
+        summary.dropped.push({ productId: line.product_id, name: line.name, reason: 'Out of stock' });
+        continue;
+      }
+
+      if (quantity < requested) {
+        summary.adjusted.push({ productId: line.product_id, name: line.name, requested, quantity });
+      }
+
+      if (line.user_item_id) {
+        await client.query(
+          `UPDATE cart_items SET quantity = $1, updated_at = NOW() WHERE id = $2`,
+          [quantity, line.user_item_id]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO cart_items (cart_id, product_id, quantity, size, color)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [userCartId, line.product_id, quantity, line.size, line.color]
+        );
+      }
+      summary.merged++;
+    }
+
+    await client.query(`DELETE FROM carts WHERE id = $1`, [guestCartId]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return summary;
+};
+
+export default {
+  getOrCreateCartId,
+  getGuestCartId,
+  getOrCreateGuestCartId,
+  generateGuestCartToken,
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  getCheckoutItems,
+  mergeGuestCart,
+};
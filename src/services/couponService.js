@@ -0,0 +1,178 @@
+import { httpError } from '../middleware/errorHandler.js';
+
+export const COUPON_TYPES = ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'];
+
+export const COUPON_COLUMNS =
+  'id, code, description, type, value, buy_quantity, get_quantity, min_order_value, starts_at, ends_at, usage_limit, usage_limit_per_user, times_used, product_ids, categories, is_active, created_at, updated_at';
+
+/**
+ * Check whether an order line falls within a coupon's product/category scope
+ */
+const isEligibleLine = (coupon, line) => {
+  if (coupon.product_ids.length === 0 && coupon.categories.length === 0) {
+    return true;
+  }
+  return coupon.product_ids.includes(line.productId) || coupon.categories.includes(line.category);
+};
+
+/**
+ * Buy X get Y: within every group of X + Y eligible units, the Y cheapest are free.
+ * Returns the discount of each line, in cents.
+ */
+export const buyXGetYDiscounts = (coupon, lines, eligible) => {
+  const units = lines
+    .flatMap((line, index) => (eligible[index] ? Array(line.quantity).fill(index) : []))
+    .sort((a, b) => lines[b].unitPriceCents - lines[a].unitPriceCents);
+
+  const discounts = lines.map(() => 0);
+  const groupSize = coupon.buy_quantity + coupon.get_quantity;
+  for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+    for (let i = start + coupon.buy_quantity; i < start + groupSize; i++) {
+      discounts[units[i]] += lines[units[i]].unitPriceCents;
+    }
+  }
+  return discounts;
+};
+
+/**
+ * Spread a fixed discount over eligible lines in proportion to their totals;
+ * the last eligible line absorbs the rounding remainder
+ */
+export const prorateDiscounts = (discountCents, lines, eligible) => {
+  const eligibleCents = lines.reduce((sum, line, index) => sum + (eligible[index] ? line.lineTotalCents : 0), 0);
+  const lastIndex = eligible.lastIndexOf(true);
+
+  let allocated = 0;
+  return lines.map((line, index) => {
+    if (!eligible[index]) return 0;
+    if (index === lastIndex) return discountCents - allocated;
+
+    const share = Math.round((discountCents * line.lineTotalCents) / eligibleCents);
+    allocated += share;
+    return share;
+  });
+};
+
+/**
+ * Validate a coupon code for an order and compute its discount, inside the caller's transaction.
+ * The coupon row is locked so concurrent checkouts cannot exceed its usage limits.
+ * The minimum order value is checked against the subtotal before any discount. A
+ * percentage is taken of the eligible lines' total, rounded once to the cent, and then
+ * spread over the lines like a fixed amount, so the lines add up to exactly that total.
+ * @param {Object} params - { code, userId, lines: [{ productId, category, quantity, unitPriceCents, lineTotalCents }], subtotalCents }
+ * @returns {Object} { coupon, discountCents, lineDiscounts (cents, one per line), freeShipping }
+ */
+export const applyCoupon = async (client, { code, userId, lines, subtotalCents }) => {
+  const couponResult = await client.query(
+    `SELECT ${COUPON_COLUMNS},
+            ROUND(value * 100)::integer AS value_cents,
+            ROUND(min_order_value * 100)::integer AS min_order_cents
+     FROM coupons
+     WHERE UPPER(code) = UPPER($1)
+     FOR UPDATE`,
+    [code]
+  );
+
+  const coupon = couponResult.rows[0];
+  if (!coupon || !coupon.is_active) {
+    throw httpError(400, 'Invalid coupon code');
+  }
+
+  const now = new Date();
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+    throw httpError(400, 'This coupon is not active yet');
+  }
+  if (coupon.ends_at && new Date(coupon.ends_at) <= now) {
+    throw httpError(400, 'This coupon has expired');
+  }
+
+  if (coupon.usage_limit && coupon.times_used >= coupon.usage_limit) {
+    throw httpError(400, 'This coupon has reached its usage limit');
+  }
+
+  if (coupon.usage_limit_per_user) {
+    const usageResult = await client.query(
+      `SELECT COUNT(*)::integer AS count
+       FROM coupon_redemptions
+       WHERE coupon_id = $1 AND user_id = $2`,
+      [coupon.id, userId]
+    );
+    if (usageResult.rows[0].count >= coupon.usage_limit_per_user) {
+      throw httpError(400, 'You have already used this coupon');
+    }
+  }
+
+  if (coupon.min_order_cents && subtotalCents < coupon.min_order_cents) {
+    throw httpError(400, `This coupon requires a minimum order of ${coupon.min_order_value}`);
+  }
+
+  const eligible = lines.map((line) => isEligibleLine(coupon, line));
+  if (!eligible.includes(true)) {
+    throw httpError(400, 'This coupon does not apply to any items in your order');
+  }
+
+  const eligibleCents = lines.reduce((sum, line, index) => sum + (eligible[index] ? line.lineTotalCents : 0), 0);
+
+  // Discounts are tracked per line so tax can be charged on what the customer actually pays
+  let lineDiscounts = lines.map(() => 0);
+  if (coupon.type === 'percentage') {
+    const discountCents = Math.round((eligibleCents * Number(coupon.value)) / 100);
+    lineDiscounts = prorateDiscounts(Math.min(discountCents, eligibleCents), lines, eligible);
+  } else if (coupon.type === 'fixed_amount') {
+    lineDiscounts = prorateDiscounts(Math.min(coupon.value_cents, eligibleCents), lines, eligible);
+  } else if (coupon.type === 'buy_x_get_y') {
+    lineDiscounts = buyXGetYDiscounts(coupon, lines, eligible);
+    if (lineDiscounts.every((cents) => cents === 0)) {
+      throw httpError(
+        400,
+        `Add at least ${coupon.buy_quantity + coupon.get_quantity} eligible items to use this coupon`
+      );
+    }
+  }
+
+  return {
+    coupon,
+    discountCents: lineDiscounts.reduce((sum, cents) => sum + cents, 0),
+    lineDiscounts,
+    freeShipping: coupon.type === 'free_shipping',
+  };
+};
+
+/**
+ * Record that an order used a coupon, inside the caller's transaction
+ */
+export const recordCouponRedemption = async (client, { couponId, orderId, userId, discountAmount }) => {
+  await client.query(
+    `INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+     VALUES ($1, $2, $3, $4)`,
+    [couponId, orderId, userId, discountAmount]
+  );
+
+  await client.query(
+    `UPDATE coupons SET times_used = times_used + 1, updated_at = NOW() WHERE id = $1`,
+    [couponId]
+  );
+};
+
+/**
+ * Give back the coupon use of a cancelled order, inside the caller's transaction
+ */
+export const releaseCouponRedemption = async (client, orderId) => {
+  const result = await client.query(
+    `DELETE FROM coupon_redemptions WHERE order_id = $1 RETURNING coupon_id`,
+    [orderId]
+  );
+
+  for (const redemption of result.rows) {
+    await client.query(
+      `UPDATE coupons SET times_used = GREATEST(times_used - 1, 0), updated_at = NOW() WHERE id = $1`,
+      [redemption.coupon_id]
+    );
+  }
+};
+
+export default {
+  applyCoupon,
+  recordCouponRedemption,
+  releaseCouponRedemption,
+};
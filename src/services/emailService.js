@@ -167,6 +167,194 @@ const emailTemplates = {
       © ${new Date().getFullYear()} SoleMate. All rights reserved.
     `,
   }),
+
+  /**
+   * Passwordless sign-in link template
+   */
+  magicLink: (link, name, minutes) => ({
+    subject: 'Your Sign-In Link - SoleMate',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Sign-In Link</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <h1 style="color: white; margin: 0;">SoleMate</h1>
+        </div>
+        <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+          <h2 style="color: #333; margin-top: 0;">Sign In to SoleMate</h2>
+          <p>Hello ${name || 'there'},</p>
+          <p>Click the button below to sign in. No password needed:</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${link}" style="display: inline-block; padding: 12px 24px; background: #667eea; color: #fff; text-decoration: none; border-radius: 999px; font-weight: bold;">
+              Sign In
+            </a>
+          </div>
+          <p style="color: #666; font-size: 14px;">If the button doesn't work, copy and paste this link into your browser:</p>
+          <p style="color: #666; font-size: 12px; word-break: break-all;">${link}</p>
+          <p style="color: #666; font-size: 14px;">This link can be used once and will expire in ${minutes} minutes.</p>
+          <p style="color: #ff6b6b; font-size: 14px;"><strong>If you didn't ask to sign in, you can safely ignore this email.</strong></p>
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          <p style="color: #999; font-size: 12px; text-align: center;">
+            © ${new Date().getFullYear()} SoleMate. All rights reserved.
+          </p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      Sign In to SoleMate
+      
+      Hello ${name || 'there'},
+      
+      Open the link below to sign in. No password needed:
+      
+      Sign-In Link: ${link}
+      
+      This link can be used once and will expire in ${minutes} minutes.
+      
+      If you didn't ask to sign in, you can safely ignore this email.
+      
+      © ${new Date().getFullYear()} SoleMate. All rights reserved.
+    `,
+  }),
+
+  /**
+   * Return (RMA) status update template
+   */
+  returnUpdate: ({ name, returnId, orderId, headline, message }) => ({
+    subject: `${headline} - SoleMate`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${headline}</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <h1 style="color: white; margin: 0;">SoleMate</h1>
+        </div>
+        <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+          <h2 style="color: #333; margin-top: 0;">${headline}</h2>
+          <p>Hello ${name || 'there'},</p>
+          <p>${message}</p>
+          <p style="color: #666; font-size: 14px;">Order: ${orderId}<br/>Return reference: ${returnId}</p>
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          <p style="color: #999; font-size: 12px; text-align: center;">
+            © ${new Date().getFullYear()} SoleMate. All rights reserved.
+          </p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      ${headline} - SoleMate
+      
+      Hello ${name || 'there'},
+      
+      ${message}
+      
+      Order: ${orderId}
+      Return reference: ${returnId}
+      
+      © ${new Date().getFullYear()} SoleMate. All rights reserved.
+    `,
+  }),
+
+  /**
+   * Account security alert template (lockout, sign-in from a new device)
+   */
+  securityAlert: ({ name, headline, message, details = [] }) => ({
+    subject: `${headline} - SoleMate`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${headline}</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <h1 style="color: white; margin: 0;">SoleMate</h1>
+        </div>
+        <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+          <h2 style="color: #333; margin-top: 0;">${headline}</h2>
+          <p>Hello ${name || 'there'},</p>
+          <p>${message}</p>
+          <p style="color: #666; font-size: 14px;">${details.join('<br/>')}</p>
+          <p style="color: #ff6b6b; font-size: 14px;"><strong>If this wasn't you, reset your password and sign out your other sessions.</strong></p>
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          <p style="color: #999; font-size: 12px; text-align: center;">
+            © ${new Date().getFullYear()} SoleMate. All rights reserved.
+          </p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      ${headline} - SoleMate
+      
+      Hello ${name || 'there'},
+      
+      ${message}
+      
+      ${details.join('\n      ')}
+      
+      If this wasn't you, reset your password and sign out your other sessions.
+      
+      © ${new Date().getFullYear()} SoleMate. All rights reserved.
+    `,
+  }),
+
+  accountDeleted: (name) => ({
+    subject: 'Your account has been deleted - SoleMate',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your account has been deleted</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <h1 style="color: white; margin: 0;">SoleMate</h1>
+        </div>
+        <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+          <h2 style="color: #333; margin-top: 0;">Your account has been deleted</h2>
+          <p>Hello ${name || 'there'},</p>
+          <p>As requested, we have deleted your SoleMate account and your personal data: your profile, saved addresses, wishlist, reviews and contact messages.</p>
+          <p>Records of your past orders are kept for accounting, without your name, address or contact details.</p>
+          <p style="color: #666; font-size: 14px;">This email address will not receive further messages from us. You are welcome to create a new account at any time.</p>
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          <p style="color: #999; font-size: 12px; text-align: center;">
+            © ${new Date().getFullYear()} SoleMate. All rights reserved.
+          </p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      Your account has been deleted - SoleMate
+      
+      Hello ${name || 'there'},
+      
+      As requested, we have deleted your SoleMate account and your personal data: your profile, saved addresses, wishlist, reviews and contact messages.
+      
+      Records of your past orders are kept for accounting, without your name, address or contact details.
+      
+      This email address will not receive further messages from us. You are welcome to create a new account at any time.
+      
+      © ${new Date().getFullYear()} SoleMate. All rights reserved.
+    `,
+  }),
 };
 
 /**
@@ -212,11 +400,43 @@ export const sendPasswordResetCode = async (email, code, name) => {
   return await sendEmail(email, template.subject, template.html, template.text);
 };
 
+/**
+ * Send a passwordless sign-in link
+ */
+export const sendMagicLink = async (email, link, name, minutes) => {
+  const template = emailTemplates.magicLink(link, name, minutes);
+  return await sendEmail(email, template.subject, template.html, template.text);
+};
+
+/**
+ * Send a return (RMA) status update
+ */
+export const sendReturnUpdate = async (email, details) => {
+  const template = emailTemplates.returnUpdate(details);
+  return await sendEmail(email, template.subject, template.html, template.text);
+};
+
+/**
+ * Send an account security alert
+ */
+export const sendSecurityAlert = async (email, details) => {
+  const template = emailTemplates.securityAlert(details);
+  return await sendEmail(email, template.subject, template.html, template.text);
+};
+
+/**
+ * Confirm that an account was deleted
+ */
+export const sendAccountDeleted = async (email, name) => {
+  const template = emailTemplates.accountDeleted(name);
+  return await sendEmail(email, template.subject, template.html, template.text);
+};
+
 /**
  * Generate a random 6-digit verification code
  */
 export const generateVerificationCode = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
 /**
@@ -230,6 +450,10 @@ export default {
   sendEmail,
   sendVerificationCode,
   sendPasswordResetCode,
+  sendMagicLink,
+  sendReturnUpdate,
+  sendSecurityAlert,
+  sendAccountDeleted,
   generateVerificationCode,
   generateVerificationToken,
 };
@@ -0,0 +1,259 @@
+import { query } from '../config/database.js';
+import { httpError } from '../middleware/errorHandler.js';
+import { sendSecurityAlert } from './emailService.js';
+import { logSecurityEvent } from './securityEventService.js';
+import { describeUserAgent } from './sessionService.js';
+
+// Consecutive failures after which each further attempt has to wait (doubling, capped)
+const LOGIN_DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES || '3');
+const LOGIN_MAX_DELAY_SECONDS = 60;
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10');
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+// The failure count starts over after this long without failures, or once a lock expires
+const LOGIN_FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '60');
+
+export const LOGIN_ATTEMPT_COLUMNS = 'id, user_id, email, succeeded, failure_reason, ip_address, user_agent, created_at';
+
+const LOCKOUT_COLUMNS = 'id, email, full_name, failed_login_count, last_failed_login_at, locked_until';
+
+/**
+ * Seconds an account has to wait between attempts after `failures` consecutive failures
+ */
+export const delaySeconds = (failures) => {
+  if (failures < LOGIN_DELAY_AFTER_FAILURES) return 0;
+  return Math.min(2 ** (failures - LOGIN_DELAY_AFTER_FAILURES + 1), LOGIN_MAX_DELAY_SECONDS);
+};
+
+/**
+ * Record a login attempt; failures are logged, never thrown
+ */
+const recordLoginAttempt = async ({ userId = null, email, succeeded, failureReason = null, ipAddress, userAgent }) => {
+  try {
+    await query(
+      `INSERT INTO login_attempts (user_id, email, succeeded, failure_reason, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [userId, email, succeeded, failureReason, ipAddress, userAgent]
+    );
+  } catch (error) {
+    console.error('Failed to record login attempt:', error);
+  }
+};
+
+/**
+ * Email a user about their account's security; failures are logged, never thrown
+ */
+const alertUser = async (user, headline, message, details) => {
+  try {
+    await sendSecurityAlert(user.email, { name: user.full_name, headline, message, details });
+  } catch (error) {
+    console.error('Failed to send security alert email:', error);
+  }
+};
+
+/**
+ * Tell whether an account is locked or has to wait before its next login attempt
+ * @param {Object} user - users row with failed_login_count, last_failed_login_at and locked_until
+ * @returns {Object|null} { reason: 'locked', lockedUntil }, { reason: 'throttled', retryAfterSeconds } or null
+ */
+export const getLoginBlock = (user, now = Date.now()) => {
+  if (user.locked_until && new Date(user.locked_until).getTime() > now) {
+    return { reason: 'locked', lockedUntil: user.locked_until };
+  }
+
+  const delay = delaySeconds(user.failed_login_count);
+  const nextAttemptAt = user.last_failed_login_at ? new Date(user.last_failed_login_at).getTime() + delay * 1000 : 0;
+  if (nextAttemptAt > now) {
+    return { reason: 'throttled', retryAfterSeconds: Math.ceil((nextAttemptAt - now) / 1000) };
+  }
+
+  return null;
+};
+
+/**
+ * Refuse a login attempt on a locked or throttled account before the password is checked
+ * @param {Object} user - users row with failed_login_count, last_failed_login_at and locked_until
+ */
+export const assertLoginAllowed = async (user, { ipAddress = null, userAgent = null } = {}) => {
+  const block = getLoginBlock(user);
+  if (!block) return;
+
+  await recordLoginAttempt({
+    userId: user.id,
+    email: user.email,
+    succeeded: false,
+    failureReason: block.reason,
+    ipAddress,
+    userAgent,
+  });
+
+  if (block.reason === 'locked') {
+    throw httpError(
+      423,
+      'This account is temporarily locked after too many failed login attempts. Try again later or reset your password.',
+      { lockedUntil: block.lockedUntil }
+    );
+  }
+
+  throw httpError(429, `Too many failed login attempts. Try again in ${block.retryAfterSeconds} seconds.`, {
+    retryAfterSeconds: block.retryAfterSeconds,
+  });
+};
+
+/**
+ * Record a failed login step (a wrong password or second factor). Failures on an existing
+ * account count towards its lockout; locking it notifies the owner. The count starts over
+ * once a lock has expired or after LOGIN_FAILURE_WINDOW_MINUTES without failures.
+ * @param {Object|null} user - users row, or null when the email has no account
+ */
+export const recordFailedLogin = async (
+  user,
+  { email, failureReason = 'invalid_password', ipAddress = null, userAgent = null }
+) => {
+  if (!user) {
+    await recordLoginAttempt({ email, succeeded: false, failureReason: 'unknown_email', ipAddress, userAgent });
+    return;
+  }
+
+  const result = await query(
+    `WITH counted AS (
+       SELECT id,
+              CASE
+                WHEN locked_until <= NOW() OR last_failed_login_at < NOW() - make_interval(mins => $4) THEN 1
+                ELSE failed_login_count + 1
+              END AS failures
+       FROM users
+       WHERE id = $1
+       FOR UPDATE
+     )
+     UPDATE users
+     SET failed_login_count = counted.failures,
+         last_failed_login_at = NOW(),
+         locked_until = CASE
+           WHEN counted.failures >= $2 THEN NOW() + make_interval(mins => $3)
+           WHEN users.locked_until > NOW() THEN users.locked_until
+           ELSE NULL
+         END
+     FROM counted
+     WHERE users.id = counted.id
+     RETURNING users.failed_login_count, users.locked_until`,
+    [user.id, LOGIN_LOCKOUT_THRESHOLD, LOGIN_LOCKOUT_MINUTES, LOGIN_FAILURE_WINDOW_MINUTES]
+  );
+  await recordLoginAttempt({
+    userId: user.id,
+    email: user.email,
+    succeeded: false,
+    failureReason,
+    ipAddress,
+    userAgent,
+  });
+
+  const { failed_login_count: failures, locked_until: lockedUntil } = result.rows[0];
+  if (failures < LOGIN_LOCKOUT_THRESHOLD) return;
+
+  await logSecurityEvent(user.id, 'account_locked', {
+    ipAddress,
+    userAgent,
+    details: { failures, lockedUntil },
+  });
+  await alertUser(
+    user,
+    'Your account has been locked',
+    `After ${failures} failed login attempts we have locked your account for ${LOGIN_LOCKOUT_MINUTES} minutes.`,
+    [`Last attempt from IP address: ${ipAddress || 'unknown'}`, `Locked until: ${new Date(lockedUntil).toUTCString()}`]
+  );
+};
+
+/**
+ * Record a completed login: clear the failure counter and notify the user when the
+ * login comes from a device they have not signed in from before
+ */
+export const recordSuccessfulLogin = async (user, { ipAddress = null, userAgent = null } = {}) => {
+  const historyResult = await query(
+    `SELECT
+       EXISTS (SELECT 1 FROM login_attempts WHERE user_id = $1 AND succeeded = true) AS has_logged_in,
+       EXISTS (
+         SELECT 1 FROM login_attempts
+         WHERE user_id = $1 AND succeeded = true AND user_agent IS NOT DISTINCT FROM $2
+       ) AS known_device`,
+    [user.id, userAgent]
+  );
+  const { has_logged_in: hasLoggedIn, known_device: knownDevice } = historyResult.rows[0];
+
+  await query(
+    `UPDATE users
+     SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+     WHERE id = $1 AND (failed_login_count > 0 OR locked_until IS NOT NULL)`,
+    [user.id]
+  );
+  await recordLoginAttempt({ userId: user.id, email: user.email, succeeded: true, ipAddress, userAgent });
+
+  // A first ever login is not news to the user
+  if (hasLoggedIn && !knownDevice) {
+    const deviceName = describeUserAgent(userAgent);
+    await logSecurityEvent(user.id, 'new_device_login', { ipAddress, userAgent, details: { deviceName } });
+    await alertUser(user, 'New sign-in to your account', `Your account was just signed in to from ${deviceName}.`, [
+      `IP address: ${ipAddress || 'unknown'}`,
+      `Time: ${new Date().toUTCString()}`,
+    ]);
+  }
+};
+
+/**
+ * List accounts that are locked or have failed attempts piling up, locked ones first
+ */
+export const listLockouts = async () => {
+  const result = await query(
+    `SELECT ${LOCKOUT_COLUMNS}, COALESCE(locked_until > NOW(), false) AS is_locked
+     FROM users
+     WHERE failed_login_count > 0 OR locked_until > NOW()
+     ORDER BY is_locked DESC, last_failed_login_at DESC NULLS LAST`
+  );
+  return result.rows;
+};
+
+/**
+ * Get the lockout state and recent login attempts of one account, or null
+ */
+export const getLockout = async (userId, { attemptsLimit = 50 } = {}) => {
+  const userResult = await query(
+    `SELECT ${LOCKOUT_COLUMNS}, COALESCE(locked_until > NOW(), false) AS is_locked
+     FROM users
+     WHERE id = $1`,
+    [userId]
+  );
+  if (userResult.rows.length === 0) return null;
+
+  const attemptsResult = await query(
+    `SELECT ${LOGIN_ATTEMPT_COLUMNS}
+     FROM login_attempts
+     WHERE user_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [userId, attemptsLimit]
+  );
+
+  return { ...userResult.rows[0], attempts: attemptsResult.rows };
+};
+
+/**
+ * Unlock an account and reset its failure counter; returns false when it does not exist
+ */
+export const clearLockout = async (userId) => {
+  const result = await query(
+    `UPDATE users
+     SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+     WHERE id = $1
+     RETURNING id`,
+    [userId]
+  );
+  return result.rows.length > 0;
+};
+
+export default {
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  listLockouts,
+  getLockout,
+  clearLockout,
+};
@@ -0,0 +1,362 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getClient, query } from '../config/database.js';
+import { getOidcProvider } from '../config/oidc.js';
+import { httpError } from '../middleware/errorHandler.js';
+
+export const IDENTITY_COLUMNS = 'id, user_id, provider, subject, email, last_login_at, created_at';
+
+const LOGIN_STATE_TTL_MINUTES = 10;
+const OIDC_HTTP_TIMEOUT_MS = parseInt(process.env.OIDC_HTTP_TIMEOUT_MS || '10000');
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+// Discovery documents and signing keys, keyed by issuer
+const metadataCache = new Map();
+
+const hashState = (state) => crypto.createHash('sha256').update(state).digest('hex');
+
+// Holds the hash of the login's state in the browser that started it (see createAuthorizationUrl)
+export const OIDC_STATE_COOKIE = 'oidcState';
+export const OIDC_STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // Lax, not strict: the provider redirects back with a cross-site top-level GET
+  sameSite: 'lax',
+  path: '/api/auth/oidc',
+  maxAge: LOGIN_STATE_TTL_MINUTES * 60 * 1000,
+};
+
+/**
+ * Fetch JSON from a provider, turning network and HTTP failures into a 502
+ */
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(OIDC_HTTP_TIMEOUT_MS) });
+  } catch (error) {
+    console.error(`OIDC request to ${url} failed:`, error);
+    throw httpError(502, 'The login provider could not be reached');
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    console.error(`OIDC request to ${url} returned ${response.status}:`, body);
+    throw httpError(502, body?.error_description || 'The login provider rejected the request');
+  }
+  return body;
+};
+
+/**
+ * Get a provider's discovery document and signing keys, cached for an hour.
+ * Pass refreshKeys to refetch the keys, e.g. after the provider rotated them.
+ */
+const getProviderMetadata = async (provider, { refreshKeys = false } = {}) => {
+  let metadata = metadataCache.get(provider.issuer);
+
+  if (!metadata || metadata.fetchedAt < Date.now() - METADATA_CACHE_MS) {
+    const discovery = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (discovery.issuer !== provider.issuer) {
+      throw httpError(502, 'The login provider returned a mismatched issuer');
+    }
+    metadata = { discovery, keys: null, fetchedAt: Date.now() };
+    metadataCache.set(provider.issuer, metadata);
+  }
+
+  if (!metadata.keys || refreshKeys) {
+    const jwks = await fetchJson(metadata.discovery.jwks_uri);
+    metadata.keys = jwks.keys || [];
+  }
+
+  return metadata;
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce; returns its claims
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const header = jwt.decode(idToken, { complete: true })?.header;
+  if (!header) {
+    throw httpError(401, 'The login provider returned an invalid ID token');
+  }
+
+  let { keys } = await getProviderMetadata(provider);
+  let jwk = keys.find((key) => key.kid === header.kid);
+  if (!jwk) {
+    ({ keys } = await getProviderMetadata(provider, { refreshKeys: true }));
+    jwk = keys.find((key) => key.kid === header.kid);
+  }
+  if (!jwk) {
+    throw httpError(401, 'The ID token was signed with an unknown key');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+      algorithms: ['RS256', 'ES256'],
+      issuer: provider.issuer,
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    throw httpError(401, `The ID token could not be verified: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw httpError(401, 'The ID token does not belong to this login');
+  }
+  return claims;
+};
+
+/**
+ * Start an authorization code + PKCE login with a provider.
+ * The caller stores stateHash in the OIDC_STATE_COOKIE so the callback only completes in
+ * the browser that started the login; otherwise an attacker could hand a victim the
+ * callback URL of their own login and sign the victim into the attacker's account.
+ * @returns {Object} { authorizationUrl, stateHash }
+ */
+export const createAuthorizationUrl = async (providerName, { loginHint = null } = {}) => {
+  const provider = getOidcProvider(providerName);
+  if (!provider) {
+    throw httpError(404, 'Login provider not found');
+  }
+
+  const { discovery } = await getProviderMetadata(provider);
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await query(`DELETE FROM oidc_login_states WHERE expires_at < NOW()`);
+  await query(
+    `INSERT INTO oidc_login_states (state_hash, provider, code_verifier, nonce, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))`,
+    [hashState(state), provider.name, codeVerifier, nonce, LOGIN_STATE_TTL_MINUTES]
+  );
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    ...(loginHint && { login_hint: loginHint }),
+  }).toString();
+
+  return { authorizationUrl: url.toString(), stateHash: hashState(state) };
+};
+
+/**
+ * Finish a login at the redirect URI: check the state against the one stored server-side
+ * and the hash from the browser's OIDC_STATE_COOKIE, exchange the code and verify the ID token
+ * @returns {Object} { provider, subject, email, emailVerified, name }
+ */
+export const completeAuthorization = async (providerName, { code, state, browserStateHash }) => {
+  const provider = getOidcProvider(providerName);
+  if (!provider) {
+    throw httpError(404, 'Login provider not found');
+  }
+  if (!code || !state) {
+    throw httpError(400, 'Authorization code and state are required');
+  }
+
+  const expectedHash = Buffer.from(hashState(String(state)), 'hex');
+  const browserHash = Buffer.from(typeof browserStateHash === 'string' ? browserStateHash : '', 'hex');
+  if (expectedHash.length !== browserHash.length || !crypto.timingSafeEqual(expectedHash, browserHash)) {
+    throw httpError(400, 'This login was not started in this browser. Please try again.');
+  }
+
+  // The state is single-use: it is deleted whether or not the rest succeeds
+  const stateResult = await query(
+    `DELETE FROM oidc_login_states
+     WHERE state_hash = $1 AND provider = $2
+     RETURNING code_verifier, nonce, expires_at`,
+    [hashState(String(state)), provider.name]
+  );
+  const loginState = stateResult.rows[0];
+  if (!loginState || new Date(loginState.expires_at) < new Date()) {
+    throw httpError(400, 'This login attempt is invalid or has expired. Please try again.');
+  }
+
+  const { discovery } = await getProviderMetadata(provider);
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(code),
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+      code_verifier: loginState.code_verifier,
+    }),
+  });
+
+  if (!tokens.id_token) {
+    throw httpError(502, 'The login provider did not return an ID token');
+  }
+  const claims = await verifyIdToken(provider, tokens.id_token, loginState.nonce);
+
+  return {
+    provider: provider.name,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase().trim() : null,
+    // Some providers send the flag as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || null,
+  };
+};
+
+/**
+ * Find the account of an external identity. Unknown identities are linked to the
+ * account with the same email only when the provider verified that email; without
+ * such an account a new one is created.
+ * @returns {Object} users row
+ */
+export const findOrCreateIdentityUser = async ({ provider, subject, email, emailVerified, name }) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const userColumns = 'u.id, u.email, u.full_name, u.avatar_url, u.phone, u.is_active, u.email_verified, u.totp_enabled, u.created_at';
+
+    const linkedResult = await client.query(
+      `SELECT ${userColumns}
+       FROM user_identities i
+       JOIN users u ON u.id = i.user_id
+       WHERE i.provider = $1 AND i.subject = $2`,
+      [provider, subject]
+    );
+
+    let user = linkedResult.rows[0];
+
+    if (!user) {
+      if (!email || !emailVerified) {
+        throw httpError(403, 'Your login provider has not verified your email address');
+      }
+
+      const existingResult = await client.query(
+        `SELECT ${userColumns} FROM users u WHERE u.email = $1 FOR UPDATE`,
+        [email]
+      );
+      user = existingResult.rows[0];
+
+      if (user) {
+        // The provider proved control of the address, which also verifies it here. A password
+        // set by whoever registered the unverified address is dropped: it may not be the owner's.
+        if (!user.email_verified) {
+          await client.query(
+            `UPDATE users SET email_verified = true, password_hash = NULL, updated_at = NOW() WHERE id = $1`,
+            [user.id]
+          );
+          user.email_verified = true;
+        }
+      } else {
+        const createdResult = await client.query(
+          `INSERT INTO users (email, password_hash, full_name, is_active, email_verified)
+           VALUES ($1, NULL, $2, true, true)
+           RETURNING id, email, full_name, avatar_url, phone, is_active, email_verified, totp_enabled, created_at`,
+          [email, name]
+        );
+        user = createdResult.rows[0];
+
+        await client.query(
+          `INSERT INTO user_roles (user_id, role)
+           VALUES ($1, 'user')
+           ON CONFLICT (user_id, role) DO NOTHING`,
+          [user.id]
+        );
+        await client.query(
+          `INSERT INTO profiles (id, email, full_name)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (id) DO UPDATE SET email = $2`,
+          [user.id, user.email, user.full_name]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO user_identities (user_id, provider, subject, email)
+         VALUES ($1, $2, $3, $4)`,
+        [user.id, provider, subject, email]
+      );
+    }
+
+    await client.query(
+      `UPDATE user_identities SET last_login_at = NOW(), email = COALESCE($3, email)
+       WHERE provider = $1 AND subject = $2`,
+      [provider, subject, email]
+    );
+
+    await client.query('COMMIT');
+    return user;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * List the external identities linked to an account
+ */
+export const listIdentities = async (userId) => {
+  const result = await query(
+    `SELECT ${IDENTITY_COLUMNS}
+     FROM user_identities
+     WHERE user_id = $1
+     ORDER BY created_at ASC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Unlink an external identity. The account's last way to sign in cannot be removed.
+ * @returns {boolean} false when the identity does not belong to the user
+ */
+export const unlinkIdentity = async (userId, identityId) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      `SELECT password_hash IS NOT NULL AS has_password FROM users WHERE id = $1 FOR UPDATE`,
+      [userId]
+    );
+    const identitiesResult = await client.query(
+      `SELECT id FROM user_identities WHERE user_id = $1`,
+      [userId]
+    );
+
+    if (!identitiesResult.rows.some((identity) => identity.id === identityId)) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+    if (!userResult.rows[0]?.has_password && identitiesResult.rows.length === 1) {
+      throw httpError(409, 'Set a password before removing your only login method');
+    }
+
+    await client.query(`DELETE FROM user_identities WHERE id = $1`, [identityId]);
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export default {
+  createAuthorizationUrl,
+  completeAuthorization,
+  findOrCreateIdentityUser,
+  listIdentities,
+  unlinkIdentity,
+};
@@ -0,0 +1,438 @@
+import { query } from '../config/database.js';
+import { httpError } from '../middleware/errorHandler.js';
+import { resolveVariant, describeVariant } from './productService.js';
+import { applyCoupon, recordCouponRedemption, releaseCouponRedemption } from './couponService.js';
+import { selectShippingMethod } from './shippingService.js';
+import { calculateTax, ORDER_TAX_LINE_COLUMNS } from './taxService.js';
+
+export const ORDER_COLUMNS =
+  'id, user_id, status, subtotal, discount_amount, coupon_code, shipping_cost, shipping_method_id, shipping_method_name, tax_amount, total, shipping_address, cancelled_at, cancelled_by, cancellation_reason, created_at, updated_at';
+
+export const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'completed', 'cancelled'];
+
+// Allowed next statuses for each status; orders can be cancelled until they ship
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['completed'],
+  completed: [],
+  cancelled: [],
+};
+
+export const ORDER_STATUS_HISTORY_COLUMNS =
+  'id, order_id, from_status, to_status, changed_by, note, created_at';
+export const ORDER_ITEM_COLUMNS =
+  'id, order_id, product_id, variant_id, sku, product_name, quantity, size, color, price, original_price, line_total, discount_amount, tax_amount, created_at';
+
+// Client totals within a cent of ours are rounding noise, not tampering
+const TOTAL_TOLERANCE_CENTS = 1;
+
+/**
+ * Convert a DECIMAL amount (string or number) to integer cents
+ */
+export const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Convert integer cents back to a DECIMAL(10,2) string
+ */
+export const fromCents = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * Check whether an order may move from one status to another
+ */
+export const canTransition = (fromStatus, toStatus) => {
+  return (ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * Append an entry to an order's status history
+ */
+export const recordStatusChange = async (client, { orderId, fromStatus, toStatus, changedBy = null, note = null }) => {
+  await client.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [orderId, fromStatus, toStatus, changedBy, note]
+  );
+};
+
+/**
+ * Get the status timeline of one or more orders, oldest first, grouped by order id
+ */
+export const getStatusHistory = async (orderIds, db = { query }) => {
+  const result = await db.query(
+    `SELECT ${ORDER_STATUS_HISTORY_COLUMNS}
+     FROM order_status_history
+     WHERE order_id = ANY($1::uuid[])
+     ORDER BY created_at ASC`,
+    [orderIds]
+  );
+
+  const historyByOrderId = new Map(orderIds.map((id) => [id, []]));
+  for (const entry of result.rows) {
+    historyByOrderId.get(entry.order_id)?.push(entry);
+  }
+  return historyByOrderId;
+};
+
+/**
+ * Place an order inside the caller's transaction.
+ * Locks each product row, decrements stock and prices every line from the catalog.
+ * Lines for products with variants decrement the matching variant as well as the
+ * product's aggregate stock, and use the variant's price override when set.
+ * A couponCode is validated and its discount taken off the subtotal, then shipping for the
+ * chosen method (or the cheapest one to the address) and tax for the address are added.
+ * Throws an httpError when the order cannot be placed.
+ */
+export const placeOrder = async (
+  client,
+  { userId, items, shippingAddress, shippingMethodId = null, expectedTotal, couponCode = null }
+) => {
+  const lines = [];
+  let subtotalCents = 0;
+
+  for (const item of items) {
+    const stockResult = await client.query(
+      `SELECT id, name, category, price, original_price, stock_quantity, weight_grams
+       FROM products
+       WHERE id = $1
+       FOR UPDATE`,
+      [item.productId]
+    );
+
+    if (stockResult.rows.length === 0) {
+      throw httpError(400, 'One or more products no longer exist');
+    }
+
+    const product = stockResult.rows[0];
+    const quantity = Number(item.quantity);
+    const variant = await resolveVariant(client, product, item, { forUpdate: true });
+
+    if (variant) {
+      if (variant.stock_quantity < quantity) {
+        throw httpError(400, `Insufficient stock for "${product.name}" (${describeVariant(variant)})`);
+      }
+
+      await client.query(
+        `UPDATE product_variants
+         SET stock_quantity = stock_quantity - $1,
+             updated_at = NOW()
+         WHERE id = $2`,
+        [quantity, variant.id]
+      );
+    } else if (product.stock_quantity < quantity) {
+      throw httpError(400, `Insufficient stock for "${product.name}"`);
+    }
+
+    await client.query(
+      `UPDATE products
+       SET stock_quantity = stock_quantity - $1,
+           in_stock = (stock_quantity - $1) > 0,
+           updated_at = NOW()
+       WHERE id = $2`,
+      [quantity, item.productId]
+    );
+
+    const unitPrice = variant?.price ?? product.price;
+    const unitPriceCents = toCents(unitPrice);
+    const lineTotalCents = unitPriceCents * quantity;
+    subtotalCents += lineTotalCents;
+
+    lines.push({
+      productId: product.id,
+      variantId: variant?.id || null,
+      sku: variant?.sku || null,
+      productName: product.name,
+      category: product.category,
+      weightGrams: product.weight_grams,
+      quantity,
+      size: variant ? variant.size : item.size || null,
+      color: variant ? variant.color : item.color || null,
+      price: unitPrice,
+      originalPrice: product.original_price,
+      unitPriceCents,
+      lineTotalCents,
+      lineTotal: fromCents(lineTotalCents),
+    });
+  }
+
+  const applied = couponCode
+    ? await applyCoupon(client, { code: couponCode, userId, lines, subtotalCents })
+    : null;
+  const discountCents = applied?.discountCents || 0;
+
+  const shipping = await selectShippingMethod(client, {
+    methodId: shippingMethodId,
+    country: shippingAddress.country,
+    lines,
+    subtotalCents: subtotalCents - discountCents,
+  });
+  const shippingCents = applied?.freeShipping ? 0 : shipping.costCents;
+
+  const tax = await calculateTax(client, {
+    address: shippingAddress,
+    lines: lines.map((line, index) => ({
+      category: line.category,
+      taxableCents: line.lineTotalCents - (applied?.lineDiscounts[index] || 0),
+    })),
+    shippingCents,
+  });
+
+  const totalCents = subtotalCents - discountCents + shippingCents + tax.taxCents;
+
+  // Reject rather than silently re-price when the storefront showed a different total
+  if (
+    expectedTotal !== undefined &&
+    expectedTotal !== null &&
+    Math.abs(toCents(expectedTotal) - totalCents) > TOTAL_TOLERANCE_CENTS
+  ) {
+    throw httpError(409, 'Order total does not match current prices. Please review your cart.', {
+      subtotal: fromCents(subtotalCents),
+      discount: fromCents(discountCents),
+      shipping: fromCents(shippingCents),
+      tax: fromCents(tax.taxCents),
+      total: fromCents(totalCents),
+    });
+  }
+
+  const orderResult = await client.query(
+    `INSERT INTO orders
+      (user_id, subtotal, coupon_id, coupon_code, discount_amount,
+       shipping_method_id, shipping_method_name, shipping_cost, tax_amount, total, status, shipping_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', $11::jsonb)
+     RETURNING ${ORDER_COLUMNS}`,
+    [
+      userId,
+      fromCents(subtotalCents),
+      applied?.coupon.id || null,
+      applied?.coupon.code || null,
+      fromCents(discountCents),
+      shipping.methodId,
+      shipping.name,
+      fromCents(shippingCents),
+      fromCents(tax.taxCents),
+      fromCents(totalCents),
+      JSON.stringify(shippingAddress),
+    ]
+  );
+
+  const order = orderResult.rows[0];
+
+  if (applied) {
+    await recordCouponRedemption(client, {
+      couponId: applied.coupon.id,
+      orderId: order.id,
+      userId,
+      discountAmount: fromCents(discountCents),
+    });
+  }
+
+  await recordStatusChange(client, {
+    orderId: order.id,
+    fromStatus: null,
+    toStatus: 'pending',
+    changedBy: userId,
+    note: 'Order placed',
+  });
+
+  const taxLines = [];
+  for (const taxLine of tax.taxLines) {
+    const taxLineResult = await client.query(
+      `INSERT INTO order_tax_lines (order_id, tax_rule_id, name, rate, taxable_amount, tax_amount)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${ORDER_TAX_LINE_COLUMNS}`,
+      [
+        order.id,
+        taxLine.ruleId,
+        taxLine.name,
+        taxLine.rate,
+        fromCents(taxLine.taxableCents),
+        fromCents(taxLine.taxCents),
+      ]
+    );
+    taxLines.push(taxLineResult.rows[0]);
+  }
+
+  // Lines keep their share of the discount and tax so returns refund what was paid for them
+  const orderItems = [];
+  for (const [index, line] of lines.entries()) {
+    const itemResult = await client.query(
+      `INSERT INTO order_items
+        (order_id, product_id, variant_id, sku, product_name, quantity, size, color, price, original_price, line_total,
+         discount_amount, tax_amount)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING ${ORDER_ITEM_COLUMNS}`,
+      [
+        order.id,
+        line.productId,
+        line.variantId,
+        line.sku,
+        line.productName,
+        line.quantity,
+        line.size,
+        line.color,
+        line.price,
+        line.originalPrice,
+        line.lineTotal,
+        fromCents(applied?.lineDiscounts[index] || 0),
+        fromCents(tax.lineTaxCents[index]),
+      ]
+    );
+    orderItems.push(itemResult.rows[0]);
+  }
+
+  return {
+    ...order,
+    order_items: orderItems,
+    tax_lines: taxLines,
+  };
+};
+
+/**
+ * Put the stock of every line of an order back, inside the caller's transaction
+ */
+export const restoreOrderStock = async (client, orderId) => {
+  const itemsResult = await client.query(
+    `SELECT product_id, variant_id, quantity
+     FROM order_items
+     WHERE order_id = $1`,
+    [orderId]
+  );
+
+  for (const item of itemsResult.rows) {
+    // Lines of deleted products have nothing to restock
+    if (!item.product_id) continue;
+
+    if (item.variant_id) {
+      await client.query(`SELECT restore_variant_stock($1, $2)`, [item.variant_id, item.quantity]);
+    }
+    await client.query(`SELECT restore_stock($1, $2)`, [item.product_id, item.quantity]);
+  }
+};
+
+/**
+ * Lock an order row for a status change, optionally restricted to one customer
+ */
+const lockOrder = async (client, orderId, userId = null) => {
+  const params = [orderId];
+  let ownerFilter = '';
+  if (userId) {
+    params.push(userId);
+    ownerFilter = ` AND user_id = $2`;
+  }
+
+  const result = await client.query(
+    `SELECT id, user_id, status
+     FROM orders
+     WHERE id = $1${ownerFilter}
+     FOR UPDATE`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Order not found');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Cancel an order inside the caller's transaction, restore its stock and give back its coupon use.
+ * Pass userId to restrict the lookup to that customer's own orders.
+ * Throws an httpError when the order is missing or can no longer be cancelled.
+ */
+export const cancelOrder = async (client, { orderId, userId = null, cancelledBy, reason = null }) => {
+  const current = await lockOrder(client, orderId, userId);
+
+  if (!canTransition(current.status, 'cancelled')) {
+    throw httpError(409, `Orders that are ${current.status} cannot be cancelled`);
+  }
+
+  await restoreOrderStock(client, orderId);
+  await releaseCouponRedemption(client, orderId);
+
+  const result = await client.query(
+    `UPDATE orders
+     SET status = 'cancelled',
+         cancelled_at = NOW(),
+         cancelled_by = $1,
+         cancellation_reason = $2,
+         updated_at = NOW()
+     WHERE id = $3
+     RETURNING ${ORDER_COLUMNS}`,
+    [cancelledBy, reason, orderId]
+  );
+
+  await recordStatusChange(client, {
+    orderId,
+    fromStatus: current.status,
+    toStatus: 'cancelled',
+    changedBy: cancelledBy,
+    note: reason,
+  });
+
+  return result.rows[0];
+};
+
+/**
+ * Move an order to a new status inside the caller's transaction.
+ * Enforces ORDER_STATUS_TRANSITIONS, requires a confirmed payment to leave pending,
+ * and records the change in the status history.
+ */
+export const updateOrderStatus = async (client, { orderId, status, changedBy, note = null }) => {
+  if (status === 'cancelled') {
+    return cancelOrder(client, { orderId, cancelledBy: changedBy, reason: note });
+  }
+
+  const current = await lockOrder(client, orderId);
+
+  if (!canTransition(current.status, status)) {
+    throw httpError(409, `Cannot change order status from ${current.status} to ${status}`, {
+      allowedStatuses: ORDER_STATUS_TRANSITIONS[current.status] || [],
+    });
+  }
+
+  // Orders leave pending only once their payment has been confirmed
+  if (current.status === 'pending') {
+    const paymentResult = await client.query(
+      `SELECT 1
+       FROM payments
+       WHERE order_id = $1 AND status IN ('captured', 'partially_refunded')
+       LIMIT 1`,
+      [orderId]
+    );
+
+    if (paymentResult.rows.length === 0) {
+      throw httpError(409, 'Order has no confirmed payment yet');
+    }
+  }
+
+  const result = await client.query(
+    `UPDATE orders
+     SET status = $1, updated_at = NOW()
+     WHERE id = $2
+     RETURNING ${ORDER_COLUMNS}`,
+    [status, orderId]
+  );
+
+  await recordStatusChange(client, {
+    orderId,
+    fromStatus: current.status,
+    toStatus: status,
+    changedBy,
+    note,
+  });
+
+  return result.rows[0];
+};
+
+export default {
+  placeOrder,
+  restoreOrderStock,
+  cancelOrder,
+  updateOrderStatus,
+  canTransition,
+  recordStatusChange,
+  getStatusHistory,
+  toCents,
+  fromCents,
+};
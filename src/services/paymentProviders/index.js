@@ -0,0 +1,53 @@
+import mockProvider from './mockProvider.js';
+import stripeProvider, { STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET } from './stripeProvider.js';
+
+/**
+ * Registered payment providers, keyed by name
+ *
+ * A provider implements:
+ *   createIntent({ amount, currency, paymentMethod, metadata }) -> { providerPaymentId, status, failureReason, clientSecret }
+ *     (clientSecret, when the customer has to act, e.g. for 3-D Secure)
+ *   capture(providerPaymentId) -> { status, failureReason }
+ *   refund(providerPaymentId, amount, { idempotencyKey }) -> { refundId, status, failureReason }
+ *     (a retry with the same idempotency key must not refund again)
+ *   verifyWebhook(rawBody, headers) -> { type, providerPaymentId, failureReason } | null
+ * Amounts are integer cents.
+ */
+const providers = {};
+
+if (STRIPE_SECRET_KEY && STRIPE_WEBHOOK_SECRET) {
+  providers[stripeProvider.name] = stripeProvider;
+} else if (STRIPE_SECRET_KEY || STRIPE_WEBHOOK_SECRET) {
+  console.warn('⚠️  Stripe needs both STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET; it is not registered');
+}
+
+// The mock gateway approves charges without moving money, so it is only registered when
+// explicitly enabled for development and tests
+export const MOCK_PAYMENTS_ENABLED = process.env.MOCK_PAYMENTS === 'true';
+if (MOCK_PAYMENTS_ENABLED) {
+  providers[mockProvider.name] = mockProvider;
+}
+
+export const DEFAULT_PAYMENT_PROVIDER =
+  process.env.PAYMENT_PROVIDER || (MOCK_PAYMENTS_ENABLED ? mockProvider.name : null);
+
+// A production deploy without a real gateway would either take no payments or give goods away
+if (
+  process.env.NODE_ENV === 'production' &&
+  (!providers[DEFAULT_PAYMENT_PROVIDER] || DEFAULT_PAYMENT_PROVIDER === mockProvider.name)
+) {
+  throw new Error('PAYMENT_PROVIDER must name a registered, non-mock payment provider in production');
+}
+
+/**
+ * Look up a provider by name, or null when it is not registered
+ */
+export const getPaymentProvider = (name = DEFAULT_PAYMENT_PROVIDER) => {
+  return (name && providers[name]) || null;
+};
+
+export default {
+  getPaymentProvider,
+  MOCK_PAYMENTS_ENABLED,
+  DEFAULT_PAYMENT_PROVIDER,
+};
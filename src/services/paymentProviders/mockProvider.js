@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Local mock payment gateway
+ *
+ * Behaves like a card processor without any network calls. The outcome of a payment is
+ * chosen by the payment method token (like test card numbers) or forced for all payments
+ * with setMockPaymentBehavior() / MOCK_PAYMENT_BEHAVIOR:
+ *   - mock_success: authorized, then captured
+ *   - mock_decline: declined by the "issuer"
+ *   - mock_timeout: never answers, so callers hit their provider timeout
+ *   - mock_async:   requires action; the result arrives later through a webhook
+ *
+ * Only registered when MOCK_PAYMENTS=true. Its ledger lives in memory, so payments made
+ * before a restart can no longer be captured or refunded.
+ */
+
+// Without a configured secret, webhooks can only be signed from inside this process
+const WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+export const SIGNATURE_HEADER = 'x-mock-signature';
+
+const METHOD_BEHAVIORS = {
+  mock_success: 'success',
+  mock_decline: 'decline',
+  mock_timeout: 'timeout',
+  mock_async: 'async',
+};
+
+// In-memory ledger of mock payments, keyed by provider payment id
+const payments = new Map();
+// Refund results keyed by idempotency key, replayed when a refund is retried
+const refunds = new Map();
+
+let forcedBehavior = null;
+
+/**
+ * Force every following payment to succeed, decline, time out or go async (null to reset)
+ */
+export const setMockPaymentBehavior = (behavior) => {
+  forcedBehavior = behavior;
+};
+
+const behaviorFor = (paymentMethod) => {
+  return forcedBehavior || METHOD_BEHAVIORS[paymentMethod] || process.env.MOCK_PAYMENT_BEHAVIOR || 'success';
+};
+
+const neverResolves = () => new Promise(() => {});
+
+/**
+ * Create and authorize a payment intent
+ * @param {Object} params - { amount (cents), currency, paymentMethod, metadata }
+ * @returns {Object} { providerPaymentId, status, failureReason }
+ */
+export const createIntent = async ({ amount, currency, paymentMethod }) => {
+  const behavior = behaviorFor(paymentMethod);
+  if (behavior === 'timeout') {
+    return neverResolves();
+  }
+
+  const providerPaymentId = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+
+  if (behavior === 'decline') {
+    payments.set(providerPaymentId, { amount, currency, status: 'failed', refunded: 0 });
+    return { providerPaymentId, status: 'failed', failureReason: 'Card declined' };
+  }
+
+  const status = behavior === 'async' ? 'requires_action' : 'authorized';
+  payments.set(providerPaymentId, { amount, currency, status, refunded: 0 });
+  return { providerPaymentId, status };
+};
+
+/**
+ * Capture an authorized payment
+ */
+export const capture = async (providerPaymentId) => {
+  const payment = payments.get(providerPaymentId);
+  if (!payment || payment.status !== 'authorized') {
+    return { status: 'failed', failureReason: 'Payment is not authorized' };
+  }
+
+  payment.status = 'captured';
+  return { status: 'captured' };
+};
+
+/**
+ * Refund part or all of a captured payment. A retry with the same idempotency key
+ * returns the first result instead of refunding again.
+ * @param {string} providerPaymentId
+ * @param {number} amount - Amount to refund in cents
+ * @param {Object} options - { idempotencyKey }
+ */
+export const refund = async (providerPaymentId, amount, { idempotencyKey = null } = {}) => {
+  if (idempotencyKey && refunds.has(idempotencyKey)) {
+    return refunds.get(idempotencyKey);
+  }
+
+  const payment = payments.get(providerPaymentId);
+  let result;
+  if (!payment || payment.status !== 'captured') {
+    result = { status: 'failed', failureReason: 'Payment is not captured' };
+  } else if (payment.refunded + amount > payment.amount) {
+    result = { status: 'failed', failureReason: 'Refund exceeds captured amount' };
+  } else {
+    payment.refunded += amount;
+    result = {
+      refundId: `mock_re_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'succeeded',
+    };
+  }
+
+  if (idempotencyKey) {
+    refunds.set(idempotencyKey, result);
+  }
+  return result;
+};
+
+/**
+ * Sign a webhook payload the way the mock gateway does
+ */
+export const signWebhookPayload = (rawBody) => {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+};
+
+/**
+ * Verify a webhook signature and normalize the event
+ * @returns {Object|null} { type, providerPaymentId, failureReason } or null when the signature is invalid
+ */
+export const verifyWebhook = (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER];
+  if (!rawBody || typeof signature !== 'string') {
+    return null;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(rawBody), 'hex');
+  const received = Buffer.from(signature, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  const event = JSON.parse(rawBody.toString('utf-8'));
+  const payment = payments.get(event.paymentId);
+  if (payment && event.type === 'payment.succeeded') payment.status = 'captured';
+  if (payment && event.type === 'payment.failed') payment.status = 'failed';
+
+  return {
+    type: event.type,
+    providerPaymentId: event.paymentId,
+    failureReason: event.failureReason || null,
+  };
+};
+
+export default {
+  name: 'mock',
+  createIntent,
+  capture,
+  refund,
+  verifyWebhook,
+};
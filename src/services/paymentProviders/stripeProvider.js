@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Stripe payment gateway, through the REST API (https://stripe.com/docs/api)
+ *
+ * The client collects card details with Stripe.js and sends the PaymentMethod id
+ * (pm_...) as the order's paymentMethod. The PaymentIntent is confirmed straight away
+ * and Stripe captures it on success, so capture() only checks that it did. A card that
+ * needs 3-D Secure leaves the intent in requires_action; its clientSecret goes back to
+ * the client to finish, and the outcome arrives through the webhook.
+ *
+ * Registered when STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET are set. The webhook
+ * endpoint should send payment_intent.succeeded and payment_intent.payment_failed.
+ */
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+export const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+export const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+export const SIGNATURE_HEADER = 'stripe-signature';
+// Webhooks signed longer ago than this are rejected as replays
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const WEBHOOK_EVENT_TYPES = {
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.payment_failed': 'payment.failed',
+};
+
+/**
+ * Flatten params into Stripe's form encoding, e.g. { metadata: { orderId } } becomes
+ * metadata[orderId]
+ */
+const encodeForm = (params, prefix = null, form = new URLSearchParams()) => {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      encodeForm(value, name, form);
+    } else {
+      form.append(name, String(value));
+    }
+  }
+  return form;
+};
+
+/**
+ * Call the Stripe API; answers with { ok, body } so callers can read card errors
+ */
+const stripeRequest = async (method, path, { params = null, idempotencyKey = null } = {}) => {
+  const headers = { Authorization: `Bearer ${STRIPE_SECRET_KEY}` };
+  if (params) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+  const response = await fetch(`${STRIPE_API_URL}${path}`, {
+    method,
+    headers,
+    body: params ? encodeForm(params).toString() : undefined,
+  });
+  const body = await response.json();
+
+  // Only declines are an answer; anything else (bad key, bad request, outage) is an error
+  if (!response.ok && body.error?.type !== 'card_error') {
+    throw new Error(`Stripe ${method} ${path} failed: ${body.error?.message || response.status}`);
+  }
+  return { ok: response.ok, body };
+};
+
+/**
+ * Map a PaymentIntent to the status of the stored payment
+ */
+const intentResult = (intent) => {
+  switch (intent.status) {
+    case 'succeeded':
+    case 'requires_capture':
+      return { providerPaymentId: intent.id, status: 'authorized' };
+    case 'requires_action':
+      return { providerPaymentId: intent.id, status: 'requires_action', clientSecret: intent.client_secret };
+    case 'processing':
+      return { providerPaymentId: intent.id, status: 'pending' };
+    default:
+      return {
+        providerPaymentId: intent.id,
+        status: 'failed',
+        failureReason: intent.last_payment_error?.message || 'Payment was not completed',
+      };
+  }
+};
+
+/**
+ * Create and confirm a PaymentIntent for a Stripe PaymentMethod
+ * @param {Object} params - { amount (cents), currency, paymentMethod, metadata }
+ * @returns {Object} { providerPaymentId, status, failureReason, clientSecret }
+ */
+export const createIntent = async ({ amount, currency, paymentMethod, metadata = {} }) => {
+  if (!paymentMethod) {
+    return { providerPaymentId: null, status: 'failed', failureReason: 'A payment method is required' };
+  }
+
+  const { ok, body } = await stripeRequest('POST', '/payment_intents', {
+    params: {
+      amount,
+      currency: currency.toLowerCase(),
+      payment_method: paymentMethod,
+      payment_method_types: { 0: 'card' },
+      confirm: true,
+      metadata,
+    },
+    // A retried request for the same stored payment must not charge twice
+    idempotencyKey: metadata.paymentId ? `payment-${metadata.paymentId}` : null,
+  });
+
+  if (!ok) {
+    return {
+      providerPaymentId: body.error.payment_intent?.id || null,
+      status: 'failed',
+      failureReason: body.error.message || 'Card declined',
+    };
+  }
+  return intentResult(body);
+};
+
+/**
+ * Check that a confirmed PaymentIntent was captured
+ */
+export const capture = async (providerPaymentId) => {
+  let { body: intent } = await stripeRequest('GET', `/payment_intents/${encodeURIComponent(providerPaymentId)}`);
+
+  if (intent.status === 'requires_capture') {
+    ({ body: intent } = await stripeRequest('POST', `/payment_intents/${encodeURIComponent(providerPaymentId)}/capture`, {
+      params: {},
+      idempotencyKey: `capture-${providerPaymentId}`,
+    }));
+  }
+
+  if (intent.status !== 'succeeded') {
+    return { status: 'failed', failureReason: intent.last_payment_error?.message || 'Payment is not captured' };
+  }
+  return { status: 'captured' };
+};
+
+/**
+ * Refund part or all of a captured PaymentIntent. Stripe replays the first result for a
+ * retry with the same idempotency key. A refund Stripe has accepted but not yet settled
+ * (pending) counts as succeeded.
+ * @param {string} providerPaymentId
+ * @param {number} amount - Amount to refund in cents
+ * @param {Object} options - { idempotencyKey }
+ */
+export const refund = async (providerPaymentId, amount, { idempotencyKey = null } = {}) => {
+  const { ok, body } = await stripeRequest('POST', '/refunds', {
+    params: { payment_intent: providerPaymentId, amount },
+    idempotencyKey,
+  });
+
+  if (!ok || !['succeeded', 'pending'].includes(body.status)) {
+    return { status: 'failed', failureReason: body.error?.message || body.failure_reason || 'Refund failed' };
+  }
+  return { refundId: body.id, status: 'succeeded' };
+};
+
+/**
+ * Verify a Stripe-Signature header (t=<timestamp>,v1=<hmac>) and normalize the event
+ * @returns {Object|null} { type, providerPaymentId, failureReason } or null when the signature is invalid
+ */
+export const verifyWebhook = (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER];
+  if (!rawBody || typeof signature !== 'string') {
+    return null;
+  }
+
+  const parts = signature.split(',').map((part) => part.split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    return null;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', STRIPE_WEBHOOK_SECRET)
+    .update(`${timestamp}.${rawBody.toString('utf-8')}`)
+    .digest();
+  const matches = parts
+    .filter(([key]) => key === 'v1')
+    .some(([, value]) => {
+      const received = Buffer.from(value || '', 'hex');
+      return received.length === expected.length && crypto.timingSafeEqual(expected, received);
+    });
+  if (!matches) {
+    return null;
+  }
+
+  const event = JSON.parse(rawBody.toString('utf-8'));
+  const intent = event.data?.object || {};
+
+  return {
+    type: WEBHOOK_EVENT_TYPES[event.type] || event.type,
+    providerPaymentId: intent.id,
+    failureReason: intent.last_payment_error?.message || null,
+  };
+};
+
+export default {
+  name: 'stripe',
+  createIntent,
+  capture,
+  refund,
+  verifyWebhook,
+};
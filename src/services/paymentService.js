@@ -0,0 +1,449 @@
+import crypto from 'crypto';
+import { getClient, query } from '../config/database.js';
+import { httpError } from '../middleware/errorHandler.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { toCents, fromCents, updateOrderStatus } from './orderService.js';
+
+export const PAYMENT_COLUMNS =
+  'id, order_id, provider, provider_payment_id, status, amount, refunded_amount, currency, failure_reason, created_at, updated_at';
+
+const REFUND_COLUMNS =
+  'id, order_id, payment_id, return_id, amount, reason, status, idempotency_key, provider_refund_id, failure_reason, created_by, created_at, updated_at';
+
+// Statuses in which money has been received for the order
+export const PAID_PAYMENT_STATUSES = ['captured', 'partially_refunded'];
+
+// Payments that are charging or have charged the customer; an order may have only one
+export const ACTIVE_PAYMENT_STATUSES = ['pending', 'requires_action', 'authorized', 'captured'];
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'USD';
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.PAYMENT_PROVIDER_TIMEOUT_MS || '10000');
+
+/**
+ * Reject when a provider call takes longer than PROVIDER_TIMEOUT_MS
+ */
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(httpError(504, 'Payment provider timed out')), PROVIDER_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const updatePayment = async (paymentId, { status, providerPaymentId, failureReason = null }, db = { query }) => {
+  const result = await db.query(
+    `UPDATE payments
+     SET status = $1,
+         provider_payment_id = COALESCE($2, provider_payment_id),
+         failure_reason = $3,
+         updated_at = NOW()
+     WHERE id = $4
+     RETURNING ${PAYMENT_COLUMNS}`,
+    [status, providerPaymentId || null, failureReason, paymentId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Mark a payment captured and move its order out of pending, in one transaction.
+ * A payment that completes after its order was cancelled (or otherwise left pending) is
+ * refunded straight away, since nothing will be shipped for it.
+ */
+const confirmPayment = async (paymentId) => {
+  const client = await getClient();
+  let payment;
+  let orderStatus;
+
+  try {
+    await client.query('BEGIN');
+
+    const paymentResult = await client.query(
+      `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE id = $1 FOR UPDATE`,
+      [paymentId]
+    );
+    payment = paymentResult.rows[0];
+
+    // A duplicate webhook, or one racing the synchronous capture
+    if (PAID_PAYMENT_STATUSES.includes(payment.status) || payment.status === 'refunded') {
+      await client.query('COMMIT');
+      return payment;
+    }
+
+    const orderResult = await client.query(
+      `SELECT status FROM orders WHERE id = $1 FOR UPDATE`,
+      [payment.order_id]
+    );
+    orderStatus = orderResult.rows[0]?.status;
+
+    payment = await updatePayment(paymentId, { status: 'captured' }, client);
+
+    if (orderStatus === 'pending') {
+      await updateOrderStatus(client, {
+        orderId: payment.order_id,
+        status: 'processing',
+        changedBy: null,
+        note: 'Payment confirmed',
+      });
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (orderStatus === 'pending') return payment;
+
+  try {
+    return await refundPayment(payment, null, {
+      reason: `Payment completed after the order was ${orderStatus || 'deleted'}`,
+    });
+  } catch (error) {
+    // Left captured for an admin to refund by hand
+    console.error(`Failed to refund late payment ${payment.id}:`, error);
+    return payment;
+  }
+};
+
+/**
+ * Lock a pending order and record a new payment attempt for it. Refuses while another
+ * attempt is in flight or has been captured, so repeated or concurrent pay requests
+ * cannot charge the customer twice.
+ */
+const startPayment = async (orderId, provider) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      `SELECT id, status, total FROM orders WHERE id = $1 FOR UPDATE`,
+      [orderId]
+    );
+    const order = orderResult.rows[0];
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+    if (order.status !== 'pending') {
+      throw httpError(409, 'Only pending orders can be paid');
+    }
+
+    const activeResult = await client.query(
+      `SELECT id, status FROM payments WHERE order_id = $1 AND status = ANY($2::text[]) LIMIT 1`,
+      [orderId, ACTIVE_PAYMENT_STATUSES]
+    );
+    if (activeResult.rows.length > 0) {
+      const { id, status } = activeResult.rows[0];
+      throw httpError(409, 'This order already has a payment in progress', { paymentId: id, status });
+    }
+
+    const insertResult = await client.query(
+      `INSERT INTO payments (order_id, provider, status, amount, currency)
+       VALUES ($1, $2, 'pending', $3, $4)
+       RETURNING ${PAYMENT_COLUMNS}`,
+      [order.id, provider.name, order.total, PAYMENT_CURRENCY]
+    );
+
+    await client.query('COMMIT');
+    return insertResult.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // idx_payments_one_active_per_order caught a concurrent attempt
+    if (error.code === '23505') {
+      throw httpError(409, 'This order already has a payment in progress');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Charge a pending order through a payment provider.
+ * Returns the stored payment; its status tells the caller whether the charge was
+ * captured, declined (failed) or is waiting for the provider's webhook.
+ */
+export const payOrder = async (order, { paymentMethod, providerName } = {}) => {
+  const provider = getPaymentProvider(providerName);
+  if (!provider) {
+    throw providerName
+      ? httpError(400, 'Unsupported payment provider')
+      : httpError(503, 'Payments are not configured');
+  }
+
+  let payment = await startPayment(order.id, provider);
+
+  let intent;
+  try {
+    intent = await withTimeout(
+      provider.createIntent({
+        amount: toCents(payment.amount),
+        currency: PAYMENT_CURRENCY,
+        paymentMethod,
+        metadata: { orderId: order.id, paymentId: payment.id },
+      })
+    );
+  } catch (error) {
+    console.error('Payment provider error:', error);
+    return updatePayment(payment.id, { status: 'failed', failureReason: error.message });
+  }
+
+  if (intent.status !== 'authorized') {
+    payment = await updatePayment(payment.id, {
+      status: intent.status,
+      providerPaymentId: intent.providerPaymentId,
+      failureReason: intent.failureReason,
+    });
+    // The client needs the provider's secret to finish e.g. 3-D Secure; it is not stored
+    return intent.clientSecret ? { ...payment, client_secret: intent.clientSecret } : payment;
+  }
+
+  payment = await updatePayment(payment.id, {
+    status: 'authorized',
+    providerPaymentId: intent.providerPaymentId,
+  });
+
+  let captureResult;
+  try {
+    captureResult = await withTimeout(provider.capture(intent.providerPaymentId));
+  } catch (error) {
+    console.error('Payment capture error:', error);
+    return payment;
+  }
+
+  if (captureResult.status !== 'captured') {
+    return updatePayment(payment.id, { status: 'failed', failureReason: captureResult.failureReason });
+  }
+
+  return confirmPayment(payment.id);
+};
+
+/**
+ * Apply a verified provider webhook event to the matching payment
+ */
+export const handlePaymentWebhook = async (providerName, event) => {
+  const result = await query(
+    `SELECT ${PAYMENT_COLUMNS}
+     FROM payments
+     WHERE provider = $1 AND provider_payment_id = $2`,
+    [providerName, event.providerPaymentId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Payment not found');
+  }
+
+  const payment = result.rows[0];
+
+  // Webhooks may be delivered more than once
+  if (PAID_PAYMENT_STATUSES.includes(payment.status) || payment.status === 'refunded') {
+    return payment;
+  }
+
+  if (event.type === 'payment.succeeded') {
+    return confirmPayment(payment.id);
+  }
+
+  if (event.type === 'payment.failed') {
+    return updatePayment(payment.id, { status: 'failed', failureReason: event.failureReason });
+  }
+
+  return payment;
+};
+
+/**
+ * Record a refund as pending under a lock on its payment, so concurrent refunds are
+ * checked against each other's amounts. A refund of the same payment and return that is
+ * still pending from an earlier attempt is returned instead, with its key and amount.
+ * @returns {Object} refunds row with the payment's provider_payment_id
+ */
+const reserveRefund = async (paymentId, amountCents, { reason, returnId, createdBy }) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const lockedResult = await client.query(
+      `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE id = $1 FOR UPDATE`,
+      [paymentId]
+    );
+    const locked = lockedResult.rows[0];
+
+    if (!locked || !PAID_PAYMENT_STATUSES.includes(locked.status)) {
+      throw httpError(409, 'Only captured payments can be refunded');
+    }
+
+    const pendingResult = await client.query(
+      `SELECT ${REFUND_COLUMNS}
+       FROM refunds
+       WHERE payment_id = $1 AND status = 'pending'`,
+      [paymentId]
+    );
+    const retried = pendingResult.rows.find((refund) => refund.return_id === returnId);
+    if (retried) {
+      await client.query('COMMIT');
+      return { ...retried, provider_payment_id: locked.provider_payment_id };
+    }
+
+    const pendingCents = pendingResult.rows.reduce((sum, refund) => sum + toCents(refund.amount), 0);
+    const refundableCents = getRefundableCents(locked) - pendingCents;
+    const refundCents = amountCents ?? refundableCents;
+    if (refundCents <= 0 || refundCents > refundableCents) {
+      throw httpError(400, `Refund amount must be between 0.01 and ${fromCents(Math.max(refundableCents, 0))}`);
+    }
+
+    const result = await client.query(
+      `INSERT INTO refunds (order_id, payment_id, return_id, amount, reason, created_by, status, idempotency_key)
+       VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7)
+       RETURNING ${REFUND_COLUMNS}`,
+      [locked.order_id, locked.id, returnId, fromCents(refundCents), reason, createdBy, crypto.randomUUID()]
+    );
+
+    await client.query('COMMIT');
+    return { ...result.rows[0], provider_payment_id: locked.provider_payment_id };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Mark a pending refund succeeded and add it to its payment's refunded amount.
+ * A refund another attempt already completed is not counted twice.
+ * @returns {Object} the updated payment row
+ */
+const completeRefund = async (refundId, providerRefundId) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const refundResult = await client.query(
+      `UPDATE refunds
+       SET status = 'succeeded', provider_refund_id = $1, failure_reason = NULL, updated_at = NOW()
+       WHERE id = $2 AND status = 'pending'
+       RETURNING payment_id, amount`,
+      [providerRefundId || null, refundId]
+    );
+
+    let payment;
+    if (refundResult.rows.length > 0) {
+      const { payment_id: paymentId, amount } = refundResult.rows[0];
+      const result = await client.query(
+        `UPDATE payments
+         SET refunded_amount = refunded_amount + $1,
+             status = CASE WHEN refunded_amount + $1 >= amount THEN 'refunded' ELSE 'partially_refunded' END,
+             updated_at = NOW()
+         WHERE id = $2
+         RETURNING ${PAYMENT_COLUMNS}`,
+        [amount, paymentId]
+      );
+      payment = result.rows[0];
+    } else {
+      const result = await client.query(
+        `SELECT ${PAYMENT_COLUMNS}
+         FROM payments
+         WHERE id = (SELECT payment_id FROM refunds WHERE id = $1)`,
+        [refundId]
+      );
+      payment = result.rows[0];
+    }
+
+    await client.query('COMMIT');
+    return payment;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Refund part or all of a captured payment and record it against the order.
+ * The refund is recorded as pending with an idempotency key before the provider is
+ * called, outside any transaction. When the call fails without an answer (e.g. it times
+ * out), the refund stays pending: retrying the refund of the same payment and return
+ * sends the same key and amount, so the provider pays out at most once.
+ * @param {Object} payment - Payment row
+ * @param {number} amountCents - Amount to refund, defaults to everything not yet refunded
+ * @param {Object} details - { reason, returnId, createdBy } stored on the refund record
+ * @returns {Object} the updated payment row
+ */
+export const refundPayment = async (payment, amountCents = null, { reason = null, returnId = null, createdBy = null } = {}) => {
+  const provider = getPaymentProvider(payment.provider);
+  if (!provider) {
+    throw httpError(400, 'Unsupported payment provider');
+  }
+
+  const refund = await reserveRefund(payment.id, amountCents, { reason, returnId, createdBy });
+
+  const refundResult = await withTimeout(
+    provider.refund(refund.provider_payment_id, toCents(refund.amount), { idempotencyKey: refund.idempotency_key })
+  );
+  if (refundResult.status !== 'succeeded') {
+    await query(
+      `UPDATE refunds
+       SET status = 'failed', failure_reason = $1, updated_at = NOW()
+       WHERE id = $2 AND status = 'pending'`,
+      [refundResult.failureReason || null, refund.id]
+    );
+    throw httpError(502, refundResult.failureReason || 'Refund failed');
+  }
+
+  return completeRefund(refund.id, refundResult.refundId);
+};
+
+/**
+ * Amount of a payment that can still be refunded, in cents
+ */
+export const getRefundableCents = (payment) => {
+  return toCents(payment.amount) - toCents(payment.refunded_amount);
+};
+
+/**
+ * Refund every captured payment of an order, e.g. after cancellation.
+ * Failures are logged and left for an admin to resolve rather than thrown.
+ */
+export const refundOrderPayments = async (orderId) => {
+  const payments = await getOrderPayments(orderId);
+  const refunded = [];
+
+  for (const payment of payments) {
+    if (!PAID_PAYMENT_STATUSES.includes(payment.status)) continue;
+
+    try {
+      refunded.push(await refundPayment(payment, null, { reason: 'Order cancelled' }));
+    } catch (error) {
+      console.error(`Failed to refund payment ${payment.id}:`, error);
+    }
+  }
+
+  return refunded;
+};
+
+/**
+ * Get the payments of an order, newest first
+ */
+export const getOrderPayments = async (orderId) => {
+  const result = await query(
+    `SELECT ${PAYMENT_COLUMNS}
+     FROM payments
+     WHERE order_id = $1
+     ORDER BY created_at DESC`,
+    [orderId]
+  );
+  return result.rows;
+};
+
+export default {
+  payOrder,
+  handlePaymentWebhook,
+  refundPayment,
+  refundOrderPayments,
+  getOrderPayments,
+};
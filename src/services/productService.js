@@ -0,0 +1,288 @@
+import { query } from '../config/database.js';
+import { httpError } from '../middleware/errorHandler.js';
+
+export const VARIANT_COLUMNS =
+  'id, product_id, sku, size, color, stock_quantity, price, created_at, updated_at';
+
+/**
+ * Get all variants of a product, ordered by size then color
+ */
+export const getProductVariants = async (productId, db = { query }) => {
+  const result = await db.query(
+    `SELECT ${VARIANT_COLUMNS}
+     FROM product_variants
+     WHERE product_id = $1
+     ORDER BY size NULLS FIRST, color NULLS FIRST`,
+    [productId]
+  );
+  return result.rows;
+};
+
+/**
+ * Find the variant a cart or order line refers to, by variantId or by size/color.
+ * Returns null for products without variants; throws when the product has variants
+ * but none matches the selection.
+ */
+export const resolveVariant = async (db, product, { variantId, size, color }, { forUpdate = false } = {}) => {
+  const result = await db.query(
+    `SELECT ${VARIANT_COLUMNS}
+     FROM product_variants
+     WHERE product_id = $1
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [product.id]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const variant = variantId
+    ? result.rows.find((v) => v.id === variantId)
+    : result.rows.find((v) => (v.size || '') === (size || '') && (v.color || '') === (color || ''));
+
+  if (!variant) {
+    throw httpError(400, `Selected size/color is not available for "${product.name}"`);
+  }
+
+  return variant;
+};
+
+/**
+ * Describe a variant for customer-facing messages, e.g. "42 / Black"
+ */
+export const describeVariant = (variant) => {
+  return [variant.size, variant.color].filter(Boolean).join(' / ');
+};
+
+/**
+ * Recompute a product's aggregate stock from its variants
+ */
+export const syncProductVariantStock = async (productId, db = { query }) => {
+  await db.query(`SELECT sync_product_variant_stock($1)`, [productId]);
+};
+
+export const PRODUCT_COLUMNS =
+  'id, name, description, category, price, original_price, image_url, sizes, colors, in_stock, featured, stock_quantity, created_at, updated_at';
+
+export const PRODUCT_SORTS = ['relevance', 'newest', 'price_asc', 'price_desc'];
+
+// Edges of the price facet buckets: [0, 50), [50, 100), ... and an open-ended last bucket
+const PRICE_BUCKET_EDGES = (process.env.PRODUCT_PRICE_BUCKETS || '50,100,150,200')
+  .split(',')
+  .map(Number)
+  .filter((edge) => Number.isFinite(edge) && edge > 0)
+  .sort((a, b) => a - b);
+
+// Typo-tolerant matches count for half as much as full-text matches
+const TRIGRAM_RANK_WEIGHT = 0.5;
+// Words of a query matched one by one when the query as a whole finds nothing
+const MAX_SEARCH_TERMS = 8;
+
+const ORDER_BY = {
+  relevance: 'relevance DESC, created_at DESC',
+  newest: 'created_at DESC',
+  price_asc: 'price ASC, created_at DESC',
+  price_desc: 'price DESC, created_at DESC',
+};
+
+/**
+ * Count products per facet value. Each facet ignores its own filter, so that picking one
+ * category still shows how many products the other categories have.
+ */
+const getProductFacets = async (baseWhere, facetFilters, params) => {
+  const edgesParam = `$${params.length + 1}`;
+  const others = (facet) =>
+    Object.keys(facetFilters)
+      .filter((key) => key !== facet)
+      .map((key) => `in_${key}`)
+      .join(' AND ');
+
+  const result = await query(
+    `WITH matches AS (
+       SELECT category, sizes, colors, price,
+              ${facetFilters.category} AS in_category,
+              ${facetFilters.size} AS in_size,
+              ${facetFilters.color} AS in_color,
+              ${facetFilters.price} AS in_price
+       FROM products
+       ${baseWhere}
+     )
+     SELECT 'category' AS facet, category AS value, COUNT(*)::integer AS count
+     FROM matches WHERE ${others('category')} GROUP BY category
+     UNION ALL
+     SELECT 'size', size, COUNT(*)::integer
+     FROM matches, unnest(sizes) AS size WHERE ${others('size')} GROUP BY size
+     UNION ALL
+     SELECT 'color', color, COUNT(*)::integer
+     FROM matches, unnest(colors) AS color WHERE ${others('color')} GROUP BY color
+     UNION ALL
+     SELECT 'price', width_bucket(price, ${edgesParam}::numeric[])::text, COUNT(*)::integer
+     FROM matches WHERE ${others('price')} GROUP BY 2`,
+    [...params, PRICE_BUCKET_EDGES]
+  );
+
+  const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+  const valuesOf = (facet) =>
+    result.rows
+      .filter((row) => row.facet === facet && row.value !== null)
+      .map(({ value, count }) => ({ value, count }))
+      .sort(byCount);
+
+  const priceCounts = new Map(
+    result.rows.filter((row) => row.facet === 'price').map((row) => [Number(row.value), row.count])
+  );
+  const bounds = [0, ...PRICE_BUCKET_EDGES];
+
+  return {
+    categories: valuesOf('category'),
+    sizes: valuesOf('size'),
+    colors: valuesOf('color'),
+    priceRanges: bounds.map((min, index) => ({
+      min,
+      max: bounds[index + 1] ?? null,
+      count: priceCounts.get(index) || 0,
+    })),
+  };
+};
+
+const wordsOf = (text) => String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((word) => word.length >= 2);
+
+/**
+ * Split a search query into lowercase words for typo-tolerant matching, keeping the
+ * words it excludes (websearch syntax: -word) apart
+ * @returns {Object} { terms, excluded }
+ */
+export const searchTerms = (search) => {
+  const excluded = [];
+  const included = String(search).replace(/(^|\s)-([^\s"]+)/g, (match, space, word) => {
+    excluded.push(...wordsOf(word));
+    return space;
+  });
+
+  return {
+    terms: [...new Set(wordsOf(included))].slice(0, MAX_SEARCH_TERMS),
+    excluded: [...new Set(excluded)].slice(0, MAX_SEARCH_TERMS),
+  };
+};
+
+/**
+ * SQL for matching and ranking products against a search query. A product matches the
+ * whole query through full-text search, or each word on its own: through full-text
+ * search, or through trigram similarity to a word of its name or category (`<%`), so one
+ * misspelled word in a longer query does not drag the query below the threshold. Words
+ * full-text search ignores (e.g. "the") are skipped; excluded words still exclude.
+ * @param {Function} param - adds a query parameter and returns its placeholder
+ * @returns {Object} { filter, relevance } SQL expressions
+ */
+export const buildSearchMatch = (search, param) => {
+  const tsQuery = `websearch_to_tsquery('english', ${param(search)})`;
+  const { terms, excluded } = searchTerms(search);
+
+  if (terms.length === 0) {
+    return { filter: `search_vector @@ ${tsQuery}`, relevance: `ts_rank_cd(search_vector, ${tsQuery})` };
+  }
+
+  const placeholders = terms.map(param);
+  const termMatch = (placeholder) =>
+    `search_vector @@ plainto_tsquery('english', ${placeholder}) OR ${placeholder} <% search_text`;
+  const termMatches = placeholders.map(
+    (placeholder) => `(numnode(plainto_tsquery('english', ${placeholder})) = 0 OR ${termMatch(placeholder)})`
+  );
+  // A query of nothing but ignored words must not match the whole catalog
+  termMatches.push(`(${placeholders.map(termMatch).join(' OR ')})`);
+  const exclusions = excluded.map((word) => `NOT search_vector @@ plainto_tsquery('english', ${param(word)})`);
+  const similarity = placeholders.map((placeholder) => `word_similarity(${placeholder}, search_text)`).join(' + ');
+
+  return {
+    filter: `(search_vector @@ ${tsQuery} OR (${[...termMatches, ...exclusions].join(' AND ')}))`,
+    relevance: `ts_rank_cd(search_vector, ${tsQuery}) + (${similarity}) / ${terms.length} * ${TRIGRAM_RANK_WEIGHT}`,
+  };
+};
+
+/**
+ * Search the catalog with full-text ranking (name > category > description) and trigram
+ * matching of misspelled terms
+ * @param {Object} options - search, featured, inStock, ids, categories, sizes, colors,
+ *                           minPrice (inclusive), maxPrice (exclusive), sort, limit,
+ *                           facets (whether to count facet values)
+ * @returns {Object} { products, facets } - facets is null when not requested
+ */
+export const searchProducts = async ({
+  search = null,
+  featured = null,
+  inStock = null,
+  ids = [],
+  categories = [],
+  sizes = [],
+  colors = [],
+  minPrice = null,
+  maxPrice = null,
+  sort = null,
+  limit = null,
+  facets = true,
+} = {}) => {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const base = [];
+  if (featured !== null) base.push(`featured = ${param(featured)}`);
+  if (inStock !== null) base.push(`in_stock = ${param(inStock)}`);
+  if (ids.length > 0) base.push(`id = ANY(${param(ids)}::uuid[])`);
+
+  let relevance = null;
+  if (search) {
+    const match = buildSearchMatch(search, param);
+    base.push(match.filter);
+    relevance = match.relevance;
+  }
+
+  const priceRange = [];
+  if (minPrice !== null) priceRange.push(`price >= ${param(minPrice)}`);
+  if (maxPrice !== null) priceRange.push(`price < ${param(maxPrice)}`);
+
+  const facetFilters = {
+    category: categories.length > 0 ? `category = ANY(${param(categories)}::text[])` : 'true',
+    size: sizes.length > 0 ? `sizes && ${param(sizes)}::text[]` : 'true',
+    color: colors.length > 0 ? `colors && ${param(colors)}::text[]` : 'true',
+    price: priceRange.length > 0 ? `(${priceRange.join(' AND ')})` : 'true',
+  };
+
+  const baseWhere = base.length > 0 ? `WHERE ${base.join(' AND ')}` : '';
+  const where = [...base, ...Object.values(facetFilters).filter((filter) => filter !== 'true')];
+  const orderBy = ORDER_BY[sort || (search ? 'relevance' : 'newest')] || ORDER_BY.newest;
+
+  let sql = `
+    SELECT ${PRODUCT_COLUMNS}, (${relevance || '0'})::real AS relevance
+    FROM products
+    ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY ${orderBy}
+  `;
+  const productParams = [...params];
+  if (limit) {
+    productParams.push(limit);
+    sql += ` LIMIT $${productParams.length}`;
+  }
+
+  const [productsResult, facetCounts] = await Promise.all([
+    query(sql, productParams),
+    facets ? getProductFacets(baseWhere, facetFilters, params) : null,
+  ]);
+
+  return {
+    products: productsResult.rows.map(({ relevance: score, ...product }) =>
+      search ? { ...product, relevance: score } : product
+    ),
+    facets: facetCounts,
+  };
+};
+
+export default {
+  getProductVariants,
+  resolveVariant,
+  describeVariant,
+  syncProductVariantStock,
+  searchProducts,
+};
@@ -0,0 +1,469 @@
+import { getClient, query } from '../config/database.js';
+import { httpError } from '../middleware/errorHandler.js';
+import { sendReturnUpdate } from './emailService.js';
+import { toCents, fromCents } from './orderService.js';
+import { PAID_PAYMENT_STATUSES, getOrderPayments, getRefundableCents, refundPayment } from './paymentService.js';
+
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunding', 'refunded'];
+
+const RETURN_COLUMNS =
+  'id, order_id, user_id, status, reason, admin_note, refund_amount, resolved_by, approved_at, received_at, created_at, updated_at';
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS || '30');
+
+/**
+ * Email the customer about a return; failures are logged, never thrown
+ */
+const notifyCustomer = async (returnRequest, headline, message) => {
+  try {
+    const userResult = await query(
+      `SELECT email, full_name FROM users WHERE id = $1`,
+      [returnRequest.user_id]
+    );
+    const user = userResult.rows[0];
+    if (!user) return;
+
+    await sendReturnUpdate(user.email, {
+      name: user.full_name,
+      returnId: returnRequest.id,
+      orderId: returnRequest.order_id,
+      headline,
+      message,
+    });
+  } catch (error) {
+    console.error('Failed to send return update email:', error);
+  }
+};
+
+/**
+ * Get a return request with its lines, or null.
+ * Pass userId to restrict the lookup to that customer's own returns.
+ */
+export const getReturnRequest = async (returnId, { userId = null } = {}) => {
+  const params = [returnId];
+  let ownerFilter = '';
+  if (userId) {
+    params.push(userId);
+    ownerFilter = ' AND user_id = $2';
+  }
+
+  const result = await query(
+    `SELECT ${RETURN_COLUMNS}
+     FROM return_requests
+     WHERE id = $1${ownerFilter}`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const itemsResult = await query(
+    `SELECT ri.id, ri.order_item_id, ri.quantity,
+            oi.product_id, oi.variant_id, oi.product_name, oi.size, oi.color, oi.price
+     FROM return_items ri
+     JOIN order_items oi ON oi.id = ri.order_item_id
+     WHERE ri.return_id = $1
+     ORDER BY ri.created_at ASC`,
+    [returnId]
+  );
+
+  return {
+    ...result.rows[0],
+    items: itemsResult.rows,
+  };
+};
+
+/**
+ * List return requests, newest first, filtered by customer, order and/or status
+ */
+export const listReturnRequests = async ({ userId, orderId, status, limit } = {}) => {
+  const where = [];
+  const params = [];
+
+  if (userId) {
+    params.push(userId);
+    where.push(`rr.user_id = $${params.length}`);
+  }
+  if (orderId) {
+    params.push(orderId);
+    where.push(`rr.order_id = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    where.push(`rr.status = $${params.length}`);
+  }
+
+  let sql = `
+    SELECT rr.id, rr.order_id, rr.user_id, rr.status, rr.reason, rr.admin_note, rr.refund_amount,
+           rr.resolved_by, rr.approved_at, rr.received_at, rr.created_at, rr.updated_at,
+           p.full_name AS customer_name, p.email AS customer_email
+    FROM return_requests rr
+    LEFT JOIN profiles p ON p.id = rr.user_id
+  `;
+
+  if (where.length > 0) {
+    sql += ` WHERE ${where.join(' AND ')}`;
+  }
+
+  sql += ` ORDER BY rr.created_at DESC`;
+
+  if (limit) {
+    params.push(limit);
+    sql += ` LIMIT $${params.length}`;
+  }
+
+  const result = await query(sql, params);
+  return result.rows;
+};
+
+/**
+ * Open a return for specific lines of a completed order
+ * @param {Object} params - { orderId, userId, items: [{ orderItemId, quantity }], reason }
+ */
+export const createReturnRequest = async ({ orderId, userId, items, reason }) => {
+  const client = await getClient();
+  let returnId;
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      `SELECT id, status
+       FROM orders
+       WHERE id = $1 AND user_id = $2
+       FOR UPDATE`,
+      [orderId, userId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      throw httpError(404, 'Order not found');
+    }
+
+    if (orderResult.rows[0].status !== 'completed') {
+      throw httpError(409, 'Only completed orders can be returned');
+    }
+
+    const completedResult = await client.query(
+      `SELECT MAX(created_at) AS completed_at
+       FROM order_status_history
+       WHERE order_id = $1 AND to_status = 'completed'`,
+      [orderId]
+    );
+
+    const completedAt = completedResult.rows[0].completed_at;
+    const windowEnds = completedAt ? new Date(completedAt) : null;
+    windowEnds?.setDate(windowEnds.getDate() + RETURN_WINDOW_DAYS);
+    if (windowEnds && windowEnds < new Date()) {
+      throw httpError(409, `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`);
+    }
+
+    // Quantities already in open or finished returns cannot be returned again
+    const orderItemsResult = await client.query(
+      `SELECT oi.id, oi.product_name, oi.quantity,
+              COALESCE(SUM(ri.quantity) FILTER (WHERE rr.status <> 'rejected'), 0)::integer AS returned_quantity
+       FROM order_items oi
+       LEFT JOIN return_items ri ON ri.order_item_id = oi.id
+       LEFT JOIN return_requests rr ON rr.id = ri.return_id
+       WHERE oi.order_id = $1
+       GROUP BY oi.id`,
+      [orderId]
+    );
+    const orderItems = new Map(orderItemsResult.rows.map((item) => [item.id, item]));
+
+    const seen = new Set();
+    for (const item of items) {
+      const orderItem = orderItems.get(item.orderItemId);
+      if (!orderItem) {
+        throw httpError(400, 'One or more items do not belong to this order');
+      }
+      if (seen.has(item.orderItemId)) {
+        throw httpError(400, 'Each order item may only be listed once');
+      }
+      seen.add(item.orderItemId);
+
+      const returnable = orderItem.quantity - orderItem.returned_quantity;
+      if (item.quantity > returnable) {
+        throw httpError(400, `Only ${returnable} of "${orderItem.product_name}" can be returned`);
+      }
+    }
+
+    const returnResult = await client.query(
+      `INSERT INTO return_requests (order_id, user_id, reason)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [orderId, userId, reason]
+    );
+    returnId = returnResult.rows[0].id;
+
+    for (const item of items) {
+      await client.query(
+        `INSERT INTO return_items (return_id, order_item_id, quantity)
+         VALUES ($1, $2, $3)`,
+        [returnId, item.orderItemId, item.quantity]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const returnRequest = await getReturnRequest(returnId);
+  await notifyCustomer(
+    returnRequest,
+    'We received your return request',
+    'Thanks for letting us know. Our team will review your return request and get back to you shortly.'
+  );
+  return returnRequest;
+};
+
+/**
+ * Lock a return request and check it is in the expected status
+ */
+const lockReturnRequest = async (client, returnId, expectedStatus) => {
+  const result = await client.query(
+    `SELECT ${RETURN_COLUMNS}
+     FROM return_requests
+     WHERE id = $1
+     FOR UPDATE`,
+    [returnId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Return request not found');
+  }
+
+  const returnRequest = result.rows[0];
+  if (returnRequest.status !== expectedStatus) {
+    throw httpError(409, `Return request is ${returnRequest.status}, expected ${expectedStatus}`);
+  }
+
+  return returnRequest;
+};
+
+/**
+ * Approve or reject a requested return
+ */
+const resolveReturnRequest = async (returnId, { adminId, note, approve }) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await lockReturnRequest(client, returnId, 'requested');
+
+    await client.query(
+      `UPDATE return_requests
+       SET status = $1,
+           admin_note = $2,
+           resolved_by = $3,
+           approved_at = CASE WHEN $1 = 'approved' THEN NOW() ELSE approved_at END,
+           updated_at = NOW()
+       WHERE id = $4`,
+      [approve ? 'approved' : 'rejected', note, adminId, returnId]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getReturnRequest(returnId);
+};
+
+/**
+ * Approve a requested return so the customer can send the items back
+ */
+export const approveReturn = async (returnId, { adminId, note = null }) => {
+  const returnRequest = await resolveReturnRequest(returnId, { adminId, note, approve: true });
+  await notifyCustomer(
+    returnRequest,
+    'Your return was approved',
+    `Your return has been approved. Please send the items back to us.${note ? ` Note from our team: ${note}` : ''}`
+  );
+  return returnRequest;
+};
+
+/**
+ * Reject a requested return
+ */
+export const rejectReturn = async (returnId, { adminId, note = null }) => {
+  const returnRequest = await resolveReturnRequest(returnId, { adminId, note, approve: false });
+  await notifyCustomer(
+    returnRequest,
+    'Your return request was declined',
+    `Unfortunately we cannot accept this return.${note ? ` Reason: ${note}` : ''}`
+  );
+  return returnRequest;
+};
+
+/**
+ * What returning some units of an order line refunds, in cents: the units' share of the
+ * line total less its coupon discount, plus the tax charged on it
+ * @param {Object} line - order_items row (line_total, discount_amount, tax_amount, quantity, price)
+ * @param {number} quantity - Units returned
+ */
+export const returnLineRefundCents = (line, quantity) => {
+  const lineCents =
+    line.line_total !== null && line.line_total !== undefined
+      ? toCents(line.line_total)
+      : toCents(line.price) * line.quantity;
+  const netCents = lineCents - toCents(line.discount_amount || 0) + toCents(line.tax_amount || 0);
+  return Math.round((netCents * quantity) / line.quantity);
+};
+
+/**
+ * Refund a received return against the order's captured payment.
+ * The return is claimed ('refunding') before the provider is called, so two refund
+ * attempts cannot both pay out; a failed refund puts it back to 'received' for a retry,
+ * which resends a refund left pending by a timeout under its original idempotency key.
+ */
+export const refundReturn = async (returnId, { adminId }) => {
+  const claimResult = await query(
+    `UPDATE return_requests
+     SET status = 'refunding', updated_at = NOW()
+     WHERE id = $1 AND status = 'received'
+     RETURNING ${RETURN_COLUMNS}`,
+    [returnId]
+  );
+
+  if (claimResult.rows.length === 0) {
+    const existing = await getReturnRequest(returnId);
+    if (!existing) {
+      throw httpError(404, 'Return request not found');
+    }
+    throw httpError(409, `Return request is ${existing.status}, expected received`);
+  }
+
+  const returnRequest = claimResult.rows[0];
+  let payment;
+  let refundCents;
+
+  try {
+    const payments = await getOrderPayments(returnRequest.order_id);
+    payment = payments.find(
+      (p) => PAID_PAYMENT_STATUSES.includes(p.status) && getRefundableCents(p) > 0
+    );
+
+    if (!payment) {
+      throw httpError(409, 'This order has no captured payment left to refund');
+    }
+
+    // Earlier refunds may have left less on the payment than the returned lines cost
+    refundCents = Math.min(toCents(returnRequest.refund_amount), getRefundableCents(payment));
+
+    await refundPayment(payment, refundCents, {
+      reason: `Return ${returnRequest.id}`,
+      returnId: returnRequest.id,
+      createdBy: adminId,
+    });
+  } catch (error) {
+    await query(
+      `UPDATE return_requests SET status = 'received', updated_at = NOW() WHERE id = $1 AND status = 'refunding'`,
+      [returnId]
+    );
+    throw error;
+  }
+
+  await query(
+    `UPDATE return_requests
+     SET status = 'refunded', refund_amount = $1, updated_at = NOW()
+     WHERE id = $2`,
+    [fromCents(refundCents), returnId]
+  );
+
+  const refunded = await getReturnRequest(returnId);
+  await notifyCustomer(
+    refunded,
+    'Your refund is on its way',
+    `We have refunded ${fromCents(refundCents)} ${payment.currency} to your original payment method.`
+  );
+  return refunded;
+};
+
+/**
+ * Mark an approved return as received: restock its items and refund the customer.
+ * A failed refund leaves the return received so it can be retried with refundReturn.
+ */
+export const receiveReturn = async (returnId, { adminId, note = null }) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const returnRequest = await lockReturnRequest(client, returnId, 'approved');
+
+    const itemsResult = await client.query(
+      `SELECT ri.quantity AS returned_quantity, oi.product_id, oi.variant_id, oi.price, oi.quantity,
+              oi.line_total, oi.discount_amount, oi.tax_amount
+       FROM return_items ri
+       JOIN order_items oi ON oi.id = ri.order_item_id
+       WHERE ri.return_id = $1`,
+      [returnId]
+    );
+
+    let refundCents = 0;
+    for (const item of itemsResult.rows) {
+      refundCents += returnLineRefundCents(item, item.returned_quantity);
+
+      // Lines of deleted products have nothing to restock
+      if (!item.product_id) continue;
+
+      if (item.variant_id) {
+        await client.query(`SELECT restore_variant_stock($1, $2)`, [item.variant_id, item.returned_quantity]);
+      }
+      await client.query(`SELECT restore_stock($1, $2)`, [item.product_id, item.returned_quantity]);
+    }
+
+    await client.query(
+      `UPDATE return_requests
+       SET status = 'received',
+           received_at = NOW(),
+           refund_amount = $1,
+           admin_note = COALESCE($2, admin_note),
+           resolved_by = $3,
+           updated_at = NOW()
+       WHERE id = $4`,
+      [fromCents(refundCents), note, adminId, returnRequest.id]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const received = await getReturnRequest(returnId);
+  await notifyCustomer(
+    received,
+    'We received your returned items',
+    'Your returned items have arrived at our warehouse. Your refund is being processed.'
+  );
+
+  try {
+    return { returnRequest: await refundReturn(returnId, { adminId }), refundError: null };
+  } catch (error) {
+    console.error(`Failed to refund return ${returnId}:`, error);
+    return { returnRequest: received, refundError: error.message };
+  }
+};
+
+export default {
+  returnLineRefundCents,
+  createReturnRequest,
+  getReturnRequest,
+  listReturnRequests,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+};
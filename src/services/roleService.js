@@ -0,0 +1,125 @@
+import { getClient, query } from '../config/database.js';
+import { ROLES, SUPER_ADMIN_ROLES, getPermissionsForRoles } from '../config/permissions.js';
+import { httpError } from '../middleware/errorHandler.js';
+import { logSecurityEvent } from './securityEventService.js';
+
+export const USER_ROLE_COLUMNS = 'role, granted_by, created_at';
+
+// 'admin' predates the split roles; it is kept for existing accounts but no longer granted
+const ASSIGNABLE_ROLES = Object.keys(ROLES).filter((role) => role !== 'admin');
+
+/**
+ * A user's roles, with who granted them and when
+ */
+export const listUserRoles = async (userId) => {
+  const result = await query(
+    `SELECT ${USER_ROLE_COLUMNS}
+     FROM user_roles
+     WHERE user_id = $1
+     ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * A user's role names and the permissions they add up to
+ * @returns {Object} { roles, permissions }
+ */
+export const getUserAccess = async (userId) => {
+  const result = await query(`SELECT role::text AS role FROM user_roles WHERE user_id = $1`, [userId]);
+  const roles = result.rows.map((row) => row.role);
+  return { roles, permissions: getPermissionsForRoles(roles) };
+};
+
+/**
+ * Grant a staff role
+ * @returns {boolean} false when the user already had it
+ */
+export const assignRole = async (userId, role, { grantedBy = null, ipAddress = null, userAgent = null } = {}) => {
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    throw httpError(400, `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+  }
+
+  const userResult = await query(`SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL`, [userId]);
+  if (userResult.rows.length === 0) {
+    throw httpError(404, 'User not found');
+  }
+
+  const result = await query(
+    `INSERT INTO user_roles (user_id, role, granted_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id, role) DO NOTHING
+     RETURNING id`,
+    [userId, role, grantedBy]
+  );
+
+  if (result.rows.length === 0) return false;
+
+  await logSecurityEvent(userId, 'role_granted', { ipAddress, userAgent, details: { role, grantedBy } });
+  return true;
+};
+
+/**
+ * Revoke a role. The last super admin cannot be removed, so the store always keeps
+ * someone who can manage roles.
+ * @returns {boolean} false when the user did not have it
+ */
+export const revokeRole = async (userId, role, { revokedBy = null, ipAddress = null, userAgent = null } = {}) => {
+  if (!ROLES[role]) {
+    throw httpError(400, 'Unknown role');
+  }
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    if (SUPER_ADMIN_ROLES.includes(role)) {
+      // Lock every super admin grant so two concurrent revocations cannot both pass the check
+      const superAdmins = await client.query(
+        `SELECT DISTINCT ur.user_id
+         FROM user_roles ur
+         JOIN users u ON u.id = ur.user_id
+         WHERE ur.role::text = ANY($1::text[]) AND u.is_active = true
+         FOR UPDATE OF ur`,
+        [SUPER_ADMIN_ROLES]
+      );
+      const remaining = superAdmins.rows.filter((row) => row.user_id !== userId);
+
+      const otherSuperRole = await client.query(
+        `SELECT 1 FROM user_roles
+         WHERE user_id = $1 AND role::text = ANY($2::text[]) AND role::text <> $3`,
+        [userId, SUPER_ADMIN_ROLES, role]
+      );
+
+      if (remaining.length === 0 && otherSuperRole.rows.length === 0) {
+        throw httpError(409, 'At least one super admin must remain');
+      }
+    }
+
+    const result = await client.query(
+      `DELETE FROM user_roles WHERE user_id = $1 AND role::text = $2 RETURNING id`,
+      [userId, role]
+    );
+
+    await client.query('COMMIT');
+
+    if (result.rows.length === 0) return false;
+
+    await logSecurityEvent(userId, 'role_revoked', { ipAddress, userAgent, details: { role, revokedBy } });
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export default {
+  listUserRoles,
+  getUserAccess,
+  assignRole,
+  revokeRole,
+};
@@ -0,0 +1,25 @@
+import { query } from '../config/database.js';
+
+export const SECURITY_EVENT_COLUMNS = 'id, user_id, type, ip_address, user_agent, details, created_at';
+
+/**
+ * Record a security-relevant event, e.g. a replayed refresh token.
+ * Failures are logged, never thrown, so they cannot break the request being handled.
+ */
+export const logSecurityEvent = async (userId, type, { ipAddress = null, userAgent = null, details = {} } = {}) => {
+  console.warn(`Security event ${type} for user ${userId || 'unknown'}`, details);
+
+  try {
+    await query(
+      `INSERT INTO security_events (user_id, type, ip_address, user_agent, details)
+       VALUES ($1, $2, $3, $4, $5::jsonb)`,
+      [userId, type, ipAddress, userAgent, JSON.stringify(details)]
+    );
+  } catch (error) {
+    console.error('Failed to record security event:', error);
+  }
+};
+
+export default {
+  logSecurityEvent,
+};
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import { getClient, query } from '../config/database.js';
+import { generateAccessToken, generateRefreshToken, verifyRefreshToken } from '../config/jwt.js';
+import { httpError } from '../middleware/errorHandler.js';
+import { logSecurityEvent } from './securityEventService.js';
+
+export const SESSION_COLUMNS = 'id, user_id, device_name, user_agent, ip_address, last_used_at, expires_at, created_at';
+
+// Matches the default JWT_REFRESH_EXPIRES_IN
+const SESSION_TTL = '7 days';
+
+// A client that fires two refreshes at once (e.g. two app tabs) presents the same token
+// twice; the loser within this window is turned away without revoking the session
+const ROTATION_GRACE_SECONDS = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS || '10');
+
+/**
+ * Refresh tokens are stored as SHA-256 hashes only
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a refresh token for a session; the random jti makes every rotation unique
+ */
+const issueRefreshToken = (userId, sessionId) => {
+  return generateRefreshToken({ userId, sessionId, jti: crypto.randomUUID() });
+};
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+
+const PLATFORMS = [
+  ['iPhone', /iPhone/],
+  ['iPad', /iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Turn a User-Agent header into a short label such as "Chrome on Windows"
+ */
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+/**
+ * Start a session for a user and issue its tokens
+ * @param {Object} client - { userAgent, ipAddress } of the device signing in
+ * @returns {Object} { sessionId, accessToken, refreshToken }
+ */
+export const createSession = async (userId, { userAgent = null, ipAddress = null } = {}) => {
+  const sessionId = crypto.randomUUID();
+  const accessToken = generateAccessToken({ userId, sessionId });
+  const refreshToken = issueRefreshToken(userId, sessionId);
+
+  await query(
+    `INSERT INTO refresh_tokens (id, user_id, token_hash, device_name, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + $7::interval)`,
+    [sessionId, userId, hashToken(refreshToken), describeUserAgent(userAgent), userAgent, ipAddress, SESSION_TTL]
+  );
+
+  return { sessionId, accessToken, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one (rotation) and mark its session used.
+ * A token that was already rotated away is a replay: its whole session is revoked
+ * and the event is logged. Throws a 401 httpError when the token cannot be used.
+ * @returns {Object} { session, refreshToken }
+ */
+export const rotateRefreshToken = async (refreshToken, { ipAddress = null, userAgent = null } = {}) => {
+  const decoded = verifyRefreshToken(refreshToken);
+  const tokenHash = hashToken(refreshToken);
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    // Tokens issued before sessions existed carry no sessionId; match them by hash alone
+    const result = await client.query(
+      `SELECT ${SESSION_COLUMNS}, token_hash, previous_token_hash,
+              rotated_at > NOW() - make_interval(secs => $4) AS within_grace
+       FROM refresh_tokens
+       WHERE user_id = $1 AND ${decoded.sessionId ? 'id = $2' : 'token_hash = $3'}
+       FOR UPDATE`,
+      [decoded.userId, decoded.sessionId || null, tokenHash, ROTATION_GRACE_SECONDS]
+    );
+
+    if (result.rows.length === 0) {
+      throw httpError(401, 'Invalid refresh token');
+    }
+
+    const { token_hash: currentHash, previous_token_hash: previousHash, within_grace: withinGrace, ...session } =
+      result.rows[0];
+
+    if (currentHash !== tokenHash) {
+      if (previousHash === tokenHash && withinGrace) {
+        throw httpError(401, 'Refresh token was already used');
+      }
+
+      await client.query(`DELETE FROM refresh_tokens WHERE id = $1`, [session.id]);
+      await client.query('COMMIT');
+
+      await logSecurityEvent(session.user_id, 'refresh_token_reuse', {
+        ipAddress,
+        userAgent,
+        details: { sessionId: session.id, deviceName: session.device_name },
+      });
+      throw httpError(401, 'Refresh token reuse detected. Please log in again.');
+    }
+
+    if (new Date(session.expires_at) < new Date()) {
+      await client.query(`DELETE FROM refresh_tokens WHERE id = $1`, [session.id]);
+      await client.query('COMMIT');
+      throw httpError(401, 'Refresh token has expired');
+    }
+
+    const nextRefreshToken = issueRefreshToken(session.user_id, session.id);
+    await client.query(
+      `UPDATE refresh_tokens
+       SET token_hash = $1,
+           previous_token_hash = token_hash,
+           rotated_at = NOW(),
+           last_used_at = NOW(),
+           ip_address = COALESCE($2, ip_address),
+           expires_at = NOW() + $3::interval
+       WHERE id = $4`,
+      [hashToken(nextRefreshToken), ipAddress, SESSION_TTL, session.id]
+    );
+
+    await client.query('COMMIT');
+    return { session, refreshToken: nextRefreshToken };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Revoke the session a refresh token belongs to; returns false when there is none
+ */
+export const revokeSessionByToken = async (userId, refreshToken) => {
+  const result = await query(
+    `DELETE FROM refresh_tokens WHERE user_id = $1 AND token_hash = $2 RETURNING id`,
+    [userId, hashToken(refreshToken)]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ */
+export const listSessions = async (userId) => {
+  const result = await query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM refresh_tokens
+     WHERE user_id = $1 AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Revoke one of a user's sessions; returns false when it does not exist
+ */
+export const revokeSession = async (userId, sessionId) => {
+  const result = await query(
+    `DELETE FROM refresh_tokens WHERE id = $1 AND user_id = $2 RETURNING id`,
+    [sessionId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Revoke every session of a user except one (null revokes them all); returns how many were revoked
+ */
+export const revokeOtherSessions = async (userId, keepSessionId = null) => {
+  const result = await query(
+    `DELETE FROM refresh_tokens
+     WHERE user_id = $1 AND ($2::uuid IS NULL OR id <> $2)
+     RETURNING id`,
+    [userId, keepSessionId]
+  );
+  return result.rows.length;
+};
+
+/**
+ * Check that a session still exists, i.e. has not been revoked or logged out
+ */
+export const isSessionActive = async (userId, sessionId) => {
+  const result = await query(
+    `SELECT 1 FROM refresh_tokens WHERE id = $1 AND user_id = $2 AND expires_at > NOW()`,
+    [sessionId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+export default {
+  createSession,
+  rotateRefreshToken,
+  revokeSessionByToken,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  isSessionActive,
+  describeUserAgent,
+};
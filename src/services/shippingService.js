@@ -0,0 +1,149 @@
+import { query } from '../config/database.js';
+import { httpError } from '../middleware/errorHandler.js';
+
+export const SHIPPING_METHOD_TYPES = ['standard', 'express', 'pickup'];
+export const SHIPPING_RATE_TYPES = ['flat', 'weight', 'quantity'];
+
+export const SHIPPING_ZONE_COLUMNS = 'id, name, countries, is_active, created_at, updated_at';
+export const SHIPPING_METHOD_COLUMNS =
+  'id, zone_id, name, type, rate_type, base_rate, per_unit_rate, free_shipping_threshold, min_delivery_days, max_delivery_days, is_active, created_at, updated_at';
+
+const GRAMS_PER_KG = 1000;
+
+/**
+ * Find the active zone shipping to a country. Zones listing the country win over
+ * the fallback zone (the one with no countries). Returns null when nothing ships there.
+ */
+export const findShippingZone = async (country, db = { query }) => {
+  const result = await db.query(
+    `SELECT ${SHIPPING_ZONE_COLUMNS}
+     FROM shipping_zones
+     WHERE is_active = true
+       AND (UPPER($1) = ANY(countries) OR cardinality(countries) = 0)
+     ORDER BY cardinality(countries) = 0 ASC, created_at ASC
+     LIMIT 1`,
+    [country]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Price one method for a parcel, in cents
+ */
+const calculateShippingCents = (method, { units, weightGrams, subtotalCents }) => {
+  if (method.free_threshold_cents !== null && subtotalCents >= method.free_threshold_cents) {
+    return 0;
+  }
+
+  if (method.rate_type === 'weight') {
+    return method.base_rate_cents + Math.ceil(weightGrams / GRAMS_PER_KG) * method.per_unit_rate_cents;
+  }
+  if (method.rate_type === 'quantity') {
+    return method.base_rate_cents + units * method.per_unit_rate_cents;
+  }
+  return method.base_rate_cents;
+};
+
+/**
+ * Quote every method that ships to a country, cheapest first
+ * @param {Object} params - { country, lines: [{ quantity, weightGrams }], subtotalCents }
+ * @returns {Array} [{ methodId, name, type, costCents, minDeliveryDays, maxDeliveryDays }]
+ */
+export const quoteShipping = async (db, { country, lines, subtotalCents }) => {
+  const zone = await findShippingZone(country, db);
+  if (!zone) {
+    throw httpError(400, `We do not ship to ${country}`);
+  }
+
+  const methodsResult = await db.query(
+    `SELECT ${SHIPPING_METHOD_COLUMNS},
+            ROUND(base_rate * 100)::integer AS base_rate_cents,
+            ROUND(per_unit_rate * 100)::integer AS per_unit_rate_cents,
+            ROUND(free_shipping_threshold * 100)::integer AS free_threshold_cents
+     FROM shipping_methods
+     WHERE zone_id = $1 AND is_active = true`,
+    [zone.id]
+  );
+
+  if (methodsResult.rows.length === 0) {
+    throw httpError(400, `We do not ship to ${country}`);
+  }
+
+  const parcel = {
+    units: lines.reduce((sum, line) => sum + line.quantity, 0),
+    weightGrams: lines.reduce((sum, line) => sum + line.quantity * line.weightGrams, 0),
+    subtotalCents,
+  };
+
+  return methodsResult.rows
+    .map((method) => ({
+      methodId: method.id,
+      zoneId: zone.id,
+      name: method.name,
+      type: method.type,
+      costCents: calculateShippingCents(method, parcel),
+      freeShippingThreshold: method.free_shipping_threshold,
+      minDeliveryDays: method.min_delivery_days,
+      maxDeliveryDays: method.max_delivery_days,
+    }))
+    .sort((a, b) => a.costCents - b.costCents);
+};
+
+/**
+ * Quote the chosen method for an order, or the cheapest one when none was chosen.
+ * Throws an httpError when the method does not ship to the address.
+ */
+export const selectShippingMethod = async (db, { methodId = null, country, lines, subtotalCents }) => {
+  const quotes = await quoteShipping(db, { country, lines, subtotalCents });
+
+  if (!methodId) {
+    return quotes[0];
+  }
+
+  const quote = quotes.find((q) => q.methodId === methodId);
+  if (!quote) {
+    throw httpError(400, 'This shipping method is not available for your address');
+  }
+  return quote;
+};
+
+/**
+ * Price and weigh requested items from the catalog for a shipping quote
+ * @param {Array} items - [{ productId, variantId, quantity }]
+ * @returns {Object} { lines: [{ quantity, weightGrams }], subtotalCents }
+ */
+export const getQuoteLines = async (items) => {
+  const result = await query(
+    `SELECT p.id, p.weight_grams,
+            ROUND(COALESCE(pv.price, p.price) * 100)::integer AS unit_price_cents,
+            req.variant_id
+     FROM unnest($1::uuid[], $2::uuid[]) AS req(product_id, variant_id)
+     JOIN products p ON p.id = req.product_id
+     LEFT JOIN product_variants pv ON pv.id = req.variant_id AND pv.product_id = p.id`,
+    [items.map((item) => item.productId), items.map((item) => item.variantId || null)]
+  );
+
+  const lines = [];
+  let subtotalCents = 0;
+  for (const item of items) {
+    const row = result.rows.find(
+      (r) => r.id === item.productId && (r.variant_id || null) === (item.variantId || null)
+    );
+    if (!row) {
+      throw httpError(400, 'One or more products no longer exist');
+    }
+
+    const quantity = Number(item.quantity);
+    subtotalCents += row.unit_price_cents * quantity;
+    lines.push({ quantity, weightGrams: row.weight_grams });
+  }
+
+  return { lines, subtotalCents };
+};
+
+export default {
+  findShippingZone,
+  quoteShipping,
+  selectShippingMethod,
+  getQuoteLines,
+};
@@ -0,0 +1,111 @@
+import { query } from '../config/database.js';
+
+export const TAX_RULE_COLUMNS =
+  'id, name, country, state, postal_prefix, category, rate, applies_to_shipping, is_active, created_at, updated_at';
+
+export const ORDER_TAX_LINE_COLUMNS = 'id, order_id, tax_rule_id, name, rate, taxable_amount, tax_amount, created_at';
+
+/**
+ * Rank a rule by how precisely it targets a line: category, then postal prefix
+ * length, then state
+ */
+const specificity = (rule) => {
+  return (rule.category ? 1000 : 0) + (rule.postal_prefix ? 10 + rule.postal_prefix.length : 0) + (rule.state ? 1 : 0);
+};
+
+/**
+ * Pick the most specific rule matching a category (null for shipping)
+ */
+const pickRule = (rules, category) => {
+  const candidates = rules.filter((rule) => !rule.category || (category && rule.category === category));
+  return candidates.reduce((best, rule) => (!best || specificity(rule) > specificity(best) ? rule : best), null);
+};
+
+/**
+ * Compute the tax of an order for its shipping address
+ * @param {Object} params - { address, lines: [{ category, taxableCents }], shippingCents }
+ * @returns {Object} { taxCents, taxLines: [{ ruleId, name, rate, taxableCents, taxCents }],
+ *                     lineTaxCents (one per line, excluding tax on shipping) }
+ */
+export const calculateTax = async (db, { address, lines, shippingCents }) => {
+  const rulesResult = await db.query(
+    `SELECT ${TAX_RULE_COLUMNS}
+     FROM tax_rules
+     WHERE is_active = true
+       AND country = UPPER($1)
+       AND (state IS NULL OR UPPER(state) = UPPER($2))
+       AND (postal_prefix IS NULL OR UPPER(REPLACE($3, ' ', '')) LIKE UPPER(REPLACE(postal_prefix, ' ', '')) || '%')`,
+    [address.country, address.state || '', address.postalCode || '']
+  );
+  const rules = rulesResult.rows;
+
+  // Taxable amounts are summed per rule and rounded once, so tax lines add up exactly
+  const byRule = new Map();
+  const addTaxable = (rule, cents, lineIndex) => {
+    if (!rule || cents <= 0) return;
+    const entry = byRule.get(rule.id) || { rule, taxableCents: 0, parts: [] };
+    entry.taxableCents += cents;
+    entry.parts.push({ lineIndex, cents });
+    byRule.set(rule.id, entry);
+  };
+
+  lines.forEach((line, index) => addTaxable(pickRule(rules, line.category), line.taxableCents, index));
+
+  const shippingRule = pickRule(rules, null);
+  if (shippingRule?.applies_to_shipping) {
+    addTaxable(shippingRule, shippingCents, null);
+  }
+
+  let taxCents = 0;
+  const lineTaxCents = lines.map(() => 0);
+  const taxLines = [...byRule.values()].map(({ rule, taxableCents, parts }) => {
+    const ruleTaxCents = Math.round((taxableCents * Number(rule.rate)) / 100);
+    taxCents += ruleTaxCents;
+
+    // Each line's share of the rule's tax, so returns can refund it; the last part
+    // takes the rounding remainder
+    let allocated = 0;
+    parts.forEach((part, index) => {
+      const share =
+        index === parts.length - 1
+          ? ruleTaxCents - allocated
+          : Math.round((ruleTaxCents * part.cents) / taxableCents);
+      allocated += share;
+      if (part.lineIndex !== null) lineTaxCents[part.lineIndex] += share;
+    });
+
+    return {
+      ruleId: rule.id,
+      name: rule.name,
+      rate: rule.rate,
+      taxableCents,
+      taxCents: ruleTaxCents,
+    };
+  });
+
+  return { taxCents, taxLines, lineTaxCents };
+};
+
+/**
+ * Get the tax lines of one or more orders, grouped by order id
+ */
+export const getOrderTaxLines = async (orderIds, db = { query }) => {
+  const result = await db.query(
+    `SELECT ${ORDER_TAX_LINE_COLUMNS}
+     FROM order_tax_lines
+     WHERE order_id = ANY($1::uuid[])
+     ORDER BY created_at ASC`,
+    [orderIds]
+  );
+
+  const taxLinesByOrderId = new Map(orderIds.map((id) => [id, []]));
+  for (const taxLine of result.rows) {
+    taxLinesByOrderId.get(taxLine.order_id)?.push(taxLine);
+  }
+  return taxLinesByOrderId;
+};
+
+export default {
+  calculateTax,
+  getOrderTaxLines,
+};
@@ -0,0 +1,395 @@
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { getClient, query } from '../config/database.js';
+import { httpError } from '../middleware/errorHandler.js';
+import { assertLoginAllowed, recordFailedLogin } from './loginProtectionService.js';
+import { logSecurityEvent } from './securityEventService.js';
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'SoleStride';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next time step to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5 minutes';
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * RFC 4648 base32 without padding, as authenticator apps expect
+ */
+export const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode RFC 4648 base32, with or without padding
+ */
+export const base32Decode = (value) => {
+  let bits = '';
+  for (const char of value.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * RFC 6238 code (HMAC-SHA1) of a secret for one time step
+ */
+export const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Find the time step a code was generated for, ignoring steps at or before lastStep;
+ * returns null when the code does not match
+ */
+export const matchTotpStep = (secret, code, lastStep = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step += 1) {
+    if (lastStep !== null && step <= Number(lastStep)) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Replace a user's recovery codes with a fresh set; returns the plaintext codes,
+ * which are shown once and only stored as bcrypt hashes
+ */
+const replaceRecoveryCodes = async (client, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(code, 10)));
+
+  await client.query(`DELETE FROM two_factor_recovery_codes WHERE user_id = $1`, [userId]);
+  await client.query(
+    `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+     SELECT $1, unnest($2::text[])`,
+    [userId, hashes]
+  );
+
+  return codes;
+};
+
+/**
+ * Check a TOTP code or a recovery code against a user row locked FOR UPDATE.
+ * A matching code is consumed (its time step or recovery code cannot be used again).
+ * @returns {string|null} 'totp', 'recovery_code' or null when nothing matched
+ */
+const consumeSecondFactor = async (client, user, { code = null, recoveryCode = null }) => {
+  if (code) {
+    const step = matchTotpStep(user.totp_secret, code, user.totp_last_step);
+    if (step === null) return null;
+
+    await client.query(`UPDATE users SET totp_last_step = $1 WHERE id = $2`, [step, user.id]);
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const normalized = String(recoveryCode).trim().toLowerCase();
+    const result = await client.query(
+      `SELECT id, code_hash FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL`,
+      [user.id]
+    );
+
+    for (const row of result.rows) {
+      if (await bcrypt.compare(normalized, row.code_hash)) {
+        await client.query(`UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE id = $1`, [row.id]);
+        return 'recovery_code';
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Lock a user's row and two-factor columns for the rest of the transaction
+ */
+const lockTwoFactorUser = async (client, userId) => {
+  const result = await client.query(
+    `SELECT id, email, full_name, password_hash, totp_secret, totp_enabled, totp_last_step,
+            failed_login_count, last_failed_login_at, locked_until
+     FROM users
+     WHERE id = $1
+     FOR UPDATE`,
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'User not found');
+  }
+  return result.rows[0];
+};
+
+/**
+ * Run fn(client, user) in a transaction with the user's row locked
+ */
+const withTwoFactorUser = async (userId, fn) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+    const user = await lockTwoFactorUser(client, userId);
+    const result = await fn(client, user);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get whether a user has two-factor authentication on and how many recovery codes remain
+ */
+export const getTwoFactorStatus = async (userId) => {
+  const result = await query(
+    `SELECT u.totp_enabled, u.totp_enabled_at,
+            (SELECT COUNT(*)::integer FROM two_factor_recovery_codes r
+             WHERE r.user_id = u.id AND r.used_at IS NULL) AS recovery_codes_remaining
+     FROM users u
+     WHERE u.id = $1`,
+    [userId]
+  );
+
+  const row = result.rows[0];
+  return {
+    enabled: Boolean(row?.totp_enabled),
+    enabledAt: row?.totp_enabled_at || null,
+    recoveryCodesRemaining: row?.totp_enabled ? row.recovery_codes_remaining : 0,
+  };
+};
+
+/**
+ * Start enrollment: generate a new secret, kept inactive until confirmed with a code
+ * @returns {Object} { secret, otpauthUrl }
+ */
+export const beginTwoFactorEnrollment = async (userId) => {
+  return withTwoFactorUser(userId, async (client, user) => {
+    if (user.totp_enabled) {
+      throw httpError(409, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await client.query(
+      `UPDATE users SET totp_secret = $1, totp_last_step = NULL, updated_at = NOW() WHERE id = $2`,
+      [secret, userId]
+    );
+
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: TOTP_ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS),
+    });
+
+    return { secret, otpauthUrl: `otpauth://totp/${label}?${params}` };
+  });
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @returns {Object} { recoveryCodes } - plaintext, shown to the user once
+ */
+export const confirmTwoFactorEnrollment = async (userId, code) => {
+  return withTwoFactorUser(userId, async (client, user) => {
+    if (user.totp_enabled) {
+      throw httpError(409, 'Two-factor authentication is already enabled');
+    }
+    if (!user.totp_secret) {
+      throw httpError(400, 'Start two-factor setup before confirming it');
+    }
+
+    if (!(await consumeSecondFactor(client, user, { code }))) {
+      throw httpError(400, 'Invalid authentication code');
+    }
+
+    await client.query(
+      `UPDATE users SET totp_enabled = true, totp_enabled_at = NOW(), updated_at = NOW() WHERE id = $1`,
+      [userId]
+    );
+    const recoveryCodes = await replaceRecoveryCodes(client, userId);
+
+    return { recoveryCodes };
+  });
+};
+
+/**
+ * Turn two-factor authentication off; requires the password and a current code or recovery code
+ */
+export const disableTwoFactor = async (userId, { password, code = null, recoveryCode = null }) => {
+  return withTwoFactorUser(userId, async (client, user) => {
+    if (!user.totp_enabled) {
+      throw httpError(400, 'Two-factor authentication is not enabled');
+    }
+    if (!user.password_hash || !(await bcrypt.compare(password, user.password_hash))) {
+      throw httpError(401, 'Password is incorrect');
+    }
+    if (!(await consumeSecondFactor(client, user, { code, recoveryCode }))) {
+      throw httpError(401, 'Invalid authentication code');
+    }
+
+    await client.query(
+      `UPDATE users
+       SET totp_enabled = false, totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [userId]
+    );
+    await client.query(`DELETE FROM two_factor_recovery_codes WHERE user_id = $1`, [userId]);
+  });
+};
+
+/**
+ * Replace the recovery codes after checking a current code
+ * @returns {Object} { recoveryCodes }
+ */
+export const regenerateRecoveryCodes = async (userId, code) => {
+  return withTwoFactorUser(userId, async (client, user) => {
+    if (!user.totp_enabled) {
+      throw httpError(400, 'Two-factor authentication is not enabled');
+    }
+    if (!(await consumeSecondFactor(client, user, { code }))) {
+      throw httpError(401, 'Invalid authentication code');
+    }
+
+    return { recoveryCodes: await replaceRecoveryCodes(client, userId) };
+  });
+};
+
+/**
+ * Start the second login step for a user whose password was just verified
+ * @returns {Object} { challengeToken, expiresAt }
+ */
+export const createLoginChallenge = async (userId, { userAgent = null, ipAddress = null } = {}) => {
+  const challengeToken = crypto.randomBytes(32).toString('hex');
+
+  // Only the newest challenge of a user is valid, and stale ones are cleaned up here
+  await query(`DELETE FROM login_challenges WHERE user_id = $1 OR expires_at < NOW()`, [userId]);
+  const result = await query(
+    `INSERT INTO login_challenges (user_id, token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + $5::interval)
+     RETURNING expires_at`,
+    [userId, hashToken(challengeToken), userAgent, ipAddress, CHALLENGE_TTL]
+  );
+
+  return { challengeToken, expiresAt: result.rows[0].expires_at };
+};
+
+/**
+ * Complete a login challenge with a TOTP code or a recovery code. The challenge is
+ * single-use and is dropped after too many wrong codes. Wrong codes also count towards
+ * the account's login lockout, so new challenges do not give a fresh set of guesses.
+ * @returns {Object} { userId, method }
+ */
+export const verifyLoginChallenge = async (
+  challengeToken,
+  { code = null, recoveryCode = null, ipAddress = null, userAgent = null } = {}
+) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const challengeResult = await client.query(
+      `SELECT id, user_id, attempts, expires_at
+       FROM login_challenges
+       WHERE token_hash = $1
+       FOR UPDATE`,
+      [hashToken(String(challengeToken))]
+    );
+    const challenge = challengeResult.rows[0];
+
+    if (!challenge || new Date(challenge.expires_at) < new Date()) {
+      throw httpError(401, 'Login challenge is invalid or has expired. Please log in again.');
+    }
+
+    const user = await lockTwoFactorUser(client, challenge.user_id);
+    await assertLoginAllowed(user, { ipAddress, userAgent });
+    const method = user.totp_enabled ? await consumeSecondFactor(client, user, { code, recoveryCode }) : null;
+
+    if (!method) {
+      const attempts = challenge.attempts + 1;
+      if (attempts >= CHALLENGE_MAX_ATTEMPTS) {
+        await client.query(`DELETE FROM login_challenges WHERE id = $1`, [challenge.id]);
+        await client.query('COMMIT');
+
+        await recordFailedLogin(user, { email: user.email, failureReason: 'invalid_second_factor', ipAddress, userAgent });
+        await logSecurityEvent(challenge.user_id, 'two_factor_failed', {
+          ipAddress,
+          userAgent,
+          details: { attempts },
+        });
+        throw httpError(401, 'Too many invalid codes. Please log in again.');
+      }
+
+      await client.query(`UPDATE login_challenges SET attempts = $1 WHERE id = $2`, [attempts, challenge.id]);
+      await client.query('COMMIT');
+
+      await recordFailedLogin(user, { email: user.email, failureReason: 'invalid_second_factor', ipAddress, userAgent });
+      throw httpError(401, 'Invalid authentication code', { attemptsRemaining: CHALLENGE_MAX_ATTEMPTS - attempts });
+    }
+
+    await client.query(`DELETE FROM login_challenges WHERE id = $1`, [challenge.id]);
+    await client.query('COMMIT');
+
+    if (method === 'recovery_code') {
+      await logSecurityEvent(challenge.user_id, 'recovery_code_used', { ipAddress, userAgent });
+    }
+
+    return { userId: challenge.user_id, method };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export default {
+  getTwoFactorStatus,
+  beginTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  verifyLoginChallenge,
+};
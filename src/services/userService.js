@@ -1,45 +1,76 @@
 import bcrypt from 'bcryptjs';
 import { getClient, query } from '../config/database.js';
-import { generateAccessToken, generateRefreshToken } from '../config/jwt.js';
-import { generateVerificationCode, generateVerificationToken, sendVerificationCode, sendPasswordResetCode } from './emailService.js';
+import { createSession } from './sessionService.js';
+import {
+  generateVerificationCode,
+  sendVerificationCode,
+  sendPasswordResetCode,
+  sendMagicLink,
+} from './emailService.js';
+import { mergeGuestCart } from './cartService.js';
+import { createLoginChallenge, verifyLoginChallenge } from './twoFactorService.js';
+import { assertLoginAllowed, recordFailedLogin, recordSuccessfulLogin } from './loginProtectionService.js';
+import { completeAuthorization, findOrCreateIdentityUser } from './oidcService.js';
+import { issueUserToken, consumeUserToken, verifyUserCode } from './userTokenService.js';
+
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES || '15');
+const CODE_TTL_MINUTES = 15;
 
 /**
- * Create a new user
+ * Build the email verification link (backend endpoint that will verify and redirect to frontend)
  */
-export const createUser = async (email, password, fullName = null) => {
-  // Hash password
-  const saltRounds = 10;
-  const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-  // Generate verification token for email verification link
-  const verificationToken = generateVerificationToken();
-  const tokenExpiresAt = new Date();
-  tokenExpiresAt.setMinutes(tokenExpiresAt.getMinutes() + 15); // 15 minutes expiry
-
-  // Build verification link (backend endpoint that will verify and redirect to frontend)
+const buildVerifyLink = (verificationToken) => {
   const appUrl =
     process.env.APP_URL ||
     process.env.BACKEND_URL ||
     `http://localhost:${process.env.PORT || 3001}`;
   const verifyLinkBase = appUrl.replace(/\/+$/, '');
-  const verifyLink = `${verifyLinkBase}/api/auth/verify-email-link?token=${verificationToken}`;
+  return `${verifyLinkBase}/api/auth/verify-email-link?token=${verificationToken}`;
+};
+
+/**
+ * Throw the error matching a verifyUserCode outcome other than 'valid'
+ * @param {Object} messages - { missing, invalid, expired } for this kind of code
+ */
+const assertCodeValid = (outcome, messages) => {
+  if (outcome === 'valid') return;
+  if (outcome === 'too_many_attempts') {
+    throw new Error(`${messages.invalid} entered too many times. Please request a new one.`);
+  }
+  throw new Error(messages[outcome]);
+};
+
+/**
+ * Create a new user
+ */
+export const createUser = async (email, password, fullName = null) => {
+  // Hash password
+  const saltRounds = 10;
+  const hashedPassword = await bcrypt.hash(password, saltRounds);
 
   const client = await getClient();
   let user;
+  let verificationToken;
 
   try {
     await client.query('BEGIN');
 
     // Insert user (email not verified initially)
     const userResult = await client.query(
-      `INSERT INTO users (email, password_hash, full_name, is_active, email_verified, verification_code, verification_code_expires_at)
-       VALUES ($1, $2, $3, true, false, $4, $5)
+      `INSERT INTO users (email, password_hash, full_name, is_active, email_verified)
+       VALUES ($1, $2, $3, true, false)
        RETURNING id, email, full_name, avatar_url, phone, email_verified, created_at`,
-      [email.toLowerCase().trim(), hashedPassword, fullName, verificationToken, tokenExpiresAt]
+      [email.toLowerCase().trim(), hashedPassword, fullName]
     );
 
     user = userResult.rows[0];
 
+    // Token for the email verification link (15 minutes expiry)
+    ({ token: verificationToken } = await issueUserToken(user.id, 'email_verification', {
+      ttlMinutes: CODE_TTL_MINUTES,
+      db: client,
+    }));
+
     // Create default user role
     await client.query(
       `INSERT INTO user_roles (user_id, role)
@@ -66,7 +97,7 @@ export const createUser = async (email, password, fullName = null) => {
 
   // Send verification email after commit so registration does not hold a DB transaction
   try {
-    await sendVerificationCode(user.email, verifyLink, user.full_name);
+    await sendVerificationCode(user.email, buildVerifyLink(verificationToken), user.full_name);
   } catch (error) {
     console.error('Failed to send verification email:', error);
     // Don't fail registration if email fails, but log it
@@ -85,18 +116,28 @@ export const createUser = async (email, password, fullName = null) => {
 };
 
 /**
- * Authenticate user and return tokens
+ * Authenticate user and return tokens for a new session, or a login challenge
+ * (see completeTwoFactorLogin) when two-factor authentication is on
+ * A guest cart token, when given, is merged into the user's cart
  */
-export const authenticateUser = async (email, password) => {
+export const authenticateUser = async (
+  email,
+  password,
+  { guestCartToken = null, userAgent = null, ipAddress = null } = {}
+) => {
+  const normalizedEmail = email.toLowerCase().trim();
+
   // Get user with password hash
   const result = await query(
-    `SELECT id, email, password_hash, full_name, avatar_url, phone, is_active, email_verified, created_at
+    `SELECT id, email, password_hash, full_name, avatar_url, phone, is_active, email_verified, totp_enabled,
+            failed_login_count, last_failed_login_at, locked_until, created_at
      FROM users
      WHERE email = $1`,
-    [email.toLowerCase().trim()]
+    [normalizedEmail]
   );
 
   if (result.rows.length === 0) {
+    await recordFailedLogin(null, { email: normalizedEmail, ipAddress, userAgent });
     throw new Error('Invalid email or password');
   }
 
@@ -110,24 +151,153 @@ export const authenticateUser = async (email, password) => {
     throw new Error('Please verify your email before logging in.');
   }
 
-  // Verify password
-  const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+  // Locked or throttled accounts are refused before the password is even checked
+  await assertLoginAllowed(user, { ipAddress, userAgent });
+
+  // Verify password (accounts created through a login provider may not have one)
+  const isPasswordValid = user.password_hash ? await bcrypt.compare(password, user.password_hash) : false;
   if (!isPasswordValid) {
+    await recordFailedLogin(user, { email: normalizedEmail, ipAddress, userAgent });
     throw new Error('Invalid email or password');
   }
 
-  // Generate tokens
-  const accessToken = generateAccessToken({ userId: user.id });
-  const refreshToken = generateRefreshToken({ userId: user.id });
+  return finishLogin(user, { guestCartToken, userAgent, ipAddress });
+};
 
-  // Store refresh token
-  await query(
-    `INSERT INTO refresh_tokens (user_id, token, expires_at)
-     VALUES ($1, $2, NOW() + INTERVAL '7 days')
-     ON CONFLICT (user_id) DO UPDATE SET token = $2, expires_at = NOW() + INTERVAL '7 days'`,
-    [user.id, refreshToken]
+/**
+ * Log in with an OpenID Connect provider at its redirect URI. Like authenticateUser,
+ * returns tokens for a new session or a login challenge.
+ */
+export const authenticateWithOidc = async (
+  providerName,
+  { code, state, browserStateHash = null, guestCartToken = null, userAgent = null, ipAddress = null }
+) => {
+  const identity = await completeAuthorization(providerName, { code, state, browserStateHash });
+  const user = await findOrCreateIdentityUser(identity);
+
+  if (!user.is_active) {
+    throw new Error('Account is inactive. Please contact support.');
+  }
+
+  return finishLogin(user, { guestCartToken, userAgent, ipAddress });
+};
+
+/**
+ * Second login step: exchange a login challenge and a TOTP or recovery code for tokens
+ */
+export const completeTwoFactorLogin = async (
+  challengeToken,
+  { code = null, recoveryCode = null, guestCartToken = null, userAgent = null, ipAddress = null } = {}
+) => {
+  const { userId } = await verifyLoginChallenge(challengeToken, { code, recoveryCode, userAgent, ipAddress });
+
+  const result = await query(
+    `SELECT id, email, full_name, avatar_url, phone, is_active, email_verified, created_at
+     FROM users
+     WHERE id = $1`,
+    [userId]
+  );
+
+  const user = result.rows[0];
+  if (!user || !user.is_active) {
+    throw new Error('Account is inactive. Please contact support.');
+  }
+
+  return startUserSession(user, { guestCartToken, userAgent, ipAddress });
+};
+
+/**
+ * Email a passwordless sign-in link. Unknown, inactive or unverified emails get nothing,
+ * without telling the caller.
+ */
+export const requestMagicLink = async (email, { ipAddress = null } = {}) => {
+  const result = await query(
+    `SELECT id, email, full_name
+     FROM users
+     WHERE email = $1 AND is_active = true AND email_verified = true`,
+    [email.toLowerCase().trim()]
+  );
+
+  if (result.rows.length === 0) {
+    return { success: true };
+  }
+
+  const user = result.rows[0];
+  const { token } = await issueUserToken(user.id, 'magic_link', { ttlMinutes: MAGIC_LINK_TTL_MINUTES, ipAddress });
+
+  // The link opens the frontend, which posts the token to /magic-link/verify; a GET
+  // callback would be spent by mail scanners that prefetch links
+  const frontendUrl = (process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:8080').replace(/\/+$/, '');
+  const link = `${frontendUrl}/auth/magic-link?token=${token}`;
+
+  try {
+    await sendMagicLink(user.email, link, user.full_name, MAGIC_LINK_TTL_MINUTES);
+  } catch (error) {
+    console.error('Failed to send magic link email:', error);
+    throw new Error('Failed to send sign-in link. Please try again later.');
+  }
+
+  return { success: true };
+};
+
+/**
+ * Exchange a magic link token for tokens, like authenticateUser
+ */
+export const authenticateWithMagicLink = async (
+  token,
+  { guestCartToken = null, userAgent = null, ipAddress = null } = {}
+) => {
+  const userId = await consumeUserToken(token, 'magic_link');
+  if (!userId) {
+    throw new Error('Invalid or expired sign-in link');
+  }
+
+  const result = await query(
+    `SELECT id, email, full_name, avatar_url, phone, is_active, email_verified, totp_enabled, created_at
+     FROM users
+     WHERE id = $1`,
+    [userId]
   );
 
+  const user = result.rows[0];
+  if (!user || !user.is_active) {
+    throw new Error('Account is inactive. Please contact support.');
+  }
+
+  return finishLogin(user, { guestCartToken, userAgent, ipAddress });
+};
+
+/**
+ * Finish a login whose first factor passed: with two-factor authentication on, that
+ * only unlocks the second step
+ */
+const finishLogin = async (user, { guestCartToken, userAgent, ipAddress }) => {
+  if (user.totp_enabled) {
+    const { challengeToken, expiresAt } = await createLoginChallenge(user.id, { userAgent, ipAddress });
+    return { twoFactorRequired: true, challengeToken, challengeExpiresAt: expiresAt };
+  }
+
+  return startUserSession(user, { guestCartToken, userAgent, ipAddress });
+};
+
+/**
+ * Start a session for a user who passed every login step
+ */
+const startUserSession = async (user, { guestCartToken, userAgent, ipAddress }) => {
+  // Start a new session; sessions on the user's other devices stay signed in
+  const { sessionId, accessToken, refreshToken } = await createSession(user.id, { userAgent, ipAddress });
+  await recordSuccessfulLogin(user, { ipAddress, userAgent });
+
+  // Carry over what was picked before logging in; a failed merge must not block login
+  let cartMerge = null;
+  if (guestCartToken) {
+    try {
+      cartMerge = await mergeGuestCart(user.id, guestCartToken);
+    } catch (error) {
+      console.error('Failed to merge guest cart:', error);
+    }
+  }
+
   return {
     user: {
       id: user.id,
@@ -137,8 +307,10 @@ export const authenticateUser = async (email, password) => {
       phone: user.phone,
       email_verified: user.email_verified,
     },
+    sessionId,
     accessToken,
     refreshToken,
+    cartMerge,
   };
 };
 
@@ -256,7 +428,7 @@ export const emailExists = async (email) => {
  */
 export const verifyEmail = async (email, code) => {
   const result = await query(
-    `SELECT id, verification_code, verification_code_expires_at, email_verified
+    `SELECT id, email_verified
      FROM users
      WHERE email = $1`,
     [email.toLowerCase().trim()]
@@ -272,23 +444,17 @@ export const verifyEmail = async (email, code) => {
     throw new Error('Email is already verified');
   }
 
-  if (!user.verification_code) {
-    throw new Error('No verification code found. Please request a new one.');
-  }
-
-  if (user.verification_code !== code) {
-    throw new Error('Invalid verification code');
-  }
-
-  const expiresAt = new Date(user.verification_code_expires_at);
-  if (expiresAt < new Date()) {
-    throw new Error('Verification code has expired. Please request a new one.');
-  }
+  const outcome = await verifyUserCode(user.id, 'email_verification', code);
+  assertCodeValid(outcome, {
+    missing: 'No verification code found. Please request a new one.',
+    invalid: 'Invalid verification code',
+    expired: 'Verification code has expired. Please request a new one.',
+  });
 
-  // Mark email as verified and clear verification code
+  // Mark email as verified
   await query(
     `UPDATE users
-     SET email_verified = true, verification_code = NULL, verification_code_expires_at = NULL, updated_at = NOW()
+     SET email_verified = true, updated_at = NOW()
      WHERE id = $1`,
     [user.id]
   );
@@ -300,38 +466,19 @@ export const verifyEmail = async (email, code) => {
  * Verify email using verification token from link
  */
 export const verifyEmailByToken = async (token) => {
-  const result = await query(
-    `SELECT id, email, verification_code, verification_code_expires_at, email_verified
-     FROM users
-     WHERE verification_code = $1`,
-    [token]
-  );
+  // Spends the token; unknown, used and expired tokens all look the same
+  const userId = await consumeUserToken(token, 'email_verification');
 
-  if (result.rows.length === 0) {
+  if (!userId) {
     throw new Error('Invalid or expired verification link');
   }
 
-  const user = result.rows[0];
-
-  if (user.email_verified) {
-    // Already verified - no error, just return
-    return { success: true };
-  }
-
-  if (!user.verification_code) {
-    throw new Error('No verification token found. Please request a new verification email.');
-  }
-
-  const expiresAt = new Date(user.verification_code_expires_at);
-  if (expiresAt < new Date()) {
-    throw new Error('Verification link has expired. Please request a new verification email.');
-  }
-
+  // Already verified users are left as they are
   await query(
     `UPDATE users
-     SET email_verified = true, verification_code = NULL, verification_code_expires_at = NULL, updated_at = NOW()
-     WHERE id = $1`,
-    [user.id]
+     SET email_verified = true, updated_at = NOW()
+     WHERE id = $1 AND email_verified = false`,
+    [userId]
   );
 
   return { success: true };
@@ -358,28 +505,13 @@ export const resendVerificationCode = async (email) => {
     throw new Error('Email is already verified');
   }
 
-  // Generate new verification token
-  const verificationToken = generateVerificationToken();
-  const tokenExpiresAt = new Date();
-  tokenExpiresAt.setMinutes(tokenExpiresAt.getMinutes() + 15); // 15 minutes expiry
-
-  // Update user with new code
-  await query(
-    `UPDATE users
-     SET verification_code = $1, verification_code_expires_at = $2, updated_at = NOW()
-     WHERE id = $3`,
-    [verificationToken, tokenExpiresAt, user.id]
-  );
+  // Generate new verification token (15 minutes expiry); earlier ones stop working
+  const { token: verificationToken } = await issueUserToken(user.id, 'email_verification', {
+    ttlMinutes: CODE_TTL_MINUTES,
+  });
 
   // Send verification email
-  const appUrl =
-    process.env.APP_URL ||
-    process.env.BACKEND_URL ||
-    `http://localhost:${process.env.PORT || 3001}`;
-  const verifyLinkBase = appUrl.replace(/\/+$/, '');
-  const verifyLink = `${verifyLinkBase}/api/auth/verify-email-link?token=${verificationToken}`;
-
-  await sendVerificationCode(user.email, verifyLink, user.full_name);
+  await sendVerificationCode(user.email, buildVerifyLink(verificationToken), user.full_name);
 
   return { success: true };
 };
@@ -402,18 +534,11 @@ export const requestPasswordReset = async (email) => {
 
   const user = result.rows[0];
 
-  // Generate password reset code
-  const resetCode = generateVerificationCode();
-  const codeExpiresAt = new Date();
-  codeExpiresAt.setMinutes(codeExpiresAt.getMinutes() + 15); // 15 minutes expiry
-
-  // Update user with reset code
-  await query(
-    `UPDATE users
-     SET password_reset_code = $1, password_reset_code_expires_at = $2, updated_at = NOW()
-     WHERE id = $3`,
-    [resetCode, codeExpiresAt, user.id]
-  );
+  // Generate password reset code (15 minutes expiry); earlier ones stop working
+  const { token: resetCode } = await issueUserToken(user.id, 'password_reset', {
+    ttlMinutes: CODE_TTL_MINUTES,
+    token: generateVerificationCode(),
+  });
 
   // Send password reset email
   try {
@@ -431,7 +556,7 @@ export const requestPasswordReset = async (email) => {
  */
 export const resetPasswordWithCode = async (email, code, newPassword) => {
   const result = await query(
-    `SELECT id, password_reset_code, password_reset_code_expires_at
+    `SELECT id
      FROM users
      WHERE email = $1 AND is_active = true`,
     [email.toLowerCase().trim()]
@@ -443,30 +568,29 @@ export const resetPasswordWithCode = async (email, code, newPassword) => {
 
   const user = result.rows[0];
 
-  if (!user.password_reset_code) {
-    throw new Error('No password reset code found. Please request a new one.');
-  }
-
-  if (user.password_reset_code !== code) {
-    throw new Error('Invalid password reset code');
-  }
-
-  const expiresAt = new Date(user.password_reset_code_expires_at);
-  if (expiresAt < new Date()) {
-    throw new Error('Password reset code has expired. Please request a new one.');
-  }
+  const outcome = await verifyUserCode(user.id, 'password_reset', code);
+  assertCodeValid(outcome, {
+    missing: 'No password reset code found. Please request a new one.',
+    invalid: 'Invalid password reset code',
+    expired: 'Password reset code has expired. Please request a new one.',
+  });
 
   // Hash new password
   const saltRounds = 10;
   const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
 
-  // Update password and clear reset code
+  // Update password (the reset code was spent when it was checked). Resetting is how a
+  // locked-out user gets back in, so it also clears the lockout.
   await query(
     `UPDATE users
-     SET password_hash = $1, password_reset_code = NULL, password_reset_code_expires_at = NULL, updated_at = NOW()
+     SET password_hash = $1,
+         failed_login_count = 0,
+         last_failed_login_at = NULL,
+         locked_until = NULL,
+         updated_at = NOW()
      WHERE id = $2`,
     [hashedPassword, user.id]
   );
 
-  return { success: true };
+  return { success: true, userId: user.id };
 };
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+import { generateVerificationToken } from './emailService.js';
+
+// Keyed so that short codes (6 digits) cannot be brute-forced from a database read. A key
+// made up at startup (development only) makes codes issued before a restart unusable.
+const TOKEN_HASH_SECRET = process.env.TOKEN_HASH_SECRET || process.env.JWT_SECRET;
+if (!TOKEN_HASH_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('TOKEN_HASH_SECRET or JWT_SECRET must be set in production');
+}
+if (!TOKEN_HASH_SECRET) {
+  console.warn('⚠️  TOKEN_HASH_SECRET and JWT_SECRET are not set; emailed codes will not survive a restart');
+}
+const tokenHashKey = TOKEN_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Wrong guesses after which a code is spent
+const MAX_CODE_ATTEMPTS = parseInt(process.env.USER_CODE_MAX_ATTEMPTS || '5');
+
+const hashToken = (token) => crypto.createHmac('sha256', tokenHashKey).update(String(token)).digest('hex');
+
+/**
+ * Issue a single-use token for a user, spending their unused tokens of the same purpose
+ * @param {Object} options - ttlMinutes; token to store instead of a random link token
+ *                           (e.g. a 6-digit code); ipAddress; db handle
+ * @returns {Object} { token, expiresAt } - the plaintext token is never stored
+ */
+export const issueUserToken = async (
+  userId,
+  purpose,
+  { ttlMinutes, token = generateVerificationToken(), ipAddress = null, db = { query } }
+) => {
+  await db.query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+  const result = await db.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at, ip_address)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4), $5)
+     RETURNING expires_at`,
+    [userId, purpose, hashToken(token), ttlMinutes, ipAddress]
+  );
+
+  return { token, expiresAt: result.rows[0].expires_at };
+};
+
+/**
+ * Spend a link token; returns its user id, or null when it is unknown, used or expired
+ */
+export const consumeUserToken = async (token, purpose) => {
+  // The update only matches a live token, so concurrent uses cannot both succeed
+  const result = await query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0]?.user_id || null;
+};
+
+/**
+ * Check a code typed in by a user against their live token of a purpose, spending it
+ * on success. Each guess claims an attempt before the code is compared, so concurrent
+ * guesses cannot get past the limit; the code is spent once the limit is reached.
+ * @returns {string} 'valid', 'invalid', 'too_many_attempts', 'expired' or 'missing'
+ */
+export const verifyUserCode = async (userId, purpose, code) => {
+  const result = await query(
+    `SELECT id, expires_at
+     FROM user_tokens
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [userId, purpose]
+  );
+
+  const userToken = result.rows[0];
+  if (!userToken) return 'missing';
+  if (new Date(userToken.expires_at) < new Date()) return 'expired';
+
+  const attemptResult = await query(
+    `UPDATE user_tokens
+     SET attempts = attempts + 1
+     WHERE id = $1 AND used_at IS NULL AND attempts < $2
+     RETURNING token_hash, attempts`,
+    [userToken.id, MAX_CODE_ATTEMPTS]
+  );
+  // Spent or out of attempts since it was read, by a concurrent request
+  if (attemptResult.rows.length === 0) return 'missing';
+
+  const { token_hash: tokenHash, attempts } = attemptResult.rows[0];
+  const matches = crypto.timingSafeEqual(Buffer.from(hashToken(code), 'hex'), Buffer.from(tokenHash, 'hex'));
+
+  if (matches) {
+    // Only one concurrent request can spend the code
+    const spent = await query(
+      `UPDATE user_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL RETURNING id`,
+      [userToken.id]
+    );
+    return spent.rows.length > 0 ? 'valid' : 'missing';
+  }
+
+  if (attempts < MAX_CODE_ATTEMPTS) return 'invalid';
+
+  await query(`UPDATE user_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL`, [userToken.id]);
+  return 'too_many_attempts';
+};
+
+export default {
+  issueUserToken,
+  consumeUserToken,
+  verifyUserCode,
+};
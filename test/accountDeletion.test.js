@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { anonymizeUserOrders } from '../src/services/accountService.js';
+import { cancelOrder } from '../src/services/orderService.js';
+
+// A stand-in for a transaction client holding one order and its status history
+const orderDb = (order) => {
+  const history = [];
+
+  return {
+    order,
+    history,
+    query: async (sql, params = []) => {
+      if (sql.includes('FROM orders') && sql.includes('FOR UPDATE')) {
+        return { rows: [order] };
+      }
+      if (sql.includes("SET status = 'cancelled'")) {
+        Object.assign(order, { status: 'cancelled', cancellation_reason: params[1] });
+        return { rows: [order] };
+      }
+      if (sql.includes('INSERT INTO order_status_history')) {
+        history.push({ order_id: params[0], from_status: params[1], to_status: params[2], note: params[4] });
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE orders') && sql.includes('anonymized_at')) {
+        if (params[0] !== order.user_id) return { rows: [] };
+        Object.assign(order, { cancellation_reason: null, anonymized_at: new Date() });
+        return { rows: [{ id: order.id }] };
+      }
+      if (sql.includes('UPDATE order_status_history')) {
+        for (const entry of history) {
+          if (params[0] === order.user_id && entry.order_id === order.id) entry.note = null;
+        }
+        return { rows: [] };
+      }
+      // Order items to restock and coupon redemptions to release: none
+      return { rows: [] };
+    },
+  };
+};
+
+test('deleting an account clears the cancellation reason copied into the status history', async () => {
+  const db = orderDb({ id: 'order-1', user_id: 'user-1', status: 'pending' });
+
+  await cancelOrder(db, {
+    orderId: 'order-1',
+    userId: 'user-1',
+    cancelledBy: 'user-1',
+    reason: 'Moving to 12 Elm Street, call me on 555-0100',
+  });
+  assert.equal(db.history[0].note, 'Moving to 12 Elm Street, call me on 555-0100');
+
+  const anonymized = await anonymizeUserOrders(db, 'user-1');
+
+  assert.equal(anonymized, 1);
+  assert.equal(db.order.cancellation_reason, null);
+  assert.deepEqual(db.history.map((entry) => entry.note), [null]);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvCell, diffChanges } from '../src/services/auditService.js';
+
+test('only changed fields are recorded, without updated_at', () => {
+  const before = { id: 'p1', name: 'Runner', price: '99.00', updated_at: '2026-01-01T00:00:00Z' };
+  const after = { id: 'p1', name: 'Runner', price: '89.00', updated_at: '2026-01-02T00:00:00Z' };
+
+  assert.deepEqual(diffChanges(before, after), { before: { price: '99.00' }, after: { price: '89.00' } });
+});
+
+test('fields are compared by value, and missing ones are recorded as null', () => {
+  const before = { sizes: ['40', '41'], created_at: new Date('2026-01-01T00:00:00Z'), color: 'red' };
+  const after = { sizes: ['40', '41'], created_at: new Date('2026-01-01T00:00:00Z'), featured: true };
+
+  assert.deepEqual(diffChanges(before, after), {
+    before: { color: 'red', featured: null },
+    after: { color: null, featured: true },
+  });
+});
+
+test('created and deleted entities are recorded whole', () => {
+  const row = { id: 'c1', code: 'SPRING10' };
+
+  assert.deepEqual(diffChanges(null, row), { before: null, after: row });
+  assert.deepEqual(diffChanges(row, null), { before: row, after: null });
+  assert.equal(diffChanges(null, null), null);
+});
+
+test('secrets are redacted, also when they change', () => {
+  const before = { id: 'u1', email: 'a@example.com', password_hash: '$2a$10$old', totp_secret: null };
+  const after = { id: 'u1', email: 'b@example.com', password_hash: '$2a$10$new', totp_secret: 'JBSWY3DP' };
+
+  assert.deepEqual(diffChanges(before, after), {
+    before: { email: 'a@example.com', password_hash: '[redacted]', totp_secret: '[redacted]' },
+    after: { email: 'b@example.com', password_hash: '[redacted]', totp_secret: '[redacted]' },
+  });
+  assert.deepEqual(diffChanges(null, { id: 't1', token_hash: 'abc', code_hash: 'def' }), {
+    before: null,
+    after: { id: 't1', token_hash: '[redacted]', code_hash: '[redacted]' },
+  });
+});
+
+test('CSV cells that a spreadsheet would evaluate are defused', () => {
+  assert.equal(csvCell('=HYPERLINK("http://evil.example")'), `"'=HYPERLINK(""http://evil.example"")"`);
+  assert.equal(csvCell('+1+1'), "'+1+1");
+  assert.equal(csvCell('-2'), "'-2");
+  assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvCell('\tcmd'), "'\tcmd");
+});
+
+test('CSV cells are quoted when needed and format dates and objects', () => {
+  assert.equal(csvCell('product.update'), 'product.update');
+  assert.equal(csvCell('a,b'), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell('line\nbreak'), '"line\nbreak"');
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(undefined), '');
+  assert.equal(csvCell(new Date('2026-01-01T00:00:00Z')), '2026-01-01T00:00:00.000Z');
+  assert.equal(csvCell({ price: 1 }), '"{""price"":1}"');
+});
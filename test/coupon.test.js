@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyCoupon, buyXGetYDiscounts, prorateDiscounts } from '../src/services/couponService.js';
+
+const line = (productId, unitPriceCents, quantity = 1) => ({
+  productId,
+  category: 'sneakers',
+  quantity,
+  unitPriceCents,
+  lineTotalCents: unitPriceCents * quantity,
+});
+
+const coupon = (overrides) => ({
+  id: 'coupon-1',
+  code: 'SAVE',
+  is_active: true,
+  starts_at: null,
+  ends_at: null,
+  usage_limit: null,
+  usage_limit_per_user: null,
+  times_used: 0,
+  product_ids: [],
+  categories: [],
+  min_order_value: null,
+  min_order_cents: null,
+  buy_quantity: null,
+  get_quantity: null,
+  ...overrides,
+});
+
+// A stand-in for the transaction client that only answers the coupon lookup
+const couponDb = (row) => ({ query: async () => ({ rows: [row] }) });
+
+test('a prorated discount puts the rounding remainder on the last eligible line', () => {
+  const lines = [line('a', 1000), line('b', 1000), line('c', 1000)];
+
+  assert.deepEqual(prorateDiscounts(100, lines, [true, true, true]), [33, 33, 34]);
+  assert.deepEqual(prorateDiscounts(100, lines, [true, true, false]), [50, 50, 0]);
+  assert.deepEqual(prorateDiscounts(101, lines, [false, true, true]), [0, 51, 50]);
+});
+
+test('a prorated discount follows the line totals', () => {
+  const lines = [line('a', 3000), line('b', 1000, 2), line('c', 999)];
+  const discounts = prorateDiscounts(1000, lines, [true, true, true]);
+
+  assert.deepEqual(discounts, [500, 333, 167]);
+  assert.equal(discounts.reduce((sum, cents) => sum + cents, 0), 1000);
+});
+
+test('buy X get Y makes the cheapest unit of each full group free', () => {
+  const buy2get1 = coupon({ type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1 });
+  const lines = [line('a', 5000), line('b', 3000, 2), line('c', 2000, 3)];
+
+  // Units by price: 5000 3000 3000 | 2000 2000 2000; one unit free in each group of three
+  assert.deepEqual(buyXGetYDiscounts(buy2get1, lines, [true, true, true]), [0, 3000, 2000]);
+});
+
+test('buy X get Y ignores incomplete groups and ineligible lines', () => {
+  const buy2get1 = coupon({ type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1 });
+  const lines = [line('a', 5000, 2), line('b', 1000, 3)];
+
+  assert.deepEqual(buyXGetYDiscounts(buy2get1, lines, [true, false]), [0, 0]);
+  // Units by price: 5000 5000 1000 | 1000 1000; the second group is one short
+  assert.deepEqual(buyXGetYDiscounts(buy2get1, lines, [true, true]), [0, 1000]);
+});
+
+test('a percentage discount adds up to the percentage of the eligible total', async () => {
+  // 10% of each 1.05 line is 0.105; rounding every line would give 0.33 instead of 0.32
+  const lines = [line('a', 105), line('b', 105), line('c', 105)];
+  const result = await applyCoupon(couponDb(coupon({ type: 'percentage', value: '10' })), {
+    code: 'SAVE',
+    userId: 'user-1',
+    lines,
+    subtotalCents: 315,
+  });
+
+  assert.equal(result.discountCents, 32);
+  assert.deepEqual(result.lineDiscounts, [11, 11, 10]);
+});
+
+test('a 100% coupon discounts every eligible line in full', async () => {
+  const lines = [line('a', 1999), line('b', 2501, 3)];
+  const result = await applyCoupon(couponDb(coupon({ type: 'percentage', value: '100' })), {
+    code: 'SAVE',
+    userId: 'user-1',
+    lines,
+    subtotalCents: 9502,
+  });
+
+  assert.deepEqual(result.lineDiscounts, [1999, 7503]);
+});
+
+test('the minimum order value is checked against the subtotal before the discount', async () => {
+  const minimum = coupon({ type: 'percentage', value: '50', min_order_value: '100.00', min_order_cents: 10000 });
+  const lines = [line('a', 10000)];
+
+  // 100.00 before the discount qualifies, although only 50.00 is paid
+  const result = await applyCoupon(couponDb(minimum), { code: 'SAVE', userId: 'user-1', lines, subtotalCents: 10000 });
+  assert.equal(result.discountCents, 5000);
+
+  await assert.rejects(
+    applyCoupon(couponDb(minimum), { code: 'SAVE', userId: 'user-1', lines: [line('a', 9999)], subtotalCents: 9999 }),
+    /minimum order of 100.00/
+  );
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { delaySeconds, getLoginBlock } from '../src/services/loginProtectionService.js';
+
+// With the defaults: a delay from the 3rd consecutive failure, capped at 60 seconds
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const secondsAgo = (seconds) => new Date(NOW - seconds * 1000).toISOString();
+
+test('the first failures are not delayed', () => {
+  assert.equal(delaySeconds(0), 0);
+  assert.equal(delaySeconds(1), 0);
+  assert.equal(delaySeconds(2), 0);
+});
+
+test('the delay doubles from the third failure and is capped at a minute', () => {
+  assert.equal(delaySeconds(3), 2);
+  assert.equal(delaySeconds(4), 4);
+  assert.equal(delaySeconds(5), 8);
+  assert.equal(delaySeconds(7), 32);
+  assert.equal(delaySeconds(8), 60);
+  assert.equal(delaySeconds(50), 60);
+});
+
+test('an account without failures may log in', () => {
+  assert.equal(getLoginBlock({ failed_login_count: 0, last_failed_login_at: null, locked_until: null }, NOW), null);
+});
+
+test('an account waits out the delay of its failure count', () => {
+  const user = { failed_login_count: 5, last_failed_login_at: secondsAgo(3), locked_until: null };
+
+  assert.deepEqual(getLoginBlock(user, NOW), { reason: 'throttled', retryAfterSeconds: 5 });
+  assert.equal(getLoginBlock({ ...user, last_failed_login_at: secondsAgo(8) }, NOW), null);
+  assert.equal(getLoginBlock({ ...user, failed_login_count: 2 }, NOW), null);
+});
+
+test('a locked account is refused until the lock expires', () => {
+  const lockedUntil = new Date(NOW + 60 * 1000).toISOString();
+  const user = { failed_login_count: 10, last_failed_login_at: secondsAgo(600), locked_until: lockedUntil };
+
+  assert.deepEqual(getLoginBlock(user, NOW), { reason: 'locked', lockedUntil });
+  assert.equal(getLoginBlock({ ...user, locked_until: secondsAgo(1) }, NOW), null);
+});
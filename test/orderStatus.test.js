@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS, canTransition } from '../src/services/orderService.js';
+
+test('orders move forward through fulfillment one step at a time', () => {
+  assert.equal(canTransition('pending', 'processing'), true);
+  assert.equal(canTransition('processing', 'shipped'), true);
+  assert.equal(canTransition('shipped', 'completed'), true);
+
+  assert.equal(canTransition('pending', 'shipped'), false);
+  assert.equal(canTransition('processing', 'completed'), false);
+  assert.equal(canTransition('shipped', 'processing'), false);
+});
+
+test('orders can be cancelled until they ship', () => {
+  assert.equal(canTransition('pending', 'cancelled'), true);
+  assert.equal(canTransition('processing', 'cancelled'), true);
+  assert.equal(canTransition('shipped', 'cancelled'), false);
+  assert.equal(canTransition('completed', 'cancelled'), false);
+});
+
+test('completed and cancelled orders are final', () => {
+  for (const status of ORDER_STATUSES) {
+    assert.equal(canTransition('completed', status), false);
+    assert.equal(canTransition('cancelled', status), false);
+  }
+});
+
+test('unknown statuses allow no transition', () => {
+  assert.equal(canTransition('lost', 'pending'), false);
+  assert.equal(canTransition('pending', 'lost'), false);
+  assert.equal(canTransition('pending', 'pending'), false);
+});
+
+test('every status has transitions, and they only lead to known statuses', () => {
+  assert.deepEqual(Object.keys(ORDER_STATUS_TRANSITIONS).sort(), [...ORDER_STATUSES].sort());
+  for (const next of Object.values(ORDER_STATUS_TRANSITIONS)) {
+    for (const status of next) {
+      assert.ok(ORDER_STATUSES.includes(status));
+    }
+  }
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPassword, passwordPolicyError } from '../src/middleware/passwordPolicy.js';
+
+// The default policy: 8 to 72 characters with a lowercase letter, an uppercase letter and
+// a digit, no personal information and nothing from the bundled blocklist
+const codes = (password, context) => checkPassword(password, context).map((failure) => failure.code);
+
+test('a password meeting every requirement passes', () => {
+  assert.deepEqual(checkPassword('Trail-Runner-42'), []);
+  assert.equal(passwordPolicyError('Trail-Runner-42'), null);
+});
+
+test('a missing password is reported on its own', () => {
+  assert.deepEqual(codes(''), ['required']);
+  assert.deepEqual(codes(undefined), ['required']);
+});
+
+test('length limits are enforced, the upper one in bytes as bcrypt counts them', () => {
+  assert.deepEqual(codes('Ab1cdef'), ['too_short']);
+  assert.deepEqual(codes(`Ab1${'x'.repeat(69)}`), []);
+  assert.deepEqual(codes(`Ab1${'x'.repeat(70)}`), ['too_long']);
+  // Only 38 characters, but 4 + 34 two-byte characters make 72 bytes; one more goes over
+  assert.deepEqual(codes(`Ab12${'é'.repeat(34)}`), []);
+  assert.deepEqual(codes(`Ab12${'é'.repeat(34)}x`), ['too_long']);
+});
+
+test('every missing character class is reported', () => {
+  assert.deepEqual(codes('ALLUPPER99'), ['missing_lowercase']);
+  assert.deepEqual(codes('alllower99'), ['missing_uppercase']);
+  assert.deepEqual(codes('NoDigitsHere'), ['missing_digit']);
+  assert.deepEqual(codes('nothing to see'), ['missing_uppercase', 'missing_digit']);
+});
+
+test('passwords containing the name or email are rejected', () => {
+  const context = { email: 'jane.runner@example.com', fullName: 'Jane Doe' };
+
+  assert.deepEqual(codes('RunnerJump77', context), ['contains_personal_info']);
+  assert.deepEqual(codes('MyNameIsJane1', context), ['contains_personal_info']);
+  // Words shorter than three letters do not count
+  assert.deepEqual(codes('Do-Not-Disturb9', { fullName: 'Al Do' }), []);
+});
+
+test('common passwords are rejected, also with digits and symbols tacked on', () => {
+  assert.ok(codes('Password1').includes('common_password'));
+  assert.ok(codes('Password123!').includes('common_password'));
+  assert.ok(!codes('Passwordless-Shoes7').includes('common_password'));
+});
+
+test('the policy error lists every failure with the requirements', () => {
+  const error = passwordPolicyError('short');
+
+  assert.equal(error.status, 400);
+  assert.equal(error.message, 'Password must be at least 8 characters long');
+  assert.deepEqual(codes('short'), ['too_short', 'missing_uppercase', 'missing_digit']);
+  assert.equal(error.data.passwordPolicy.failures.length, 3);
+  assert.equal(error.data.passwordPolicy.requirements.minLength, 8);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchMatch, searchTerms } from '../src/services/productService.js';
+
+// Collect parameters the way searchProducts does
+const collect = () => {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  return { params, param };
+};
+
+test('a query is split into distinct lowercase words', () => {
+  assert.deepEqual(searchTerms('Trail  RUNNING shoes, trail'), { terms: ['trail', 'running', 'shoes'], excluded: [] });
+  assert.deepEqual(searchTerms('"road runner" a'), { terms: ['road', 'runner'], excluded: [] });
+  assert.deepEqual(searchTerms('-'), { terms: [], excluded: [] });
+});
+
+test('excluded words are kept apart from the words to match', () => {
+  assert.deepEqual(searchTerms('sneakers -white -high-top'), {
+    terms: ['sneakers'],
+    excluded: ['white', 'high', 'top'],
+  });
+  // A hyphen inside a word is not an exclusion
+  assert.deepEqual(searchTerms('slip-on').excluded, []);
+});
+
+test('each word of a multi-word query with a typo is matched on its own', () => {
+  const { params, param } = collect();
+  const { filter, relevance } = buildSearchMatch('runing shoes', param);
+
+  assert.deepEqual(params, ['runing shoes', 'runing', 'shoes']);
+  // "runing" is compared with the words of the name and category, not the whole query
+  assert.match(filter, /\$2 <% search_text/);
+  assert.match(filter, /\$3 <% search_text/);
+  assert.doesNotMatch(filter, /\$1 <% search_text/);
+  // Either the whole query matches in full text, or every word matches
+  assert.match(filter, /^\(search_vector @@ websearch_to_tsquery\('english', \$1\) OR \(.+ AND .+\)\)$/);
+  assert.match(relevance, /\(word_similarity\(\$2, search_text\) \+ word_similarity\(\$3, search_text\)\) \/ 2/);
+});
+
+test('excluded words still exclude in the word-by-word match', () => {
+  const { params, param } = collect();
+  const { filter } = buildSearchMatch('sneakers -white', param);
+
+  assert.deepEqual(params, ['sneakers -white', 'sneakers', 'white']);
+  assert.match(filter, /NOT search_vector @@ plainto_tsquery\('english', \$3\)/);
+});
+
+test('a query without words falls back to full-text search alone', () => {
+  const { params, param } = collect();
+
+  assert.deepEqual(buildSearchMatch('"', param), {
+    filter: "search_vector @@ websearch_to_tsquery('english', $1)",
+    relevance: "ts_rank_cd(search_vector, websearch_to_tsquery('english', $1))",
+  });
+  assert.deepEqual(params, ['"']);
+});
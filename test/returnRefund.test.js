@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateTax } from '../src/services/taxService.js';
+import { returnLineRefundCents } from '../src/services/returnService.js';
+
+// A stand-in for the database that only answers the tax rule lookup
+const rulesDb = (rules) => ({ query: async () => ({ rows: rules }) });
+
+const salesTax = {
+  id: 'rule-1',
+  name: 'Sales tax',
+  country: 'US',
+  state: null,
+  postal_prefix: null,
+  category: null,
+  rate: '10.000',
+  applies_to_shipping: true,
+};
+
+test('returning one line of a 50% coupon order refunds half its price', () => {
+  // Two $50 lines with a 50% coupon: $50 paid in total
+  const line = { price: '50.00', quantity: 1, line_total: '50.00', discount_amount: '25.00', tax_amount: '0.00' };
+
+  assert.equal(returnLineRefundCents(line, 1), 2500);
+});
+
+test('returned lines refund the tax charged on their discounted price', async () => {
+  const tax = await calculateTax(rulesDb([salesTax]), {
+    address: { country: 'US' },
+    lines: [
+      { category: 'sneakers', taxableCents: 2500 },
+      { category: 'sneakers', taxableCents: 2500 },
+    ],
+    shippingCents: 1000,
+  });
+
+  // 10% of $25 per line; the $1 tax on shipping stays with the order
+  assert.deepEqual(tax.lineTaxCents, [250, 250]);
+  assert.equal(tax.taxCents, 600);
+
+  const line = {
+    price: '50.00',
+    quantity: 1,
+    line_total: '50.00',
+    discount_amount: '25.00',
+    tax_amount: (tax.lineTaxCents[0] / 100).toFixed(2),
+  };
+  assert.equal(returnLineRefundCents(line, 1), 2750);
+});
+
+test('partial quantities refund their share of the line', () => {
+  const line = { price: '30.00', quantity: 3, line_total: '90.00', discount_amount: '9.00', tax_amount: '8.10' };
+
+  assert.equal(returnLineRefundCents(line, 1), 2970);
+  assert.equal(returnLineRefundCents(line, 3), 8910);
+});
+
+test('line tax shares add up to the rounded rule tax', async () => {
+  const tax = await calculateTax(rulesDb([{ ...salesTax, rate: '8.875', applies_to_shipping: false }]), {
+    address: { country: 'US' },
+    lines: [
+      { category: 'sneakers', taxableCents: 3333 },
+      { category: 'boots', taxableCents: 3333 },
+      { category: 'sandals', taxableCents: 3334 },
+    ],
+    shippingCents: 0,
+  });
+
+  assert.equal(
+    tax.lineTaxCents.reduce((sum, cents) => sum + cents, 0),
+    tax.taxCents
+  );
+});
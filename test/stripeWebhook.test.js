@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+const { default: stripeProvider } = await import('../src/services/paymentProviders/stripeProvider.js');
+
+const body = Buffer.from(
+  JSON.stringify({
+    type: 'payment_intent.payment_failed',
+    data: { object: { id: 'pi_123', last_payment_error: { message: 'Your card was declined.' } } },
+  })
+);
+
+const sign = (timestamp, secret = 'whsec_test') => {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return { 'stripe-signature': `t=${timestamp},v1=${hmac}` };
+};
+
+test('a correctly signed Stripe webhook is normalized', () => {
+  const event = stripeProvider.verifyWebhook(body, sign(Math.floor(Date.now() / 1000)));
+
+  assert.deepEqual(event, {
+    type: 'payment.failed',
+    providerPaymentId: 'pi_123',
+    failureReason: 'Your card was declined.',
+  });
+});
+
+test('Stripe webhooks with a wrong secret or an old timestamp are rejected', () => {
+  const now = Math.floor(Date.now() / 1000);
+
+  assert.equal(stripeProvider.verifyWebhook(body, sign(now, 'whsec_other')), null);
+  assert.equal(stripeProvider.verifyWebhook(body, sign(now - 600)), null);
+  assert.equal(stripeProvider.verifyWebhook(body, {}), null);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { base32Decode, base32Encode, generateTotp, matchTotpStep } from '../src/services/twoFactorService.js';
+
+// The RFC 6238 test secret, "12345678901234567890", base32 encoded
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('base32 matches RFC 4648 and round-trips', () => {
+  assert.equal(base32Encode(Buffer.from('12345678901234567890')), SECRET);
+  assert.equal(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  assert.equal(base32Decode('MZXW6YTBOI======').toString(), 'foobar');
+  assert.equal(base32Decode('mzxw6ytboi').toString(), 'foobar');
+
+  const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255, 128]);
+  assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+});
+
+test('base32 rejects characters outside the alphabet', () => {
+  assert.throws(() => base32Decode('MZXW1YTB'), /Invalid base32 character/);
+});
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+  // 94287082 at 59s and 07081804 at 1111111109s, truncated to six digits
+  assert.equal(generateTotp(SECRET, 1), '287082');
+  assert.equal(generateTotp(SECRET, 37037036), '081804');
+});
+
+test('a code matches its own time step and the ones next to it', (t) => {
+  const step = 37037036;
+  t.mock.method(Date, 'now', () => step * 30 * 1000 + 5000);
+
+  assert.equal(matchTotpStep(SECRET, generateTotp(SECRET, step)), step);
+  assert.equal(matchTotpStep(SECRET, generateTotp(SECRET, step - 1)), step - 1);
+  assert.equal(matchTotpStep(SECRET, generateTotp(SECRET, step + 1)), step + 1);
+  assert.equal(matchTotpStep(SECRET, generateTotp(SECRET, step - 2)), null);
+  assert.equal(matchTotpStep(SECRET, ` ${generateTotp(SECRET, step).replace(/(\d{3})/, '$1 ')}`), step);
+});
+
+test('a code is not accepted again once its time step was used', (t) => {
+  const step = 37037036;
+  t.mock.method(Date, 'now', () => step * 30 * 1000);
+  const code = generateTotp(SECRET, step);
+
+  assert.equal(matchTotpStep(SECRET, code, step - 1), step);
+  assert.equal(matchTotpStep(SECRET, code, step), null);
+  // An older code cannot be used after a newer one either
+  assert.equal(matchTotpStep(SECRET, generateTotp(SECRET, step - 1), step), null);
+});
+
+test('malformed codes never match', () => {
+  assert.equal(matchTotpStep(SECRET, null), null);
+  assert.equal(matchTotpStep(SECRET, '12345'), null);
+  assert.equal(matchTotpStep(SECRET, '12345a'), null);
+  assert.equal(matchTotpStep(SECRET, '1234567'), null);
+});